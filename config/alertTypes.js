@@ -0,0 +1,39 @@
+// config/alertTypes.js
+/**
+ * Admin Alerts
+ * Alert types raised through utils/alertService.js and the response times
+ * behind auto-escalation. An alert still unresolved when its SLA runs out
+ * moves up one priority (with a fresh SLA) until it reaches the top.
+ *
+ * Type properties:
+ *   label    - shown in the alerts inbox
+ *   priority - default priority when the caller doesn't pass one
+ *
+ * ALERT_PRIORITIES    - lowest to highest; escalation moves one step right
+ * ALERT_SLA_MINUTES   - minutes an alert may stay unresolved at each priority
+ *                       (ALERT_SLA_MINUTES_<PRIORITY> env vars override, e.g. ALERT_SLA_MINUTES_HIGH=60)
+ */
+
+const ALERT_TYPES = {
+  payment_failed: { label: 'Payment failed', priority: 'high' },
+  refund: { label: 'Refund issued', priority: 'medium' },
+  dispute: { label: 'Payment disputed', priority: 'high' },
+  checkout_expired: { label: 'Checkout expired', priority: 'low' },
+  case_requires_attention: { label: 'Case requires attention', priority: 'high' },
+  low_confidence_extraction: { label: 'Low-confidence extraction', priority: 'medium' },
+  notification_failed: { label: 'Client notification failed', priority: 'medium' }
+};
+
+const ALERT_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const ALERT_SLA_MINUTES = {
+  urgent: 30,
+  high: 120,
+  medium: 480,
+  low: 1440
+};
+
+// Alerts waiting on staff; resolved alerts are out of the inbox
+const OPEN_ALERT_STATUSES = ['open', 'in_progress'];
+
+module.exports = { ALERT_TYPES, ALERT_PRIORITIES, ALERT_SLA_MINUTES, OPEN_ALERT_STATUSES };
@@ -0,0 +1,143 @@
+// config/caseStatuses.js
+/**
+ * Case Lifecycle
+ * Case statuses and the moves allowed between them, enforced by
+ * services/tickets/caseStateMachine.js. `caseStatus` tracks the legal case;
+ * intake progress stays in `status` (extracted → completed) and money in
+ * `paymentStatus`, which the guards below read.
+ *
+ * Status properties:
+ *   label         - shown to staff
+ *   clientMessage - shown to the client on their dashboard (stored on the ticket as clientMessages)
+ *   notifyClient  - email / SMS the client when a case moves into this status
+ *   alertPriority - raise an admin alert with this priority when a case moves into this status
+ *   final         - no moves out of this status
+ *
+ * Transition properties:
+ *   from   - statuses the move starts from
+ *   to     - status the move ends in
+ *   guards - checks that must pass:
+ *              paid           - paymentStatus counts as paid (see PAID_PAYMENT_STATUSES)
+ *              intakeComplete - every required ticket field is filled in
+ *              reason         - the request includes a reason
+ *              resume         - the case was in the target status before it was flagged for attention
+ *   system - only the payment webhook makes this move, admins can't request it
+ *            (a separate entry without it opens the same move to staff)
+ */
+
+const INITIAL_CASE_STATUS = 'approval_pending';
+
+// Payment statuses that let work on a case go ahead (an active payment plan counts)
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_paid', 'partially_refunded'];
+
+const CASE_STATUSES = {
+  approval_pending: {
+    label: 'Approval pending',
+    clientMessage: "We need more information before approving your case. You will receive a call or email requesting additional information. If you have already been contacted by our team, please upload the requested documents below.",
+    notifyClient: true
+  },
+  submitted_for_review: {
+    label: 'Submitted for review',
+    clientMessage: "Payment received. Our legal team is reviewing your case and will contact you if anything else is needed.",
+    notifyClient: false // ✅ The payment confirmation already covers it
+  },
+  case_approved: {
+    label: 'Approved',
+    clientMessage: "Congratulations! Your case is approved. You'll receive an email when the status of your case changes or if we need any communications from you.",
+    notifyClient: true
+  },
+  case_in_progress: {
+    label: 'In progress',
+    clientMessage: "Your case is in progress. If you have not received any calls or emails from us, it means our legal team is working on your case. You'll receive an email when the status of your case changes.",
+    notifyClient: true
+  },
+  case_dismissed: {
+    label: 'Dismissed',
+    clientMessage: "Congratulations. Our legal team has won your case. No further action is needed unless our legal team contacts you.",
+    notifyClient: true,
+    final: true
+  },
+  case_appealed: {
+    label: 'Appealed',
+    clientMessage: "Your case has been appealed. Our legal team is working on the next steps. You'll receive updates via email.",
+    notifyClient: true
+  },
+  case_requires_attention: {
+    label: 'Requires attention',
+    clientMessage: "Your case requires additional attention. Our team will contact you shortly with more information.",
+    notifyClient: true,
+    alertPriority: 'high'
+  }
+};
+
+const CASE_TRANSITIONS = [
+  {
+    from: ['approval_pending'],
+    to: 'submitted_for_review',
+    guards: ['paid'],
+    system: true
+  },
+  {
+    // ✅ Paid cases sent back for more information go back to review by hand
+    from: ['approval_pending'],
+    to: 'submitted_for_review',
+    guards: ['paid']
+  },
+  {
+    from: ['submitted_for_review'],
+    to: 'approval_pending',
+    guards: ['reason']
+  },
+  {
+    from: ['submitted_for_review'],
+    to: 'case_approved',
+    guards: ['paid', 'intakeComplete']
+  },
+  {
+    from: ['case_approved', 'case_appealed'],
+    to: 'case_in_progress',
+    guards: ['paid']
+  },
+  {
+    from: ['case_in_progress', 'case_appealed'],
+    to: 'case_dismissed',
+    guards: []
+  },
+  {
+    from: ['case_in_progress'],
+    to: 'case_appealed',
+    guards: ['paid']
+  },
+  {
+    from: ['approval_pending', 'submitted_for_review', 'case_approved', 'case_in_progress', 'case_appealed'],
+    to: 'case_requires_attention',
+    guards: ['reason']
+  },
+  {
+    from: ['case_requires_attention'],
+    to: 'approval_pending',
+    guards: []
+  },
+  {
+    from: ['case_requires_attention'],
+    to: 'submitted_for_review',
+    guards: ['paid', 'resume']
+  },
+  {
+    from: ['case_requires_attention'],
+    to: 'case_approved',
+    guards: ['paid', 'resume']
+  },
+  {
+    from: ['case_requires_attention'],
+    to: 'case_in_progress',
+    guards: ['paid', 'resume']
+  },
+  {
+    from: ['case_requires_attention'],
+    to: 'case_appealed',
+    guards: ['paid', 'resume']
+  }
+];
+
+module.exports = { INITIAL_CASE_STATUS, PAID_PAYMENT_STATUSES, CASE_STATUSES, CASE_TRANSITIONS };
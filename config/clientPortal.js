@@ -0,0 +1,54 @@
+// config/clientPortal.js
+/**
+ * Client Case Portal
+ * What the client portal (PaymentTemplates.buildPortalUrl → /case/:sessionId)
+ * shows about a case, built by services/tickets/casePortal.js. Case statuses
+ * and their client messages come from config/caseStatuses.js.
+ *
+ *   PAYMENT_STATES    - client wording per paymentStatus ('unpaid' when there is none yet)
+ *                         label   - short state shown beside the case
+ *                         message - what it means for the client
+ *                         action  - next action offered while in this state
+ *   TIMELINE_EVENTS   - payment entries of statusHistory the client sees on the
+ *                       timeline, with their labels; case statuses always show and
+ *                       every other entry stays internal
+ *   NEXT_ACTIONS      - actions the portal can ask of the client
+ *   OPEN_DOCUMENT_STATUSES - requiredDocuments statuses still waiting on the client
+ */
+
+const PAYMENT_STATES = {
+  unpaid: { label: 'Not paid', message: 'Pay for your case to send it to our legal team.', action: 'make_payment' },
+  pending: { label: 'Awaiting payment', message: 'Your checkout has started but payment has not come through yet.', action: 'make_payment' },
+  failed: { label: 'Payment failed', message: 'Your payment did not go through. Please try again.', action: 'make_payment' },
+  expired: { label: 'Checkout expired', message: 'Your checkout expired before payment. Please start it again.', action: 'make_payment' },
+  paid: { label: 'Paid', message: 'Your case is paid in full.' },
+  partially_paid: { label: 'Payment plan active', message: 'Your payment plan is active. Remaining installments are charged automatically.' },
+  past_due: { label: 'Installment past due', message: 'An installment of your payment plan did not go through.', action: 'update_payment_method' },
+  refunded: { label: 'Refunded', message: 'Your payment has been refunded.' },
+  partially_refunded: { label: 'Partially refunded', message: 'Part of your payment has been refunded.' },
+  disputed: { label: 'Under review', message: 'Your payment is under review with your bank.', action: 'contact_support' },
+  dispute_lost: { label: 'Payment reversed', message: 'Your payment was reversed by your bank.', action: 'contact_support' }
+};
+
+const TIMELINE_EVENTS = {
+  payment_received: 'Payment received',
+  installment_paid: 'Installment paid',
+  payment_plan_completed: 'Payment plan completed',
+  payment_failed: 'Payment failed',
+  installment_failed: 'Installment failed',
+  checkout_expired: 'Checkout expired',
+  payment_refunded: 'Payment refunded',
+  payment_partially_refunded: 'Payment partially refunded'
+};
+
+const NEXT_ACTIONS = {
+  complete_intake: { label: 'Complete your ticket details', description: 'Some details from your ticket are missing or need correcting.' },
+  make_payment: { label: 'Pay for your case', description: 'Your case goes to our legal team once payment is received.' },
+  update_payment_method: { label: 'Update your payment method', description: 'Update your card so your payment plan can continue.' },
+  upload_documents: { label: 'Upload requested documents', description: 'Our team needs these documents to work on your case.' },
+  contact_support: { label: 'Contact us', description: 'Please get in touch with our team about your case.' }
+};
+
+const OPEN_DOCUMENT_STATUSES = ['requested', 'rejected'];
+
+module.exports = { PAYMENT_STATES, TIMELINE_EVENTS, NEXT_ACTIONS, OPEN_DOCUMENT_STATUSES };
@@ -0,0 +1,44 @@
+// config/paymentPlans.js
+/**
+ * Payment Plans
+ * Installment options offered at checkout, run by
+ * services/payments/paymentPlan.js as Stripe subscriptions that stop after
+ * the last installment. The case moves forward once the first installment clears.
+ *
+ * Plan properties:
+ *   id            - stable id sent by the frontend and stored on the ticket
+ *   label         - shown to the client and on the Stripe Checkout page
+ *   installments  - number of payments, the first charged at checkout
+ *   interval      - Stripe recurring interval between payments ('week' or 'month')
+ *   intervalCount - intervals between payments (1 = every interval)
+ *   minTotalCents - smallest case total the plan is offered for
+ */
+
+const PAYMENT_PLANS = [
+  {
+    id: 'pay_in_2',
+    label: '2 monthly payments',
+    installments: 2,
+    interval: 'month',
+    intervalCount: 1,
+    minTotalCents: 4999
+  },
+  {
+    id: 'pay_in_3',
+    label: '3 monthly payments',
+    installments: 3,
+    interval: 'month',
+    intervalCount: 1,
+    minTotalCents: 7500
+  },
+  {
+    id: 'pay_in_4_biweekly',
+    label: '4 payments every 2 weeks',
+    installments: 4,
+    interval: 'week',
+    intervalCount: 2,
+    minTotalCents: 10000
+  }
+];
+
+module.exports = { PAYMENT_PLANS };
@@ -0,0 +1,83 @@
+// config/pricingRules.js
+/**
+ * Pricing Rules
+ * Declarative price list evaluated by services/payments/pricingEngine.js,
+ * once per citation. Every citation starts from the PRICE_IN_CENTS env var
+ * (DEFAULT_BASE_PRICE_CENTS when unset); 'base' rules replace that price,
+ * 'surcharge' rules add their own line item. All matching rules apply.
+ *
+ * Rule properties:
+ *   id          - stable id stored in quotes
+ *   type        - 'base' (replaces the citation price) or 'surcharge' (extra line item)
+ *   label       - line item name shown at checkout
+ *   amountCents - price of the line item
+ *   when        - conditions that must all hold (omit for always):
+ *                   offenseCategory      - any of these offense categories (config/violationCatalog.js)
+ *                   moving               - moving / non-moving offense
+ *                   cdl                  - violator holds a CDL
+ *                   county               - any of these counties
+ *                   schoolZone           - school zone case
+ *                   constructionZone     - construction zone with workers present
+ *                   accident             - accident involved
+ *                   mphOverAtLeast       - speeding at least this many mph over
+ *                   citationIndexAtLeast - 1-based position of the citation in the case
+ *                   citationCountAtLeast - citations in the case
+ *
+ * Set PRICING_RULES_PATH to a JSON file with the same shape to override these rules.
+ */
+
+const DEFAULT_BASE_PRICE_CENTS = 4999;
+
+const PRICING_RULES = [
+  {
+    id: 'additional_citation',
+    type: 'base',
+    label: 'Additional citation from the same stop',
+    amountCents: 3999,
+    when: { citationIndexAtLeast: 2 }
+  },
+  {
+    id: 'cdl_holder',
+    type: 'surcharge',
+    label: 'Commercial driver (CDL) defense',
+    amountCents: 5000,
+    when: { cdl: true, moving: true }
+  },
+  {
+    id: 'school_zone',
+    type: 'surcharge',
+    label: 'School zone offense',
+    amountCents: 2000,
+    when: { schoolZone: true }
+  },
+  {
+    id: 'construction_zone',
+    type: 'surcharge',
+    label: 'Construction zone offense',
+    amountCents: 2000,
+    when: { constructionZone: true }
+  },
+  {
+    id: 'accident',
+    type: 'surcharge',
+    label: 'Accident involved',
+    amountCents: 3000,
+    when: { accident: true }
+  },
+  {
+    id: 'high_speed',
+    type: 'surcharge',
+    label: 'Speeding 25+ mph over the limit',
+    amountCents: 2500,
+    when: { offenseCategory: ['speeding'], mphOverAtLeast: 25 }
+  },
+  {
+    id: 'license_insurance',
+    type: 'surcharge',
+    label: 'License or insurance offense',
+    amountCents: 1500,
+    when: { offenseCategory: ['license', 'insurance'] }
+  }
+];
+
+module.exports = { DEFAULT_BASE_PRICE_CENTS, PRICING_RULES };
@@ -0,0 +1,52 @@
+// config/promoCodes.js
+/**
+ * Promo Codes
+ * Discount codes accepted by services/payments/discountService.js at checkout.
+ * Codes are matched case-insensitively; redemption counts and the emails that
+ * used a code are kept in the promo-codes Firestore collection.
+ *
+ * Code properties:
+ *   code           - what the client types (stored uppercase)
+ *   type           - 'percent' (value is a percentage of the quote) or 'fixed' (value is cents)
+ *   value          - percentage or cents off
+ *   description    - shown on the Stripe Checkout page
+ *   expiresAt      - ISO date after which the code is rejected (omit for no expiry)
+ *   maxRedemptions - total paid redemptions allowed (omit for unlimited)
+ *   oncePerEmail   - each email may redeem the code once
+ *
+ * Set PROMO_CODES_PATH to a JSON file (an array of codes) to override these codes.
+ *
+ * REFERRAL_DISCOUNT applies to referral codes, which are issued to every paid
+ * ticket (tickets.referralCode) and can't be used by the referrer's own email.
+ */
+
+const PROMO_CODES = [
+  {
+    code: 'WELCOME10',
+    type: 'percent',
+    value: 10,
+    description: '10% off your first case',
+    oncePerEmail: true
+  },
+  {
+    code: 'SAVE15',
+    type: 'fixed',
+    value: 1500,
+    description: '$15 off',
+    expiresAt: '2026-12-31T23:59:59-06:00',
+    maxRedemptions: 500,
+    oncePerEmail: true
+  }
+];
+
+const REFERRAL_DISCOUNT = {
+  type: 'fixed',
+  value: 1000,
+  description: '$10 off - referred by a friend',
+  oncePerEmail: true
+};
+
+// Stripe rejects card payments under 50 cents, so discounts stop there
+const MIN_CHARGE_CENTS = 50;
+
+module.exports = { PROMO_CODES, REFERRAL_DISCOUNT, MIN_CHARGE_CENTS };
@@ -0,0 +1,102 @@
+// config/requiredFieldRules.js
+/**
+ * Required Field Rules
+ * Declarative list of what a ticket needs before it is complete.
+ * Evaluated by utils/requiredFields.js for every intake route.
+ *
+ * Rule properties:
+ *   field     - name reported in missingFields (what the frontend form asks for)
+ *   paths     - canonical ticket paths (services/tickets/canonicalTicket.js), tried in order
+ *   sets      - rule sets the rule belongs to: 'ticket' (AI extraction), 'manual_form', 'no_ticket_form'
+ *   required  - true, false (format check only), or { when: { field, equals } } to require
+ *               only when another rule's field has that value
+ *   format    - optional validator name from FORMAT_VALIDATORS, applied when a value is present
+ *   message   - shown to the user when the rule fails
+ */
+
+const FORMAT_VALIDATORS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: value => value.replace(/\D/g, '').length >= 10,
+  yes_no: value => ['Y', 'N'].includes(value.toUpperCase()),
+  precinct: value => /^\d{1,2}$/.test(value)
+};
+
+const REQUIRED_FIELD_RULES = [
+  {
+    field: 'email',
+    paths: ['email'],
+    sets: ['ticket', 'manual_form', 'no_ticket_form'],
+    required: true,
+    format: 'email',
+    message: 'A valid email address is required'
+  },
+  {
+    field: 'first_name',
+    paths: ['violator_information.first'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    message: 'First name is required'
+  },
+  {
+    field: 'middle_name',
+    paths: ['violator_information.middle'],
+    sets: ['ticket'],
+    required: true,
+    message: 'Middle name is required'
+  },
+  {
+    field: 'last_name',
+    paths: ['violator_information.last_name'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    message: 'Last name is required'
+  },
+  {
+    field: 'infraction_violation',
+    paths: ['violation.citation'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    message: 'Violation is required'
+  },
+  {
+    field: 'phone_number',
+    paths: ['violator_information.phone'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    format: 'phone',
+    message: 'A 10-digit phone number is required'
+  },
+  {
+    field: 'phone_number',
+    paths: ['violator_information.phone'],
+    sets: ['manual_form'],
+    required: false,
+    format: 'phone',
+    message: 'Phone number must have 10 digits'
+  },
+  {
+    field: 'county',
+    paths: ['ticket_header.county'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    message: 'County is required'
+  },
+  {
+    field: 'is_jp',
+    paths: ['is_jp'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: true,
+    format: 'yes_no',
+    message: 'Please tell us whether this is a Justice of the Peace (JP) court case'
+  },
+  {
+    field: 'precinct_number',
+    paths: ['precinct_number'],
+    sets: ['ticket', 'no_ticket_form'],
+    required: { when: { field: 'is_jp', equals: 'Y' } },
+    format: 'precinct',
+    message: 'Precinct number is required for JP cases'
+  }
+];
+
+module.exports = { REQUIRED_FIELD_RULES, FORMAT_VALIDATORS };
@@ -0,0 +1,62 @@
+// config/ticketAccess.js
+/**
+ * Ticket Access
+ * Who may read and change a ticket, and which parts of it each caller sees.
+ * Enforced by utils/auth.js (Firebase ID tokens) and shaped by
+ * services/tickets/ticketAccess.js.
+ *
+ *   STAFF_ROLES                 - role claims that may read and change any ticket
+ *                                 (set as a custom claim: { role: 'staff' } or { role: 'admin' })
+ *   PUBLIC_TICKET_FIELDS        - ticket fields anyone holding the session id may see
+ *   SENSITIVE_EXTRACTED_FIELDS  - canonical ticket paths blanked out of public responses
+ *                                 (personal details, licence and vehicle identifiers)
+ *   STAFF_ONLY_TICKET_FIELDS    - internal case-handling fields hidden from the client
+ *   CLIENT_STATUS_HISTORY_FIELDS - statusHistory entry fields the client sees
+ *                                 (reasons, notes and staff ids stay internal)
+ */
+
+const STAFF_ROLES = ['staff', 'admin'];
+
+const PUBLIC_TICKET_FIELDS = [
+  'sessionId', 'status', 'caseStatus', 'paymentStatus', 'dataSource',
+  'createdAt', 'lastUpdated', 'completedAt', 'clientMessages'
+];
+
+const SENSITIVE_EXTRACTED_FIELDS = [
+  'email',
+  'violator_information.residence_address',
+  'violator_information.phone',
+  'violator_information.zip_code',
+  'violator_information.inter_license_number',
+  'violator_information.dl_class',
+  'violator_information.dl_state',
+  'violator_information.cdl',
+  'violator_information.date_of_birth',
+  'violator_information.sex',
+  'violator_information.race',
+  'violator_information.height',
+  'violator_information.weight',
+  'violator_information.eye_color',
+  'violator_information.hair_color',
+  'additional_information_business.address',
+  'additional_information_business.phone',
+  'additional_information_business.zip_code',
+  'vehicle_information.license_plate',
+  'vehicle_information.trailer_plate',
+  'vehicle_information.vin'
+];
+
+const STAFF_ONLY_TICKET_FIELDS = [
+  'assignedTo', 'assignmentHistory', 'fieldEdits', 'internalNoteCount',
+  'adminAlerts', 'needsHumanReview', 'lowConfidenceFields'
+];
+
+const CLIENT_STATUS_HISTORY_FIELDS = ['status', 'timestamp'];
+
+module.exports = {
+  STAFF_ROLES,
+  PUBLIC_TICKET_FIELDS,
+  SENSITIVE_EXTRACTED_FIELDS,
+  STAFF_ONLY_TICKET_FIELDS,
+  CLIENT_STATUS_HISTORY_FIELDS
+};
@@ -0,0 +1,180 @@
+// config/vinWmi.js
+/**
+ * VIN Reference Data
+ * World Manufacturer Identifiers (first three VIN characters) for the makes
+ * most often seen on Texas citations, and make spellings as they appear on
+ * tickets (NCIC codes like "TOYT", "CHEV") mapped to one make name.
+ * Offline and intentionally partial: an unknown WMI just skips the make check.
+ */
+
+const VIN_WMI = {
+  // Honda / Acura
+  '1HG': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '2HG': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '5FN': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '5J6': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '7FA': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '19X': { manufacturer: 'Honda', makes: ['HONDA'] },
+  'JHM': { manufacturer: 'Honda', makes: ['HONDA'] },
+  'SHH': { manufacturer: 'Honda', makes: ['HONDA'] },
+  '19U': { manufacturer: 'Honda', makes: ['ACURA'] },
+  '5J8': { manufacturer: 'Honda', makes: ['ACURA'] },
+  'JH4': { manufacturer: 'Honda', makes: ['ACURA'] },
+
+  // Toyota / Lexus
+  '4T1': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '4T3': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '4T4': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '5TD': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '5TF': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '5YF': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '2T1': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '2T3': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '3TM': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  'JTD': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  'JTE': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  'JTM': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  'JTN': { manufacturer: 'Toyota', makes: ['TOYOTA'] },
+  '2T2': { manufacturer: 'Toyota', makes: ['LEXUS'] },
+  '58A': { manufacturer: 'Toyota', makes: ['LEXUS'] },
+  'JTH': { manufacturer: 'Toyota', makes: ['LEXUS'] },
+  'JTJ': { manufacturer: 'Toyota', makes: ['LEXUS'] },
+
+  // Ford / Lincoln
+  '1FA': { manufacturer: 'Ford', makes: ['FORD'] },
+  '1FB': { manufacturer: 'Ford', makes: ['FORD'] },
+  '1FD': { manufacturer: 'Ford', makes: ['FORD'] },
+  '1FM': { manufacturer: 'Ford', makes: ['FORD'] },
+  '1FT': { manufacturer: 'Ford', makes: ['FORD'] },
+  '2FM': { manufacturer: 'Ford', makes: ['FORD'] },
+  '3FA': { manufacturer: 'Ford', makes: ['FORD'] },
+  '3FM': { manufacturer: 'Ford', makes: ['FORD'] },
+  '3FT': { manufacturer: 'Ford', makes: ['FORD'] },
+  '1LN': { manufacturer: 'Ford', makes: ['LINCOLN'] },
+  '5LM': { manufacturer: 'Ford', makes: ['LINCOLN'] },
+
+  // General Motors
+  '1G1': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '1GC': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '1GN': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '2G1': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '3G1': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '3GC': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '3GN': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  'KL7': { manufacturer: 'General Motors', makes: ['CHEVROLET'] },
+  '1GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '1GK': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '2GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '3GT': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '3GK': { manufacturer: 'General Motors', makes: ['GMC'] },
+  '1GY': { manufacturer: 'General Motors', makes: ['CADILLAC'] },
+  '1G6': { manufacturer: 'General Motors', makes: ['CADILLAC'] },
+  '5GA': { manufacturer: 'General Motors', makes: ['BUICK'] },
+  'KL4': { manufacturer: 'General Motors', makes: ['BUICK'] },
+
+  // Stellantis (Chrysler, Dodge, Jeep, Ram)
+  '1C3': { manufacturer: 'Stellantis', makes: ['CHRYSLER', 'DODGE'] },
+  '1C4': { manufacturer: 'Stellantis', makes: ['CHRYSLER', 'DODGE', 'JEEP'] },
+  '1C6': { manufacturer: 'Stellantis', makes: ['RAM', 'DODGE'] },
+  '2C3': { manufacturer: 'Stellantis', makes: ['CHRYSLER', 'DODGE'] },
+  '2C4': { manufacturer: 'Stellantis', makes: ['CHRYSLER', 'DODGE'] },
+  '3C4': { manufacturer: 'Stellantis', makes: ['CHRYSLER', 'DODGE', 'JEEP'] },
+  '3C6': { manufacturer: 'Stellantis', makes: ['RAM', 'DODGE'] },
+  '3C7': { manufacturer: 'Stellantis', makes: ['RAM', 'DODGE'] },
+  '1B3': { manufacturer: 'Stellantis', makes: ['DODGE'] },
+  '1B7': { manufacturer: 'Stellantis', makes: ['DODGE'] },
+  '1D7': { manufacturer: 'Stellantis', makes: ['DODGE', 'RAM'] },
+  '2B3': { manufacturer: 'Stellantis', makes: ['DODGE'] },
+  '1J4': { manufacturer: 'Stellantis', makes: ['JEEP'] },
+  '1J8': { manufacturer: 'Stellantis', makes: ['JEEP'] },
+
+  // Nissan / Infiniti
+  '1N4': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  '1N6': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  '3N1': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  '3N6': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  '5N1': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  'JN1': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  'JN8': { manufacturer: 'Nissan', makes: ['NISSAN'] },
+  '5N3': { manufacturer: 'Nissan', makes: ['INFINITI'] },
+  'JNK': { manufacturer: 'Nissan', makes: ['INFINITI'] },
+
+  // Hyundai / Kia
+  '5NP': { manufacturer: 'Hyundai', makes: ['HYUNDAI'] },
+  '5NM': { manufacturer: 'Hyundai', makes: ['HYUNDAI'] },
+  'KMH': { manufacturer: 'Hyundai', makes: ['HYUNDAI'] },
+  'KM8': { manufacturer: 'Hyundai', makes: ['HYUNDAI'] },
+  '5XX': { manufacturer: 'Kia', makes: ['KIA'] },
+  '5XY': { manufacturer: 'Kia', makes: ['KIA'] },
+  'KNA': { manufacturer: 'Kia', makes: ['KIA'] },
+  'KND': { manufacturer: 'Kia', makes: ['KIA'] },
+
+  // Others
+  '4S3': { manufacturer: 'Subaru', makes: ['SUBARU'] },
+  '4S4': { manufacturer: 'Subaru', makes: ['SUBARU'] },
+  'JF1': { manufacturer: 'Subaru', makes: ['SUBARU'] },
+  'JF2': { manufacturer: 'Subaru', makes: ['SUBARU'] },
+  'JM1': { manufacturer: 'Mazda', makes: ['MAZDA'] },
+  'JM3': { manufacturer: 'Mazda', makes: ['MAZDA'] },
+  '3MZ': { manufacturer: 'Mazda', makes: ['MAZDA'] },
+  '1VW': { manufacturer: 'Volkswagen', makes: ['VOLKSWAGEN'] },
+  '3VW': { manufacturer: 'Volkswagen', makes: ['VOLKSWAGEN'] },
+  'WVW': { manufacturer: 'Volkswagen', makes: ['VOLKSWAGEN'] },
+  'WVG': { manufacturer: 'Volkswagen', makes: ['VOLKSWAGEN'] },
+  'WAU': { manufacturer: 'Audi', makes: ['AUDI'] },
+  'WA1': { manufacturer: 'Audi', makes: ['AUDI'] },
+  'WBA': { manufacturer: 'BMW', makes: ['BMW'] },
+  'WBS': { manufacturer: 'BMW', makes: ['BMW'] },
+  '5UX': { manufacturer: 'BMW', makes: ['BMW'] },
+  'WDD': { manufacturer: 'Mercedes-Benz', makes: ['MERCEDES-BENZ'] },
+  'WDB': { manufacturer: 'Mercedes-Benz', makes: ['MERCEDES-BENZ'] },
+  'W1K': { manufacturer: 'Mercedes-Benz', makes: ['MERCEDES-BENZ'] },
+  '4JG': { manufacturer: 'Mercedes-Benz', makes: ['MERCEDES-BENZ'] },
+  '5YJ': { manufacturer: 'Tesla', makes: ['TESLA'] },
+  '7SA': { manufacturer: 'Tesla', makes: ['TESLA'] },
+  'YV1': { manufacturer: 'Volvo', makes: ['VOLVO'] },
+  '1XK': { manufacturer: 'Kenworth', makes: ['KENWORTH'] },
+  '1XP': { manufacturer: 'Peterbilt', makes: ['PETERBILT'] },
+  '1FU': { manufacturer: 'Freightliner', makes: ['FREIGHTLINER'] },
+  '3AK': { manufacturer: 'Freightliner', makes: ['FREIGHTLINER'] }
+};
+
+// Ticket spellings → make name used in VIN_WMI
+const MAKE_ALIASES = {
+  ACUR: 'ACURA',
+  AUDI: 'AUDI',
+  BMW: 'BMW',
+  BUIC: 'BUICK',
+  CADI: 'CADILLAC',
+  CHEV: 'CHEVROLET',
+  CHEVY: 'CHEVROLET',
+  CHRY: 'CHRYSLER',
+  DODG: 'DODGE',
+  FORD: 'FORD',
+  FRHT: 'FREIGHTLINER',
+  GMC: 'GMC',
+  HOND: 'HONDA',
+  HYUN: 'HYUNDAI',
+  INFI: 'INFINITI',
+  JEEP: 'JEEP',
+  KENW: 'KENWORTH',
+  KIA: 'KIA',
+  LEXS: 'LEXUS',
+  LINC: 'LINCOLN',
+  MAZD: 'MAZDA',
+  MERZ: 'MERCEDES-BENZ',
+  MERCEDES: 'MERCEDES-BENZ',
+  'MERCEDES BENZ': 'MERCEDES-BENZ',
+  NISS: 'NISSAN',
+  PTRB: 'PETERBILT',
+  RAM: 'RAM',
+  SUBA: 'SUBARU',
+  TESL: 'TESLA',
+  TOYT: 'TOYOTA',
+  TOYO: 'TOYOTA',
+  VOLK: 'VOLKSWAGEN',
+  VW: 'VOLKSWAGEN',
+  VOLV: 'VOLVO'
+};
+
+module.exports = { VIN_WMI, MAKE_ALIASES };
@@ -0,0 +1,274 @@
+// config/violationCatalog.js
+/**
+ * Violation Catalog
+ * Texas Transportation Code offenses seen on citations, most specific first.
+ * Evaluated by services/tickets/violationMatcher.js.
+ *
+ * Entry properties:
+ *   code        - stable id stored on tickets
+ *   statute     - Transportation Code section
+ *   description - offense as staff refer to it
+ *   category    - speeding, traffic_control, right_of_way, lane_use, turning, following,
+ *                 reckless, distracted_driving, safety_restraint, insurance, license,
+ *                 registration, equipment, inspection, accident
+ *   moving      - true for rules-of-the-road offenses (reported as moving violations)
+ *   patterns    - regexes tested against the uppercased citation text
+ */
+
+const VIOLATION_CATALOG = [
+  // Speeding
+  {
+    code: 'SPEED_SCHOOL_ZONE',
+    statute: '545.351',
+    description: 'Speeding in a school zone',
+    category: 'speeding',
+    moving: true,
+    patterns: [/\bSPE*D\w*\b.*\bSCH(OOL|L)?\b.*\bZ(ONE|N)\b/, /\bSCH(OOL|L)?\s*Z(ONE|N)\b.*\bSPE*D/]
+  },
+  {
+    code: 'SPEED_CONSTRUCTION_ZONE',
+    statute: '545.351',
+    description: 'Speeding in a construction zone',
+    category: 'speeding',
+    moving: true,
+    patterns: [/\bSPE*D\w*\b.*\b(CONST\w*|WORK)\s*Z(ONE|N)\b/, /\b(CONST\w*|WORK)\s*Z(ONE|N)\b.*\bSPE*D/]
+  },
+  {
+    code: 'SPEED_MINIMUM',
+    statute: '545.363',
+    description: 'Driving below the minimum speed',
+    category: 'speeding',
+    moving: true,
+    patterns: [/\bMIN(IMUM)?\s*SPEED\b/, /\bIMPEDING\b/]
+  },
+  {
+    code: 'SPEED_UNSAFE',
+    statute: '545.351',
+    description: 'Unsafe speed',
+    category: 'speeding',
+    moving: true,
+    patterns: [/\bUNSAFE\s*SPE*D\b/, /\bSPEED\s*UNSAFE\b/, /\bFAIL\w*\s*TO\s*CONTROL\s*SPEED\b/, /\bFTCS\b/]
+  },
+  {
+    code: 'SPEEDING',
+    statute: '545.352',
+    description: 'Speeding over the posted limit',
+    category: 'speeding',
+    moving: true,
+    patterns: [/\bSPE*D(ING)?\b/, /\bSPD\b/, /\bMPH\b.*\bZONE\b/, /\bEXCEED\w*\s*(POSTED\s*)?(SPEED|LIMIT)\b/]
+  },
+
+  // Traffic control
+  {
+    code: 'RAN_RED_LIGHT',
+    statute: '544.007',
+    description: 'Disregarded traffic-control signal (red light)',
+    category: 'traffic_control',
+    moving: true,
+    patterns: [/\bRED\s*(LIGHT|SIGNAL)\b/, /\bRAN\s*(A\s*)?RED\b/, /\bTRAFFIC\s*(CONTROL\s*)?SIGNAL\b/]
+  },
+  {
+    code: 'RAN_STOP_SIGN',
+    statute: '544.010',
+    description: 'Disregarded stop sign',
+    category: 'traffic_control',
+    moving: true,
+    patterns: [/\bSTOP\s*SIGN\b/, /\bRAN\s*(A\s*)?STOP\b/, /\bFAIL\w*\s*TO\s*STOP\b(?!\s*AND)/]
+  },
+  {
+    code: 'PASSING_SCHOOL_BUS',
+    statute: '545.066',
+    description: 'Passing a stopped school bus',
+    category: 'traffic_control',
+    moving: true,
+    patterns: [/\bSCHOOL\s*BUS\b/]
+  },
+
+  // Right of way, lanes, turning, following
+  {
+    code: 'MOVE_OVER',
+    statute: '545.157',
+    description: 'Failure to move over or slow for emergency vehicle',
+    category: 'right_of_way',
+    moving: true,
+    patterns: [/\bMOVE\s*OVER\b/, /\bSLOW\s*DOWN\b.*\b(EMERGENCY|TOW|AUTHORIZED)\b/]
+  },
+  {
+    code: 'FAIL_TO_YIELD',
+    statute: '545.151',
+    description: 'Failure to yield right of way',
+    category: 'right_of_way',
+    moving: true,
+    patterns: [/\bYIELD\b/, /\bFTY(ROW)?\b/, /\bRIGHT\s*OF\s*WAY\b/]
+  },
+  {
+    code: 'FAIL_TO_MAINTAIN_LANE',
+    statute: '545.060',
+    description: 'Failure to maintain a single lane',
+    category: 'lane_use',
+    moving: true,
+    patterns: [/\bSINGLE\s*LANE\b/, /\bFAIL\w*\s*TO\s*MAINTAIN\s*LANE\b/, /\bFTMSL\b/, /\bUNSAFE\s*LANE\s*CHANGE\b/]
+  },
+  {
+    code: 'IMPROPER_TURN',
+    statute: '545.101',
+    description: 'Improper turn',
+    category: 'turning',
+    moving: true,
+    patterns: [/\b(IMPROPER|ILLEGAL|WIDE)\s*(\w+\s*)?TURN\b/, /\bU[\s-]?TURN\b/]
+  },
+  {
+    code: 'FAIL_TO_SIGNAL',
+    statute: '545.104',
+    description: 'Failure to signal a turn or lane change',
+    category: 'turning',
+    moving: true,
+    patterns: [/\bSIGNAL\s*(INTENT|TURN|LANE)\b/, /\bFAIL\w*\s*TO\s*SIGNAL\b/, /\bNO\s*SIGNAL\b/]
+  },
+  {
+    code: 'FOLLOWING_TOO_CLOSE',
+    statute: '545.062',
+    description: 'Following too closely',
+    category: 'following',
+    moving: true,
+    patterns: [/\bFOLLOW\w*\s*(TOO\s*)?CLOSE\w*\b/, /\bFOLLOWING\s*DISTANCE\b/, /\bFTC\b/]
+  },
+  {
+    code: 'RECKLESS_DRIVING',
+    statute: '545.401',
+    description: 'Reckless driving',
+    category: 'reckless',
+    moving: true,
+    patterns: [/\bRECKLESS\b/]
+  },
+
+  // Distracted driving and restraints
+  {
+    code: 'WIRELESS_SCHOOL_ZONE',
+    statute: '545.425',
+    description: 'Using a wireless device in a school zone',
+    category: 'distracted_driving',
+    moving: true,
+    patterns: [/\b(WIRELESS|CELL|PHONE)\b.*\bSCHOOL\b/, /\bSCHOOL\b.*\b(WIRELESS|CELL|PHONE)\b/]
+  },
+  {
+    code: 'TEXTING',
+    statute: '545.4251',
+    description: 'Electronic messaging while driving',
+    category: 'distracted_driving',
+    moving: true,
+    patterns: [/\bTEXT\w*\b/, /\bELECTRONIC\s*MESSAG\w*\b/, /\bWIRELESS\s*(COMM\w*\s*)?DEVICE\b/, /\bCELL\s*PHONE\b/]
+  },
+  {
+    code: 'SEAT_BELT',
+    statute: '545.413',
+    description: 'Safety belt violation',
+    category: 'safety_restraint',
+    moving: false,
+    patterns: [/\bSE?A?T\s*BE?LT\b/, /\bSAFETY\s*BELT\b/, /\bUNRESTRAINED\b/]
+  },
+  {
+    code: 'CHILD_SEAT',
+    statute: '545.412',
+    description: 'Child passenger safety seat violation',
+    category: 'safety_restraint',
+    moving: false,
+    patterns: [/\bCHILD\s*(PASSENGER\s*)?(SAFETY\s*)?SEAT\b/, /\bCHILD\s*RESTRAINT\b/, /\bCAR\s*SEAT\b/]
+  },
+
+  // Insurance, license, registration
+  {
+    code: 'NO_INSURANCE',
+    statute: '601.191',
+    description: 'Failure to maintain financial responsibility (no insurance)',
+    category: 'insurance',
+    moving: false,
+    patterns: [/\bFINANCIAL\s*RESP\w*\b/, /\bNO\s*(PROOF\s*OF\s*)?INS(URANCE)?\b/, /\bF(T)?MFR\b/, /\bINSURANCE\b/]
+  },
+  {
+    code: 'DRIVING_WHILE_LICENSE_INVALID',
+    statute: '521.457',
+    description: 'Driving while license invalid or suspended',
+    category: 'license',
+    moving: false,
+    patterns: [/\bDWLI\b/, /\bLICEN[SC]E\s*(INVALID|SUSPENDED|REVOKED)\b/, /\b(SUSPENDED|INVALID)\s*(DRIVER'?S?\s*)?LICEN[SC]E\b/]
+  },
+  {
+    code: 'NO_DRIVERS_LICENSE',
+    statute: '521.021',
+    description: 'No driver license',
+    category: 'license',
+    moving: false,
+    patterns: [/\bNO\s*(VALID\s*)?(DRIVER'?S?\s*)?(LICEN[SC]E|DL)\b/, /\bUNLICENSED\b/, /\bNDL\b/]
+  },
+  {
+    code: 'FAIL_TO_DISPLAY_LICENSE',
+    statute: '521.025',
+    description: 'Failure to display driver license',
+    category: 'license',
+    moving: false,
+    patterns: [/\bFAIL\w*\s*TO\s*DISPLAY\s*(DRIVER'?S?\s*)?(LICEN[SC]E|DL)\b/, /\bFTDDL\b/]
+  },
+  {
+    code: 'EXPIRED_REGISTRATION',
+    statute: '502.407',
+    description: 'Expired registration',
+    category: 'registration',
+    moving: false,
+    patterns: [/\bEXP\w*\s*(REG\w*|TAGS?|STICKER)\b/, /\bREGISTRATION\b/]
+  },
+  {
+    code: 'LICENSE_PLATE',
+    statute: '504.945',
+    description: 'Missing, obscured or improper license plate',
+    category: 'registration',
+    moving: false,
+    patterns: [/\b(NO|MISSING|OBSCURED|OBSTRUCTED|FICTITIOUS)\s*(FRONT\s*|REAR\s*)?(LICEN[SC]E\s*)?PLATE\b/, /\bPLATE\b/]
+  },
+
+  // Equipment and inspection
+  {
+    code: 'WINDOW_TINT',
+    statute: '547.613',
+    description: 'Window tint violation',
+    category: 'equipment',
+    moving: false,
+    patterns: [/\bTINT\w*\b/]
+  },
+  {
+    code: 'LIGHTS',
+    statute: '547.302',
+    description: 'Defective or missing lamps',
+    category: 'equipment',
+    moving: false,
+    patterns: [/\b(HEAD|TAIL|BRAKE|STOP|LICENSE\s*PLATE)\s*(LIGHT|LAMP)S?\b/, /\bNO\s*LIGHTS?\b/, /\bDEFECTIVE\s*(LIGHT|LAMP)/]
+  },
+  {
+    code: 'MUFFLER',
+    statute: '547.604',
+    description: 'Muffler or exhaust violation',
+    category: 'equipment',
+    moving: false,
+    patterns: [/\bMUFFLER\b/, /\bEXHAUST\b/]
+  },
+  {
+    code: 'NO_INSPECTION',
+    statute: '548.602',
+    description: 'No or expired vehicle inspection',
+    category: 'inspection',
+    moving: false,
+    patterns: [/\bINSPECTION\b/, /\bINSP\b/]
+  },
+
+  // Accidents
+  {
+    code: 'ACCIDENT_DAMAGE_VEHICLE',
+    statute: '550.022',
+    description: 'Failure to stop and give information after accident',
+    category: 'accident',
+    moving: true,
+    patterns: [/\bFAIL\w*\s*TO\s*(STOP\s*AND\s*)?(GIVE|LEAVE)\s*INFO\w*\b/, /\bLEAVING\s*THE\s*SCENE\b/, /\bHIT\s*AND\s*RUN\b/, /\bFSGI\b/]
+  }
+];
+
+module.exports = { VIOLATION_CATALOG };
@@ -0,0 +1,215 @@
+// scripts/memoryFirestore.js
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Memory Firestore
+ * In-memory stand-in for the parts of the Firestore API the payment code
+ * uses (documents, simple queries, transactions, batches and FieldValue
+ * transforms), so scripts/verifyPayments.js runs without credentials.
+ *
+ * Transactions and batches apply their writes only when they succeed.
+ * failWrites() makes matching writes reject, to check how callers handle a
+ * Firestore error.
+ */
+class MemoryFirestore {
+  constructor() {
+    this.store = new Map();
+    this.autoId = 0;
+    this.failWrite = null;
+  }
+
+  collection(path) {
+    return new MemoryCollection(this, path);
+  }
+
+  /**
+   * Run a transaction; writes are applied once the callback resolves
+   * @param {Function} fn - async transaction => result
+   * @returns {Promise<*>}
+   */
+  async runTransaction(fn) {
+    const writes = [];
+    const transaction = {
+      get: ref => ref.get(),
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      update: (ref, data) => writes.push(() => ref.update(data))
+    };
+
+    const result = await fn(transaction);
+    for (const write of writes) {
+      await write();
+    }
+    return result;
+  }
+
+  batch() {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      update: (ref, data) => writes.push(() => ref.update(data)),
+      delete: ref => writes.push(() => ref.delete()),
+      commit: async () => {
+        for (const write of writes) {
+          await write();
+        }
+      }
+    };
+  }
+
+  /**
+   * Make writes to matching documents fail until cleared
+   * @param {Function|null} predicate - (path, data) => boolean; null clears it
+   */
+  failWrites(predicate) {
+    this.failWrite = predicate;
+  }
+
+  /**
+   * Stored document data by path (a copy), for assertions
+   * @param {string} path - e.g. 'tickets/abc'
+   * @returns {Object|undefined}
+   */
+  read(path) {
+    return this.store.has(path) ? structuredClone(this.store.get(path)) : undefined;
+  }
+
+  write(path, data, merge) {
+    if (this.failWrite && this.failWrite(path, data)) {
+      throw new Error(`UNAVAILABLE: write to ${path} failed`);
+    }
+
+    const document = merge ? { ...(this.store.get(path) || {}) } : {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (key.includes('.')) {
+        const keys = key.split('.');
+        let node = document;
+        keys.slice(0, -1).forEach(part => {
+          node[part] = node[part] && typeof node[part] === 'object' ? { ...node[part] } : {};
+          node = node[part];
+        });
+        MemoryFirestore.assign(node, keys[keys.length - 1], value);
+      } else {
+        MemoryFirestore.assign(document, key, value);
+      }
+    });
+    this.store.set(path, structuredClone(document));
+  }
+
+  // Apply a value or FieldValue transform to one field
+  static assign(target, key, value) {
+    const transform = value && value.constructor && value.constructor.name;
+    if (transform === 'ArrayUnionTransform') {
+      const current = Array.isArray(target[key]) ? [...target[key]] : [];
+      value.elements.forEach(element => {
+        if (!current.some(existing => isDeepStrictEqual(existing, element))) current.push(element);
+      });
+      target[key] = current;
+    } else if (transform === 'ArrayRemoveTransform') {
+      target[key] = (target[key] || []).filter(existing => !value.elements.some(element => isDeepStrictEqual(existing, element)));
+    } else if (transform === 'NumericIncrementTransform') {
+      target[key] = (target[key] || 0) + value.operand;
+    } else if (transform === 'ServerTimestampTransform') {
+      target[key] = new Date();
+    } else if (transform === 'DeleteTransform') {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+class MemoryCollection {
+  constructor(memory, path, filters = [], limitCount = Infinity) {
+    this.memory = memory;
+    this.path = path;
+    this.filters = filters;
+    this.limitCount = limitCount;
+  }
+
+  doc(id = `auto${++this.memory.autoId}`) {
+    return new MemoryDocument(this.memory, this.path, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(field, op, value) {
+    return new MemoryCollection(this.memory, this.path, [...this.filters, { field, op, value }], this.limitCount);
+  }
+
+  limit(count) {
+    return new MemoryCollection(this.memory, this.path, this.filters, count);
+  }
+
+  orderBy() {
+    return this;
+  }
+
+  async get() {
+    const prefix = `${this.path}/`;
+    const docs = [...this.memory.store.keys()]
+      .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .sort()
+      .map(path => new MemoryDocument(this.memory, this.path, path.slice(prefix.length)).snapshot())
+      .filter(snapshot => this.filters.every(filter => MemoryCollection.matches(snapshot.data(), filter)))
+      .slice(0, this.limitCount);
+
+    return { empty: docs.length === 0, size: docs.length, docs, forEach: fn => docs.forEach(fn) };
+  }
+
+  static matches(data, { field, op, value }) {
+    const actual = field.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+    switch (op) {
+      case '==': return isDeepStrictEqual(actual, value);
+      case '!=': return !isDeepStrictEqual(actual, value);
+      case 'in': return value.some(candidate => isDeepStrictEqual(actual, candidate));
+      case 'array-contains': return Array.isArray(actual) && actual.some(element => isDeepStrictEqual(element, value));
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+  }
+}
+
+class MemoryDocument {
+  constructor(memory, collectionPath, id) {
+    this.memory = memory;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+  }
+
+  snapshot() {
+    const data = this.memory.read(this.path);
+    return { id: this.id, ref: this, exists: data !== undefined, data: () => (data === undefined ? undefined : structuredClone(data)) };
+  }
+
+  async get() {
+    return this.snapshot();
+  }
+
+  async set(data, { merge = false } = {}) {
+    this.memory.write(this.path, data, merge);
+  }
+
+  async update(data) {
+    if (!this.memory.store.has(this.path)) {
+      throw new Error(`NOT_FOUND: no document to update: ${this.path}`);
+    }
+    this.memory.write(this.path, data, true);
+  }
+
+  async delete() {
+    this.memory.store.delete(this.path);
+  }
+
+  collection(path) {
+    return new MemoryCollection(this.memory, `${this.path}/${path}`);
+  }
+}
+
+module.exports = MemoryFirestore;
@@ -0,0 +1,70 @@
+// scripts/migrateTickets.js
+/**
+ * Migrate tickets/{id}.extractedData to the canonical ticket shape
+ *
+ * Usage:
+ *   node scripts/migrateTickets.js --dry-run [--report=report.json]
+ *   node scripts/migrateTickets.js --migration-id=canonical-v1 [--batch-size=100] [--limit=500]
+ *   node scripts/migrateTickets.js --migration-id=canonical-v1 --resume
+ *   node scripts/migrateTickets.js --start-after=<ticketId>
+ */
+const fs = require('fs');
+
+try {
+  require('dotenv').config();
+} catch (e) {
+  // Environment variables only
+}
+
+const FirebaseAdmin = require('../utils/firebaseAdmin');
+const TicketMigration = require('../services/tickets/ticketMigration');
+const { CANONICAL_TICKET_VERSION } = require('../services/tickets/canonicalTicket');
+
+function parseArgs(argv) {
+  return argv.reduce((args, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return { ...args, [key]: value === undefined ? true : value };
+  }, {});
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const db = FirebaseAdmin.getDb();
+
+  if (!db) {
+    console.error('❌ [Migration] Firestore not available - set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY');
+    process.exit(1);
+  }
+
+  const migration = new TicketMigration({
+    db,
+    migrationId: args['migration-id'] || `canonical-v${CANONICAL_TICKET_VERSION}`,
+    dryRun: !!args['dry-run'],
+    batchSize: parseInt(args['batch-size'] || '100', 10)
+  });
+
+  const result = await migration.run({
+    startAfter: args['start-after'] || null,
+    resume: !!args.resume,
+    limit: args.limit ? parseInt(args.limit, 10) : Infinity
+  });
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(result, null, 2));
+    console.log(`📝 [Migration] Diff report written to ${args.report}`);
+  } else if (result.dryRun) {
+    result.report.forEach(entry => {
+      console.log(`\n🧾 ${entry.ticketId}`);
+      entry.changes.forEach(change => {
+        console.log(`   ${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      });
+    });
+  }
+
+  process.exit(result.success ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ [Migration] Failed:', error);
+  process.exit(1);
+});
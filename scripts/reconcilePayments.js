@@ -0,0 +1,118 @@
+// scripts/reconcilePayments.js
+/**
+ * Reconcile ticket payment status with Stripe after missed webhooks
+ *
+ * Usage:
+ *   node scripts/reconcilePayments.js --dry-run [--report=report.json]
+ *   node scripts/reconcilePayments.js [--limit=500] [--batch-size=100]
+ *   node scripts/reconcilePayments.js --stub=stripe-stub.json --dry-run
+ *
+ * --stub reads Stripe state from a local JSON file instead of the Stripe API:
+ *   { "checkoutSessions": { "<cs_id>": { ...session } },
+ *     "invoices": { "<sub_id>": [ { ...invoice } ] } }
+ */
+const fs = require('fs');
+
+try {
+  require('dotenv').config();
+} catch (e) {
+  // Environment variables only
+}
+
+const Stripe = require('stripe');
+const FirebaseAdmin = require('../utils/firebaseAdmin');
+const BrevoService = require('../services/brevoService');
+const DiscountService = require('../services/payments/discountService');
+const WebhookLedger = require('../services/payments/webhookLedger');
+const { StripeEventHandler } = require('../services/payments/stripeEventHandler');
+const { PaymentReconciler } = require('../services/payments/paymentReconciler');
+
+function parseArgs(argv) {
+  return argv.reduce((args, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return { ...args, [key]: value === undefined ? true : value };
+  }, {});
+}
+
+// Just the Stripe calls reconciliation makes, answered from a JSON file
+function createStripeStub(file) {
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    checkout: {
+      sessions: {
+        retrieve: async id => {
+          const session = state.checkoutSessions?.[id];
+          if (!session) throw new Error(`No such checkout.session: ${id}`);
+          return session;
+        }
+      }
+    },
+    invoices: {
+      list: async ({ subscription, status }) => ({
+        data: (state.invoices?.[subscription] || []).filter(invoice => !status || invoice.status === status)
+      }),
+      retrieve: async id => {
+        const invoice = Object.values(state.invoices || {}).flat().find(candidate => candidate.id === id);
+        if (!invoice) throw new Error(`No such invoice: ${id}`);
+        return invoice;
+      }
+    },
+    subscriptions: {
+      update: async (id, params) => ({ id, ...params })
+    }
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const db = FirebaseAdmin.getDb();
+
+  if (!db) {
+    console.error('❌ [Reconcile] Firestore not available - set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY');
+    process.exit(1);
+  }
+  if (!args.stub && !process.env.STRIPE_SECRET_KEY) {
+    console.error('❌ [Reconcile] Stripe not configured - set STRIPE_SECRET_KEY or pass --stub=<file>');
+    process.exit(1);
+  }
+
+  const stripe = args.stub ? createStripeStub(args.stub) : new Stripe(process.env.STRIPE_SECRET_KEY);
+  const eventHandler = new StripeEventHandler({
+    db,
+    stripe,
+    brevoService: new BrevoService(),
+    discountService: DiscountService.fromEnv(db)
+  });
+
+  const reconciler = new PaymentReconciler({
+    db,
+    stripe,
+    eventHandler,
+    ledger: new WebhookLedger({ db }),
+    dryRun: !!args['dry-run'],
+    batchSize: parseInt(args['batch-size'] || '100', 10)
+  });
+
+  const result = await reconciler.run({
+    limit: args.limit ? parseInt(args.limit, 10) : Infinity
+  });
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(result, null, 2));
+    console.log(`📝 [Reconcile] Mismatch report written to ${args.report}`);
+  } else {
+    result.mismatches.forEach(mismatch => {
+      const outcome = mismatch.fixed ? 'fixed' : (mismatch.error ? `failed: ${mismatch.error}` : 'not fixed');
+      console.log(`\n🧾 ${mismatch.ticketId} (${mismatch.checkoutSessionId})`);
+      console.log(`   Firestore ${mismatch.ticketStatus}, Stripe ${mismatch.stripeStatus}`);
+      console.log(`   ${mismatch.actions.join(', ') || 'no action'} → ${outcome}`);
+    });
+  }
+
+  process.exit(result.success ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ [Reconcile] Failed:', error);
+  process.exit(1);
+});
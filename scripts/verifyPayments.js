@@ -0,0 +1,364 @@
+// scripts/verifyPayments.js
+/**
+ * Verify the payment webhook guarantees against an in-memory Firestore:
+ * ledger duplicate / stale / failed states, failed events being retried,
+ * installments, payments, refunds and disputes applied twice being recorded
+ * and notified once, and promo code limits. Nothing is sent to Stripe,
+ * Brevo or a real Firestore.
+ *
+ * Usage:
+ *   node scripts/verifyPayments.js [--verbose]
+ */
+const assert = require('assert');
+const FirebaseAdmin = require('../utils/firebaseAdmin');
+const MemoryFirestore = require('./memoryFirestore');
+const WebhookLedger = require('../services/payments/webhookLedger');
+const DiscountService = require('../services/payments/discountService');
+const PaymentPlan = require('../services/payments/paymentPlan');
+const { StripeEventHandler } = require('../services/payments/stripeEventHandler');
+
+const verbose = process.argv.includes('--verbose');
+
+// A fresh store and handler per check; senders and Stripe only record calls
+function setup({ processingTimeoutMs } = {}) {
+  const db = new MemoryFirestore();
+  // Alerts go through FirebaseAdmin.getDb(); keep them off any configured project
+  FirebaseAdmin.getDb = () => db;
+
+  const sent = { emails: [], sms: [] };
+  const stripeCalls = [];
+  // Stripe's copy of each invoice, with the payments webhook payloads leave out
+  const stripeInvoices = new Map();
+  const brevoService = {
+    sendEmail: async message => {
+      sent.emails.push(message);
+      return { success: true, messageId: `msg_${sent.emails.length}` };
+    },
+    sendSMS: async message => {
+      sent.sms.push(message);
+      return { success: true, messageId: `sms_${sent.sms.length}` };
+    }
+  };
+  const stripe = {
+    invoices: {
+      retrieve: async (id, params) => {
+        stripeCalls.push({ method: 'invoices.retrieve', id, params });
+        return stripeInvoices.get(id);
+      }
+    },
+    subscriptions: {
+      update: async (id, params) => {
+        stripeCalls.push({ method: 'subscriptions.update', id, params });
+        return { id };
+      }
+    }
+  };
+
+  const discountService = new DiscountService({ db });
+  const handler = new StripeEventHandler({ db, stripe, brevoService, discountService });
+  const ledger = new WebhookLedger({ db, ...(processingTimeoutMs !== undefined && { processingTimeoutMs }) });
+
+  // The same steps as the /api/stripe-webhook route
+  const deliver = async event => {
+    const entry = await ledger.begin(event);
+    if (entry.duplicate) {
+      return { statusCode: 200, duplicate: true };
+    }
+    try {
+      await handler.handle(event);
+      await ledger.complete(event.id);
+      return { statusCode: 200 };
+    } catch (error) {
+      await ledger.fail(event.id, error);
+      return { statusCode: 500, error };
+    }
+  };
+
+  // Record the invoice's payment in Stripe and return the webhook payload
+  const paidInvoice = (invoice, paymentIntentId) => {
+    stripeInvoices.set(invoice.id, {
+      ...invoice,
+      payments: { data: [{ status: 'paid', payment: { type: 'payment_intent', payment_intent: paymentIntentId } }] }
+    });
+    return invoice;
+  };
+
+  return { db, ledger, handler, discountService, sent, stripeCalls, paidInvoice, deliver };
+}
+
+function stripeEvent(id, type, object) {
+  return { id, object: 'event', type, created: Math.floor(Date.now() / 1000), livemode: false, data: { object } };
+}
+
+// A subscription invoice as current Stripe API versions send it (no payment_intent)
+function planInvoice(id, ticketId, amountPaid) {
+  return {
+    id,
+    object: 'invoice',
+    parent: { type: 'subscription_details', subscription_details: { subscription: 'sub_verify', metadata: { firebaseSessionId: ticketId } } },
+    amount_paid: amountPaid,
+    customer_email: 'client@example.com'
+  };
+}
+
+function ticket(sessionId, fields = {}) {
+  return {
+    sessionId,
+    email: 'client@example.com',
+    status: 'completed',
+    caseStatus: 'approval_pending',
+    paymentStatus: 'pending',
+    statusHistory: [],
+    extractedData: {
+      ticket_header: { citation_number: 'VERIFY-1', county: 'Harris' },
+      violator_information: { first: 'Pat', last_name: 'Client' }
+    },
+    ...fields
+  };
+}
+
+const historyCount = (ticketData, status) => (ticketData.statusHistory || []).filter(entry => entry.status === status).length;
+
+const CHECKS = [
+  ['ledger: a new event is claimed once', async () => {
+    const { ledger } = setup();
+    const event = stripeEvent('evt_new', 'checkout.session.completed', { id: 'cs_1' });
+
+    assert.deepStrictEqual(await ledger.begin(event), { duplicate: false, status: 'processing' });
+    assert.deepStrictEqual(await ledger.begin(event), { duplicate: true, status: 'processing' });
+  }],
+
+  ['ledger: a processed event is a duplicate', async () => {
+    const { ledger, db } = setup();
+    const event = stripeEvent('evt_done', 'checkout.session.completed', { id: 'cs_1' });
+
+    await ledger.begin(event);
+    await ledger.complete(event.id);
+    assert.deepStrictEqual(await ledger.begin(event), { duplicate: true, status: 'processed' });
+    assert.strictEqual(db.read('stripe-events/evt_done').attempts, 1);
+  }],
+
+  ['ledger: a stale processing claim is taken over', async () => {
+    const { ledger, db } = setup({ processingTimeoutMs: 1000 });
+    const event = stripeEvent('evt_stale', 'checkout.session.completed', { id: 'cs_1' });
+
+    await ledger.begin(event);
+    await db.collection('stripe-events').doc(event.id).update({ startedAt: new Date(Date.now() - 60 * 1000) });
+    assert.strictEqual((await ledger.begin(event)).duplicate, false);
+    assert.strictEqual(db.read('stripe-events/evt_stale').attempts, 2);
+  }],
+
+  ['ledger: a failed event is retried', async () => {
+    const { ledger, db } = setup();
+    const event = stripeEvent('evt_failed', 'checkout.session.completed', { id: 'cs_1' });
+
+    await ledger.begin(event);
+    await ledger.fail(event.id, new Error('boom'));
+    assert.strictEqual(db.read('stripe-events/evt_failed').status, 'failed');
+    assert.strictEqual(db.read('stripe-events/evt_failed').error, 'boom');
+    assert.strictEqual((await ledger.begin(event)).duplicate, false);
+    assert.strictEqual(db.read('stripe-events/evt_failed').attempts, 2);
+  }],
+
+  ['webhook: a failed ticket update fails the event, and the retry applies it', async () => {
+    const { db, deliver } = setup();
+    await db.collection('tickets').doc('t_expire').set(ticket('t_expire', { stripeCheckoutSessionId: 'cs_expire' }));
+    const event = stripeEvent('evt_expire', 'checkout.session.expired', { id: 'cs_expire', client_reference_id: 't_expire' });
+
+    db.failWrites(path => path === 'tickets/t_expire');
+    assert.strictEqual((await deliver(event)).statusCode, 500);
+    assert.strictEqual(db.read('stripe-events/evt_expire').status, 'failed');
+    assert.strictEqual(db.read('tickets/t_expire').paymentStatus, 'pending');
+
+    db.failWrites(null);
+    assert.strictEqual((await deliver(event)).statusCode, 200);
+    assert.strictEqual(db.read('stripe-events/evt_expire').status, 'processed');
+    assert.strictEqual(db.read('tickets/t_expire').paymentStatus, 'expired');
+    assert.strictEqual((await deliver(event)).duplicate, true);
+  }],
+
+  ['invoice.paid: installments applied twice are recorded once', async () => {
+    const { db, handler, discountService, sent, stripeCalls, paidInvoice } = setup();
+    const plan = PaymentPlan.create('pay_in_2', 10000).plan;
+    const { discount } = await discountService.resolve('WELCOME10', { email: 'client@example.com', totalCents: 10000 });
+    await db.collection('tickets').doc('t_plan').set(ticket('t_plan', { paymentPlan: plan, discount, stripeCheckoutSessionId: 'cs_plan' }));
+
+    const first = stripeEvent('evt_in_1', 'invoice.paid', paidInvoice(planInvoice('in_1', 't_plan', plan.installments[0].amountCents), 'pi_1'));
+    await handler.handle(first);
+    await handler.handle(first);
+
+    let ticketData = db.read('tickets/t_plan');
+    assert.strictEqual(ticketData.paymentPlan.paidCount, 1);
+    assert.strictEqual(ticketData.paymentStatus, 'partially_paid');
+    assert.strictEqual(ticketData.caseStatus, 'submitted_for_review');
+    assert.strictEqual(historyCount(ticketData, 'payment_received'), 1);
+    assert.deepStrictEqual(ticketData.paymentIntentIds, ['pi_1']);
+    assert.strictEqual(sent.emails.length, 1);
+    assert.strictEqual(db.read('promo-codes/WELCOME10').redemptionCount, 1);
+
+    const last = stripeEvent('evt_in_2', 'invoice.paid', paidInvoice(planInvoice('in_2', 't_plan', plan.installments[1].amountCents), 'pi_2'));
+    await handler.handle(last);
+    await handler.handle(last);
+
+    ticketData = db.read('tickets/t_plan');
+    assert.strictEqual(ticketData.paymentPlan.paidCount, 2);
+    assert.strictEqual(ticketData.paymentPlan.status, 'completed');
+    assert.strictEqual(ticketData.paymentStatus, 'paid');
+    assert.strictEqual(historyCount(ticketData, 'payment_plan_completed'), 1);
+    assert.deepStrictEqual(ticketData.paymentIntentIds, ['pi_1', 'pi_2']);
+    assert.deepStrictEqual(ticketData.paymentPlan.installments.map(installment => installment.paymentIntentId), ['pi_1', 'pi_2']);
+    assert.deepStrictEqual(stripeCalls.find(call => call.method === 'invoices.retrieve').params, { expand: ['payments'] });
+    assert.strictEqual(stripeCalls.filter(call => call.method === 'subscriptions.update').length, 1);
+    const installmentLogs = (await db.collection('audit-logs').where('action', '==', 'installment_paid').get()).size;
+    assert.strictEqual(installmentLogs, 2);
+  }],
+
+  ['PaymentPlan.recordPayment: a recorded invoice is left alone', async () => {
+    const plan = PaymentPlan.create('pay_in_3', 15000).plan;
+    const invoice = { ...planInvoice('in_1', 't_plan', plan.installments[0].amountCents), payment_intent: 'pi_1' };
+
+    const once = PaymentPlan.recordPayment(plan, invoice);
+    const twice = PaymentPlan.recordPayment(once.plan, invoice);
+    assert.strictEqual(once.alreadyRecorded, false);
+    assert.strictEqual(twice.alreadyRecorded, true);
+    assert.strictEqual(twice.plan, once.plan);
+    assert.strictEqual(twice.plan.paidCount, 1);
+
+    // The paid attempt wins over an earlier one that failed
+    const payments = { data: [
+      { status: 'canceled', payment: { type: 'payment_intent', payment_intent: 'pi_declined' } },
+      { status: 'paid', payment: { type: 'payment_intent', payment_intent: 'pi_paid' } }
+    ] };
+    assert.strictEqual(PaymentPlan.paymentIntentIdForInvoice({ id: 'in_2', payments }), 'pi_paid');
+  }],
+
+  ['checkout.session.completed: a payment applied twice marks the case and its linked ticket paid once', async () => {
+    const { db, handler, sent } = setup();
+    await db.collection('tickets').doc('t_paid').set(ticket('t_paid', { paymentTicketIds: ['t_paid', 't_paid_2'], stripeCheckoutSessionId: 'cs_paid' }));
+    await db.collection('tickets').doc('t_paid_2').set(ticket('t_paid_2', { parentSessionId: 't_paid', stripeCheckoutSessionId: 'cs_paid' }));
+    const event = stripeEvent('evt_paid', 'checkout.session.completed', {
+      id: 'cs_paid', mode: 'payment', client_reference_id: 't_paid', payment_intent: 'pi_paid', customer_details: { email: 'client@example.com' }
+    });
+
+    await handler.handle(event);
+    await handler.handle(event);
+
+    for (const path of ['tickets/t_paid', 'tickets/t_paid_2']) {
+      const ticketData = db.read(path);
+      assert.strictEqual(ticketData.paymentStatus, 'paid', path);
+      assert.strictEqual(ticketData.caseStatus, 'submitted_for_review', path);
+      assert.strictEqual(historyCount(ticketData, 'payment_received'), 1, path);
+    }
+    assert.strictEqual(sent.emails.length, 1);
+  }],
+
+  ['charge.refunded: a refund applied twice is recorded and notified once', async () => {
+    const { db, handler, sent } = setup();
+    await db.collection('tickets').doc('t_refund').set(ticket('t_refund', { paymentStatus: 'paid', paymentIntentIds: ['pi_refund'], paymentTicketIds: ['t_refund', 't_refund_2'] }));
+    await db.collection('tickets').doc('t_refund_2').set(ticket('t_refund_2', { paymentStatus: 'paid', parentSessionId: 't_refund' }));
+    const partial = stripeEvent('evt_refund_1', 'charge.refunded', { id: 'ch_refund', payment_intent: 'pi_refund', amount_refunded: 4000, refunded: false });
+    const full = stripeEvent('evt_refund_2', 'charge.refunded', { id: 'ch_refund', payment_intent: 'pi_refund', amount_refunded: 10000, refunded: true });
+
+    await handler.handle(partial);
+    await handler.handle(partial);
+    for (const path of ['tickets/t_refund', 'tickets/t_refund_2']) {
+      const ticketData = db.read(path);
+      assert.strictEqual(ticketData.paymentStatus, 'partially_refunded', path);
+      assert.strictEqual(historyCount(ticketData, 'payment_partially_refunded'), 1, path);
+    }
+    assert.strictEqual(db.read('tickets/t_refund').amountRefundedCents, 4000);
+    assert.strictEqual(sent.emails.length + sent.sms.length, 1);
+    assert.strictEqual((await db.collection('admin_alerts').get()).size, 1);
+
+    // A later, larger refund of the same charge is new; replaying the partial one after it is not
+    await handler.handle(full);
+    await handler.handle(full);
+    await handler.handle(partial);
+    const ticketData = db.read('tickets/t_refund');
+    assert.strictEqual(ticketData.paymentStatus, 'refunded');
+    assert.strictEqual(ticketData.amountRefundedCents, 10000);
+    assert.strictEqual(historyCount(ticketData, 'payment_refunded'), 1);
+    assert.strictEqual(sent.emails.length + sent.sms.length, 2);
+    assert.strictEqual((await db.collection('admin_alerts').get()).size, 2);
+  }],
+
+  ['charge.dispute.*: a dispute applied twice is recorded and notified once', async () => {
+    const { db, handler, sent } = setup();
+    await db.collection('tickets').doc('t_dispute').set(ticket('t_dispute', { paymentStatus: 'paid', paymentIntentIds: ['pi_dispute'] }));
+    const dispute = { id: 'dp_1', charge: 'ch_dispute', payment_intent: 'pi_dispute', reason: 'fraudulent', amount: 10000 };
+    const created = stripeEvent('evt_dispute_1', 'charge.dispute.created', { ...dispute, status: 'needs_response' });
+    const closed = stripeEvent('evt_dispute_2', 'charge.dispute.closed', { ...dispute, status: 'won' });
+
+    await handler.handle(created);
+    await handler.handle(created);
+    let ticketData = db.read('tickets/t_dispute');
+    assert.strictEqual(ticketData.paymentStatus, 'disputed');
+    assert.strictEqual(historyCount(ticketData, 'payment_disputed'), 1);
+    assert.strictEqual(sent.emails.length + sent.sms.length, 1);
+    assert.strictEqual((await db.collection('admin_alerts').get()).size, 1);
+
+    // The outcome is recorded once, and a late charge.dispute.created does not reopen it
+    await handler.handle(closed);
+    await handler.handle(closed);
+    await handler.handle(created);
+    ticketData = db.read('tickets/t_dispute');
+    assert.strictEqual(ticketData.paymentStatus, 'paid');
+    assert.strictEqual(ticketData.dispute.status, 'won');
+    assert.strictEqual(historyCount(ticketData, 'dispute_won'), 1);
+    assert.strictEqual(historyCount(ticketData, 'payment_disputed'), 1);
+    assert.strictEqual(sent.emails.length + sent.sms.length, 1);
+    assert.strictEqual((await db.collection('admin_alerts').get()).size, 2);
+  }],
+
+  ['discounts: a promo code counts once per email', async () => {
+    const { discountService } = setup();
+
+    const first = await discountService.resolve('welcome10', { email: 'Client@Example.com', totalCents: 10000 });
+    assert.strictEqual(first.success, true);
+    assert.strictEqual(first.discount.email, 'client@example.com');
+    await discountService.recordRedemption(first.discount, { ticketId: 't_1', email: 'someone-else@example.com' });
+
+    assert.strictEqual((await discountService.resolve('WELCOME10', { email: 'client@example.com', totalCents: 10000 })).success, false);
+    assert.strictEqual((await discountService.resolve('WELCOME10', { email: 'new@example.com', totalCents: 10000 })).success, true);
+    assert.strictEqual((await discountService.resolve('WELCOME10', { email: '', totalCents: 10000 })).success, false);
+  }],
+
+  ['discounts: a referral code cannot be used by its referrer', async () => {
+    const { db, discountService } = setup();
+    await db.collection('tickets').doc('t_referrer').set(ticket('t_referrer', { paymentStatus: 'paid', referralCode: 'REFVERIFY' }));
+
+    assert.strictEqual((await discountService.resolve('REFVERIFY', { email: 'CLIENT@example.com', totalCents: 10000 })).success, false);
+    assert.strictEqual((await discountService.resolve('REFVERIFY', { email: 'friend@example.com', totalCents: 10000, ticketIds: ['t_referrer'] })).success, false);
+    const friend = await discountService.resolve('REFVERIFY', { email: 'friend@example.com', totalCents: 10000 });
+    assert.strictEqual(friend.success, true);
+    assert.strictEqual(friend.discount.kind, 'referral');
+  }]
+];
+
+async function main() {
+  const log = { log: console.log, warn: console.warn, error: console.error };
+  const failures = [];
+
+  for (const [name, check] of CHECKS) {
+    if (!verbose) {
+      console.log = console.warn = console.error = () => {};
+    }
+    try {
+      await check();
+      Object.assign(console, log);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      Object.assign(console, log);
+      console.log(`❌ ${name}\n   ${error.message}`);
+      failures.push(name);
+    }
+  }
+
+  console.log(`\n${failures.length === 0 ? '✅' : '❌'} [VerifyPayments] ${CHECKS.length - failures.length}/${CHECKS.length} checks passed`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ [VerifyPayments] Failed:', error);
+  process.exit(1);
+});
@@ -1,17 +1,34 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
-const { initializeApp, cert } = require('firebase-admin/app');
-const { getFirestore, FieldValue } = require('firebase-admin/firestore');
 const Stripe = require('stripe');
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const BrevoService = require('./services/brevoService');
-const PaymentTemplates = require('./templates/paymentTemplates');
+const FirebaseAdmin = require('./utils/firebaseAdmin');
+const RequiredFields = require('./utils/requiredFields');
+const { createExtractionProviders } = require('./services/extraction/providerRegistry');
+const ExtractionPipeline = require('./services/extraction/extractionPipeline');
+const { FieldConfidence } = require('./services/extraction/fieldConfidence');
+const { TicketSchema } = require('./services/extraction/ticketSchema');
+const CitationGrouper = require('./services/extraction/citationGrouper');
+const { TicketMapper } = require('./services/tickets/ticketMapper');
+const { CANONICAL_TICKET_VERSION } = require('./services/tickets/canonicalTicket');
+const TicketEnrichment = require('./services/tickets/ticketEnrichment');
+const PricingEngine = require('./services/payments/pricingEngine');
+const DiscountService = require('./services/payments/discountService');
+const PaymentPlan = require('./services/payments/paymentPlan');
+const WebhookLedger = require('./services/payments/webhookLedger');
+const { StripeEventHandler, SETTLED_PAYMENT_STATUSES } = require('./services/payments/stripeEventHandler');
+const { PaymentReconciler } = require('./services/payments/paymentReconciler');
+const { CaseStateMachine, INITIAL_CASE_STATUS } = require('./services/tickets/caseStateMachine');
+const TicketAdmin = require('./services/tickets/ticketAdmin');
+const CasePortal = require('./services/tickets/casePortal');
+const AdminAuth = require('./utils/adminAuth');
+const Auth = require('./utils/auth');
+const TicketAccess = require('./services/tickets/ticketAccess');
 const AlertService = require('./utils/alertService');
-const PhoneHelper = require('./utils/phoneHelper');
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 
 
@@ -19,99 +36,6 @@ const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fet
 // Initialize services
 const brevoService = new BrevoService();
 
-// ✅ SIMPLE MODE SWITCH - Change this value
-const MODE = 'prod'; // Change to 'prod' for real AI extraction
-
-// ✅ MOCK DATA EXTRACTION FUNCTION
-// ✅ MOCK DATA EXTRACTION FUNCTION
-// ✅ MOCK DATA EXTRACTION FUNCTION - UPDATED TO MATCH NEW STRUCTURE
-function mockDataExtraction() {
-  console.log('🔄 Using MOCK DATA for extraction');
-
-  return {
-    ticket_header: {
-      county: "Bexar",
-      precinct: "3",
-      citation_number: "MOCK" + Math.random().toString().slice(2, 8),
-      issue_date_and_time: "09/19/2025 at 07:58 AM",
-      violation_date_and_time: "09/19/2025 at 07:58 AM"
-    },
-
-    violator_information: {
-      last_name: "DOE",
-      first: "JOHN",
-      middle: "", // ✅ Missing - will trigger form
-      residence_address: "123 MAIN ST",
-      phone: "", // ✅ Missing - will trigger form
-      city: "SAN ANTONIO",
-      state: "TX",
-      zip_code: "78201",
-      inter_license_number: "DL123456",
-      dl_class: "C",
-      dl_state: "TX",
-      cdl: "No",
-      date_of_birth: "01/01/1980",
-      sex: "M",
-      race: "H",
-      height: "510",
-      weight: "180",
-      eye_color: "BRO",
-      hair_color: "BRO"
-    },
-
-    additional_information_business: {
-      parent_employer: "",
-      address: "",
-      phone: "",
-      city: "",
-      state: "",
-      zip_code: ""
-    },
-
-    vehicle_information: {
-      license_plate: "MOCK123",
-      state: "TX",
-      reg_exp: "0126",
-      color: "BLUE",
-      make: "HONDA",
-      model: "CIVIC",
-      type: "",
-      vin: "1HGCM82633A123456",
-      year: "2022",
-      c_w: "No",
-      maxiat: "No",
-      trailer_plate: "",
-      trailer_state: "",
-      dot_number: "",
-      towed: "No"
-    },
-
-    location_information: {
-      address: "1400 E BORGFELD DR",
-      direction_of_travel: "",
-      direction_of_turn: ""
-    },
-
-    violation: {
-      citation: "Speeding in School Zone",
-      alleged_speed_mph: "44",
-      posted_speed_mph: "30",
-      case_no: "",
-      constr_zone_workers_present: "No",
-      school_zone: "Yes",
-      accident: "No",
-      knewrace: "No",
-      search: "No Search",
-      contraband: "",
-      additional_notes: "ATTENDED AND UNABLE TO VERIFY FINANCIAL RESPONSIBILITY"
-    },
-
-    email: "", // Will be provided by user
-    is_jp: "", // Missing - will trigger form
-    precinct_number: "" // Missing but not required unless JP=Y
-  };
-}
-
 // ✅ FIX: Remove dotenv or make it optional
 try {
   require('dotenv').config();
@@ -130,32 +54,34 @@ console.log('OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
 console.log('FIREBASE_PROJECT_ID exists:', !!process.env.FIREBASE_PROJECT_ID);
 console.log('FIREBASE_CLIENT_EMAIL exists:', !!process.env.FIREBASE_CLIENT_EMAIL);
 console.log('FIREBASE_PRIVATE_KEY exists:', !!process.env.FIREBASE_PRIVATE_KEY);
-console.log('🔄 CURRENT MODE:', MODE);
 
 // ✅ ADD FIREBASE ADMIN INITIALIZATION
-let db;
-try {
-  if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
-    console.log('⚠️ Firebase environment variables not found - Firestore disabled');
-  } else {
-    const adminApp = initializeApp({
-      credential: cert({
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-        privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-      }),
-    });
-    db = getFirestore(adminApp);
-    console.log('✅ Firebase Admin initialized successfully');
-  }
-} catch (firebaseError) {
-  console.error('❌ Firebase Admin initialization failed:', firebaseError.message);
-}
+const db = FirebaseAdmin.getDb();
+
+// Initialize extraction providers (EXTRACTION_PROVIDER selects the default chain)
+const extractionProviders = createExtractionProviders();
+console.log('🔄 Extraction provider chain:', extractionProviders.defaultChain.join(' → '));
+const extractionPipeline = new ExtractionPipeline({
+  providers: extractionProviders,
+  maxReasks: parseInt(process.env.EXTRACTION_MAX_REASKS || '1', 10),
+  reviewThreshold: parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD || '0.7'),
+  ...(process.env.REVIEW_FIELDS && { reviewFields: process.env.REVIEW_FIELDS.split(',').map(field => field.trim()) })
+});
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Initialize pricing (PRICE_IN_CENTS base price, PRICING_RULES_PATH optional rule override)
+const pricingEngine = PricingEngine.fromEnv();
+const discountService = DiscountService.fromEnv(db);
+const webhookLedger = new WebhookLedger({ db });
+const stripeEventHandler = new StripeEventHandler({ db, stripe, brevoService, discountService });
+
+// Initialize case lifecycle (config/caseStatuses.js)
+const caseStateMachine = new CaseStateMachine({ db, brevoService });
+const ticketAdmin = new TicketAdmin({
+  db,
+  reviewThreshold: extractionPipeline.reviewThreshold,
+  reviewFields: extractionPipeline.reviewFields
 });
+const casePortal = new CasePortal({ db });
 
 // Configure multer for multiple file uploads
 const storage = multer.diskStorage({
@@ -203,327 +129,102 @@ app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async
 
   console.log(`✅ Received Stripe event: ${event.type}`);
 
-  // 2. Handle the specific event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      const firebaseSessionId = session.client_reference_id;
-
-      console.log(`💰 [Stripe] Payment successful for session: ${firebaseSessionId}`);
-
-      try {
-        const ticketRef = db.collection('tickets').doc(firebaseSessionId);
-
-        // 1. Get current ticket data
-        const ticketDoc = await ticketRef.get();
-        if (!ticketDoc.exists) {
-          console.error(`❌ [Stripe] Ticket ${firebaseSessionId} not found in Firestore`);
-          break;
-        }
-
-        const ticketData = ticketDoc.data();
-
-        // 2. Update Firestore with payment details
-        await ticketRef.update({
-          paymentStatus: 'paid',
-          caseStatus: 'submitted_for_review',
-          paidAt: new Date(),
-          stripePaymentIntentId: session.payment_intent,
-          lastUpdated: new Date(),
-          statusHistory: FieldValue.arrayUnion({
-            status: 'payment_received',
-            timestamp: new Date(),
-            note: 'Customer completed payment via Stripe.',
-          }),
-        });
-
-        console.log(`✅ [Stripe] Firestore updated for session: ${firebaseSessionId}`);
-
-        // ==================== TASK 1: PAYMENT SUCCESS EMAIL ====================
-        if (ticketData.email) {
-          try {
-            const emailHtml = PaymentTemplates.getPaymentPaidEmail(ticketData);
-            const emailSubject = PaymentTemplates.getPaymentPaidSubject();
-
-            const emailResult = await brevoService.sendEmail({
-              to: ticketData.email,
-              subject: emailSubject,
-              htmlContent: emailHtml,
-              tags: ['payment_success']
-            });
-
-            if (emailResult.success) {
-              console.log(`✅ [Email] Payment confirmation sent to: ${ticketData.email}`);
-
-              // Log email in Firestore
-              await ticketRef.update({
-                emailsSent: FieldValue.arrayUnion({
-                  type: 'payment_paid',
-                  sentAt: new Date(),
-                  to: ticketData.email,
-                  status: 'sent',
-                  brevoMessageId: emailResult.messageId
-                })
-              });
-            } else {
-              console.error(`❌ [Email] Failed to send to ${ticketData.email}:`, emailResult.error);
-
-              // Log failure
-              await ticketRef.update({
-                emailsSent: FieldValue.arrayUnion({
-                  type: 'payment_paid',
-                  sentAt: new Date(),
-                  to: ticketData.email,
-                  status: 'failed',
-                  error: emailResult.error
-                })
-              });
-            }
-          } catch (emailError) {
-            console.error('❌ [Email] Error in email sending:', emailError);
-          }
-        } else {
-          console.log('⚠️ [Email] No email found for ticket, skipping email send.');
-        }
-
-        // ==================== TASK 2: PAYMENT SUCCESS SMS (CONDITIONAL) ====================
-        // Check if SMS should be sent
-        const smsCheck = PhoneHelper.shouldSendSms(ticketData);
-
-        if (smsCheck.shouldSend && smsCheck.phoneNumber) {
-          try {
-            const smsContent = PaymentTemplates.getPaymentPaidSms(ticketData);
-
-            const smsResult = await brevoService.sendSMS({
-              recipient: smsCheck.phoneNumber,
-              content: smsContent,
-              sender: 'TicketGuys'
-            });
-
-            if (smsResult.success) {
-              console.log(`✅ [SMS] Payment confirmation sent to: ${smsCheck.phoneNumber}`);
-
-              // Log SMS in Firestore
-              await ticketRef.update({
-                smsSent: FieldValue.arrayUnion({
-                  type: 'payment_paid',
-                  sentAt: new Date(),
-                  to: smsCheck.phoneNumber,
-                  status: 'sent',
-                  messageId: smsResult.messageId
-                })
-              });
-            } else if (!smsResult.disabled) {
-              // Only log as error if not disabled by feature flag
-              console.error(`❌ [SMS] Failed to send to ${smsCheck.phoneNumber}:`, smsResult.error);
-
-              await ticketRef.update({
-                smsSent: FieldValue.arrayUnion({
-                  type: 'payment_paid',
-                  sentAt: new Date(),
-                  to: smsCheck.phoneNumber,
-                  status: 'failed',
-                  error: smsResult.error
-                })
-              });
-            }
-          } catch (smsError) {
-            console.error('❌ [SMS] Error in SMS sending:', smsError);
-          }
-        } else {
-          console.log(`ℹ️ [SMS] SMS not sent: ${smsCheck.reason}`);
-        }
-
-        // ==================== TASK 5: CANCEL SCHEDULED RECAPTURE (FUTURE) ====================
-        // This will be implemented in Module 3
-        // await cancelScheduledRecaptureEmails(firebaseSessionId);
-
-      } catch (firestoreError) {
-        console.error('❌ [Stripe] Firestore update failed:', firestoreError);
-        // Log error but don't fail webhook
-      }
-      break;
-
-
-    // ==================== HANDLE PAYMENT FAILURES ====================
-    case 'checkout.session.async_payment_failed':
-    case 'payment_intent.payment_failed':
-
-      const failedSession = event.data.object;
-      const failedSessionId = failedSession.client_reference_id;
-
-      console.log(`💥 [Stripe] Payment failed for session: ${failedSessionId}`);
-      console.log('Failed session object:', JSON.stringify(failedSession, null, 2));
-
-
-      if (!failedSessionId) {
-        console.error('❌ [Stripe] No firebaseSessionId in failed payment metadata');
-        break;
-      }
-
-      //  console.log(`💥 [Stripe] Payment failed for session: ${failedSessionId}`);
-      const errorReason =
-        failedSession.last_payment_error?.message || 'Payment failed';
-
-      console.log(`Error: ${errorReason}`);
-
-
-      try {
-        const failedTicketRef = db.collection('tickets').doc(failedSessionId);
-        const failedTicketDoc = await failedTicketRef.get();
-
-        if (!failedTicketDoc.exists) {
-          console.error(`❌ [Stripe] Failed ticket ${failedSessionId} not found`);
-          break;
-        }
-
-        const failedTicketData = failedTicketDoc.data();
-        // DO NOT redeclare errorReason here — keep the one from failedSession
-        // DEBUG: Log ALL email fields in the document
-        console.log('🔍 DEBUG - Ticket data structure:');
-        console.log('- Root email:', failedTicketData.email);
-        console.log('- extractedData?.email:', failedTicketData.extractedData?.email);
-        console.log('- extractedData.violator_information?.email:', failedTicketData.extractedData?.violator_information?.email);
-        console.log('- Full document:', JSON.stringify(failedTicketData, null, 2));
-
-        // Update Firestore with failed status
-        await failedTicketRef.update({
-          paymentStatus: 'failed',
-          lastUpdated: new Date(),
-          statusHistory: FieldValue.arrayUnion({
-            status: 'payment_failed',
-            timestamp: new Date(),
-            note: `Payment failed: ${errorReason}`,
-          }),
-        });
+  // 2. Skip events already handled (Stripe retries until it gets a 2xx, and may send duplicates)
+  try {
+    const ledgerEntry = await webhookLedger.begin(event);
+    if (ledgerEntry.duplicate) {
+      console.log(`ℹ️ [Stripe] Event ${event.id} already ${ledgerEntry.status}, skipping`);
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (ledgerError) {
+    console.error('❌ [Stripe] Event ledger unavailable:', ledgerError);
+    return res.status(500).json({ received: false });
+  }
 
-        console.log(`✅ [Stripe] Updated ticket ${failedSessionId} to paymentStatus: failed`);
+  // 3. Handle the specific event
+  try {
+    await stripeEventHandler.handle(event);
+    await webhookLedger.complete(event.id);
+  } catch (error) {
+    console.error(`❌ [Stripe] Event ${event.id} failed:`, error);
+    await webhookLedger.fail(event.id, error);
+    return res.status(500).json({ received: false }); // ✅ Stripe retries the event
+  }
 
-        // ==================== TASK 3: PAYMENT FAILED EMAIL ====================
-        const recipientEmail =
-          failedTicketData.email ||
-          failedTicketData.extractedData?.email;
-        console.log('Resolved recipient email:', recipientEmail);
+  // 4. Acknowledge receipt of the event to Stripe
+  res.json({ received: true });
+});
 
-        if (!recipientEmail) {
-          console.error(
-            '❌ [Email] No usable email found in root or extractedData — skipping send'
-          );
-        }
 
-        if (recipientEmail) {
-
-          try {
-            const failedEmailHtml = PaymentTemplates.getPaymentFailedEmail(failedTicketData);
-            const failedEmailSubject = PaymentTemplates.getPaymentFailedSubject();
-
-            const failedEmailResult = await brevoService.sendEmail({
-              to: recipientEmail,
-
-              subject: failedEmailSubject,
-              htmlContent: failedEmailHtml,
-              tags: ['payment_failed']
-            });
-
-            if (failedEmailResult.success) {
-              console.log(`✅ [Email] Payment failed notification sent to: ${recipientEmail}`);
-
-              await failedTicketRef.update({
-                emailsSent: FieldValue.arrayUnion({
-                  type: 'payment_failed',
-                  sentAt: new Date(),
-                  to: recipientEmail,
-
-                  status: 'sent',
-                  brevoMessageId: failedEmailResult.messageId
-                })
-              });
-            } else {
-              console.error(`❌ [Email] Failed to send failure email:`, failedEmailResult.error);
-            }
-          } catch (emailError) {
-            console.error('❌ [Email] Error in failed email sending:', emailError);
-          }
-        }
+// Middleware
+app.use(express.static('.'));
+app.use(express.json());
 
-        // ==================== TASK 4: PAYMENT FAILED SMS (CONDITIONAL) ====================
-        const failedSmsCheck = PhoneHelper.shouldSendSms(failedTicketData);
-
-        if (failedSmsCheck.shouldSend && failedSmsCheck.phoneNumber) {
-          try {
-            const failedSmsContent = PaymentTemplates.getPaymentFailedSms(failedTicketData);
-
-            const failedSmsResult = await brevoService.sendSMS({
-              recipient: failedSmsCheck.phoneNumber,
-              content: failedSmsContent,
-              sender: 'TicketGuys'
-            });
-
-            if (failedSmsResult.success) {
-              console.log(`✅ [SMS] Payment failed alert sent to: ${failedSmsCheck.phoneNumber}`);
-
-              await failedTicketRef.update({
-                smsSent: FieldValue.arrayUnion({
-                  type: 'payment_failed',
-                  sentAt: new Date(),
-                  to: failedSmsCheck.phoneNumber,
-                  status: 'sent'
-                })
-              });
-            } else if (!failedSmsResult.disabled) {
-              console.error(`❌ [SMS] Failed to send failure SMS:`, failedSmsResult.error);
-            }
-          } catch (smsError) {
-            console.error('❌ [SMS] Error in failed SMS sending:', smsError);
-          }
-        }
+// Helper function to name an image downloaded from a URL
+function getUrlFilename(imageUrl) {
+  try {
+    return path.basename(new URL(imageUrl).pathname) || 'from_url';
+  } catch (e) {
+    return 'from_url';
+  }
+}
 
-        // ==================== TASK 3B: CREATE ADMIN ALERT ====================
-        const alertResult = await AlertService.createPaymentFailedAlert(
-          failedTicketData,
-          errorReason
-        );
-
-        if (alertResult.success) {
-          console.log(`✅ [Alert] Admin alert created: ${alertResult.alertId}`);
-
-          // Link alert to ticket
-          await failedTicketRef.update({
-            adminAlerts: FieldValue.arrayUnion(alertResult.alertId)
-          });
-        } else {
-          console.error(`❌ [Alert] Failed to create admin alert:`, alertResult.error);
-        }
+// Helper function to pick the email promo code limits are checked against:
+// the owner's verified sign-in email, else the email stored on the ticket
+function getDiscountEmail(user, ticketData) {
+  return (TicketAccess.isOwner(user, ticketData) && user.email) || ticketData.email || null;
+}
 
-      } catch (error) {
-        console.error('❌ [Stripe] Failed payment handler error:', error);
-      }
-      break;
+// Helper function to pick the extraction details stored with the ticket
+// (takes a merged result from extractionPipeline.merge())
+function getExtractionFields(merged) {
+  return {
+    fieldConfidence: merged.fieldConfidence, // ✅ { section: { field: { confidence, source } } }
+    needsHumanReview: merged.review.needsHumanReview,
+    lowConfidenceFields: merged.review.lowConfidenceFields,
+    extraction: {
+      provider: merged.provider,
+      confidence: merged.confidence,
+      warnings: merged.warnings,
+      analysis: merged.analysis,
+      conflicts: merged.conflicts, // ✅ Fields where pages disagreed
+      pages: merged.pages // ✅ Per page: provider, attempts, validation, repairs
+    }
+  };
+}
 
-    case 'checkout.session.expired':
-      // Optional: Handle expired sessions
-      const expiredSession = event.data.object;
-      // You could update Firestore to `paymentStatus: 'expired'`
-      break;
+// Helper function to load a payable ticket and the unpaid linked citations from the same stop
+// (returns { error, statusCode } when the ticket cannot be paid)
+async function getPayableCitations(sessionId) {
+  const ticketRef = db.collection('tickets').doc(sessionId);
+  const ticketDoc = await ticketRef.get();
 
-    // Add other events you want to handle, like payment failure
-    default:
-      console.log(`🔔 Unhandled event type: ${event.type}`);
+  if (!ticketDoc.exists) {
+    return { error: 'Ticket session not found.', statusCode: 404 };
   }
 
-  // 3. Acknowledge receipt of the event to Stripe
-  res.json({ received: true });
-});
-
+  const ticketData = ticketDoc.data();
+  if (SETTLED_PAYMENT_STATUSES.includes(ticketData.paymentStatus)) {
+    return { error: 'Ticket already paid.', statusCode: 400 };
+  }
+  if (!['extracted', 'completed'].includes(ticketData.status)) {
+    // Ensure it's only payable if data has been submitted
+    return { error: 'Ticket not ready for payment.', statusCode: 400 };
+  }
 
-// Middleware
-app.use(express.static('.'));
-app.use(express.json());
+  const citations = [{
+    ticketId: sessionId,
+    citationNumber: TicketMapper.toCanonical(ticketData.extractedData).ticket_header.citation_number,
+    ticketData
+  }];
+  for (const linked of ticketData.linkedTickets || []) {
+    const linkedDoc = await db.collection('tickets').doc(linked.ticketId).get();
+    if (linkedDoc.exists && !SETTLED_PAYMENT_STATUSES.includes(linkedDoc.data().paymentStatus)) {
+      citations.push({ ticketId: linked.ticketId, citationNumber: linked.citationNumber, ticketData: linkedDoc.data() });
+    }
+  }
 
-// Helper function to convert image to base64
-function encodeImageToBase64(imagePath) {
-  const imageBuffer = fs.readFileSync(imagePath);
-  return imageBuffer.toString('base64');
+  return { ticketRef, ticketData, citations };
 }
 
 // Helper function to get image info
@@ -538,115 +239,14 @@ function getImageInfo(filePath, originalname) {
   };
 }
 
-// ✅ ✅ ✅ ADD THIS NEW FUNCTION RIGHT HERE ✅ ✅ ✅
-function checkMissingFields(extractedData, userEmail) {
-  const requiredFields = [
-    'email',
-    'first_name',  // This should now match `violator_information.first`
-    'middle_name', // This should now match `violator_information.middle`
-    'last_name',   // This should now match `violator_information.last_name`
-    'infraction_violation', // This should now match `violation.citation`
-    'phone_number', // This should now match `violator_information.phone`
-    'county',      // This should now match `ticket_header.county`
-    'is_jp'
-  ];
-
-  const missingFields = [];
-
-  requiredFields.forEach(field => {
-    if (field === 'email') {
-      if (!userEmail || userEmail.trim() === '') {
-        missingFields.push('email');
-      }
-    }
-    else if (field === 'first_name') {
-      // Now lowercase 'first' instead of 'FIRST'
-      if (!extractedData.violator_information?.first ||
-        extractedData.violator_information.first.trim() === '') {
-        missingFields.push('first_name');
-      }
-    }
-    else if (field === 'middle_name') {
-      // Now lowercase 'middle' instead of 'MIDDLE'
-      if (!extractedData.violator_information?.middle ||
-        extractedData.violator_information.middle.trim() === '') {
-        missingFields.push('middle_name');
-      }
-    }
-    else if (field === 'last_name') {
-      // Now lowercase 'last_name' instead of 'LAST_NAME'
-      if (!extractedData.violator_information?.last_name ||
-        extractedData.violator_information.last_name.trim() === '') {
-        missingFields.push('last_name');
-      }
-    }
-    else if (field === 'phone_number') {
-      // Now lowercase 'phone' instead of 'PHONE'
-      if (!extractedData.violator_information?.phone ||
-        extractedData.violator_information.phone.trim() === '') {
-        missingFields.push('phone_number');
-      }
-    }
-    else if (field === 'infraction_violation') {
-      // Now lowercase 'citation' instead of 'CITATION'
-      if (!extractedData.violation?.citation ||
-        extractedData.violation.citation.trim() === '') {
-        missingFields.push('infraction_violation');
-      }
-    }
-    else if (field === 'county') {
-      // Now lowercase 'county' instead of 'County'
-      if (!extractedData.ticket_header?.county ||
-        extractedData.ticket_header.county.trim() === '') {
-        missingFields.push('county');
-      }
-    }
-    else if (!extractedData[field] || extractedData[field].toString().trim() === '') {
-      missingFields.push(field);
-    }
-  });
-
-  // Special check: If JP=Y, precinct is required
-  const isJp = extractedData.is_jp || "";
-  if (isJp === 'Y' && (!extractedData.precinct_number || extractedData.precinct_number.trim() === '')) {
-    missingFields.push('precinct_number');
-  }
-
-  return missingFields;
-}
-// ✅ ✅ ✅ END OF NEW FUNCTION ✅ ✅ ✅
-// ✅ ✅ ✅ ADD THIS NEW FUNCTION RIGHT HERE ✅ ✅ ✅
-function removeUndefinedValues(obj) {
-  if (typeof obj !== 'object' || obj === null) return obj;
-
-  const cleaned = {};
-  for (const [key, value] of Object.entries(obj)) {
-    if (value !== undefined) {
-      cleaned[key] = typeof value === 'object' ? removeUndefinedValues(value) : value;
-    }
-  }
-  return cleaned;
-}
-// ✅ ✅ ✅ END OF NEW FUNCTION ✅ ✅ ✅
-
 // ✅ ENHANCED: Function to save extracted data to Firestore WITH DASHBOARD FIELDS
-async function saveToFirestore(sessionId, userId, extractedData, filename, email, dataSource = 'ai_extraction') {
+async function saveToFirestore(sessionId, userId, extractedData, filename, email, dataSource = 'ai_extraction', extraFields = {}) {
   if (!db) {
     console.log('⚠️ Firestore not available - skipping database save');
     return false;
   }
 
   try {
-    // ✅ STATUS MESSAGES FOR DASHBOARD (CLIENTS SEE THESE)
-    const statusMessages = {
-      approval_pending: "We need more information before approving your case. You will receive a call or email requesting additional information. If you have already been contacted by our team, please upload the requested documents below.",
-      case_approved: "Congratulations! Your case is approved. You'll receive an email when the status of your case changes or if we need any communications from you.",
-      case_in_progress: "Your case is in progress. If you have not received any calls or emails from us, it means our legal team is working on your case. You'll receive an email when the status of your case changes.",
-      case_dismissed: "Congratulations. Our legal team has won your case. No further action is needed unless our legal team contacts you.",
-      case_appealed: "Your case has been appealed. Our legal team is working on the next steps. You'll receive updates via email.",
-      case_requires_attention: "Your case requires additional attention. Our team will contact you shortly with more information."
-    };
-
     // ✅ DIFFERENT STATUS BASED ON DATA SOURCE
     let status, statusNote;
 
@@ -658,12 +258,17 @@ async function saveToFirestore(sessionId, userId, extractedData, filename, email
       statusNote = 'Ticket uploaded and AI extraction completed';
     }
 
+    // ✅ DERIVED FIELDS (normalized values, VIN check) FOR EVERY INTAKE SOURCE
+    const enrichment = TicketEnrichment.apply(extractedData);
+
     // ✅ CREATE/UPDATE TICKET WITH DASHBOARD FIELDS
     await db.collection('tickets').doc(sessionId).set({
       // Your existing fields:
       status: status, // ✅ Now dynamic
       processingStatus: 'completed',
-      extractedData: extractedData,
+      extractedData: enrichment.extractedData, // ✅ Canonical ticket shape (services/tickets/canonicalTicket.js)
+      extractedDataVersion: CANONICAL_TICKET_VERSION,
+      ...enrichment.fields, // ✅ normalizedData, vinCheck
       extractedAt: new Date(),
       userId: userId,
       email: email,
@@ -671,16 +276,17 @@ async function saveToFirestore(sessionId, userId, extractedData, filename, email
       sessionId: sessionId,
       createdAt: new Date(),
       dataSource: dataSource, // ✅ Track the source
+      ...extraFields, // ✅ Extraction provider, confidence, review flags
 
       // ✅ NEW DASHBOARD FIELDS:
-      caseStatus: 'approval_pending', // Default starting status
+      caseStatus: INITIAL_CASE_STATUS, // Default starting status (config/caseStatuses.js)
       statusHistory: [{
-        status: 'approval_pending',
+        status: INITIAL_CASE_STATUS,
         timestamp: new Date(),
         updatedBy: 'system',
         notes: statusNote // ✅ Correct note for each type
       }],
-      clientMessages: statusMessages,
+      clientMessages: CaseStateMachine.clientMessages(), // ✅ STATUS MESSAGES FOR DASHBOARD (CLIENTS SEE THESE)
       requiredDocuments: [], // For upload functionality
       lastUpdated: new Date()
     }, { merge: true });
@@ -698,6 +304,14 @@ async function saveToFirestore(sessionId, userId, extractedData, filename, email
       status: 'success'
     });
 
+    // ✅ ALERT STAFF WHEN THE EXTRACTION NEEDS HUMAN REVIEW
+    if (extraFields.needsHumanReview) {
+      await AlertService.createLowConfidenceAlert(
+        { sessionId, email, extractedData: enrichment.extractedData },
+        extraFields.lowConfidenceFields || []
+      );
+    }
+
     return true;
   } catch (error) {
     console.error('❌ Error saving to Firestore:', error);
@@ -721,11 +335,20 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// ✅ LIST EXTRACTION PROVIDERS (name, configured, part of default chain)
+app.get('/extraction-providers', (req, res) => {
+  res.json({
+    defaultChain: extractionProviders.defaultChain,
+    providers: extractionProviders.list()
+  });
+});
+
 // MULTI-IMAGE DATA EXTRACTION ENDPOINT - UPDATED
-app.post('/extract-data', upload.array('images', 5), async (req, res) => {
+app.post('/extract-data', Auth.requireUser, upload.array('images', 5), Auth.requireTicketAccess(db, req => req.body.sessionId), async (req, res) => {
   const startTime = Date.now();
 
-  const { sessionId, userId, dataSource = 'desktop_upload' } = req.body;
+  const { sessionId, dataSource = 'desktop_upload', provider: requestedProvider } = req.body;
+  let userId = req.user.uid; // ✅ Owner comes from the verified ID token, never the request body
 
   // ADD THIS STATUS CHECK BEFORE PROCESSING FILES
   if (sessionId && db) {
@@ -737,6 +360,10 @@ app.post('/extract-data', upload.array('images', 5), async (req, res) => {
         message: 'This ticket has already been processed. Please start a new session.'
       });
     }
+    // ✅ Staff re-extracting a client's ticket keep the client as its owner
+    if (existingTicket.exists && existingTicket.data().userId) {
+      userId = existingTicket.data().userId;
+    }
   }
 
   console.log('🔄 Processing extraction request:', {
@@ -758,9 +385,20 @@ app.post('/extract-data', upload.array('images', 5), async (req, res) => {
       return res.status(400).json({ error: 'No image files uploaded' });
     }
 
+    // ✅ PER-REQUEST PROVIDER SELECTION
+    if (requestedProvider && !extractionProviders.has(requestedProvider)) {
+      for (const file of req.files) {
+        try { fs.unlinkSync(file.path); } catch (e) { }
+      }
+      return res.status(400).json({
+        error: `Unknown extraction provider: ${requestedProvider}`,
+        providers: extractionProviders.list()
+      });
+    }
+
     // Array to hold results for each image
     const results = [];
-    let firstExtractedData = null; // ✅ ADD THIS
+    const pages = []; // ✅ Successful extractions, merged into one ticket below
 
   // 🔥 PROGRESS TRACKING----2
     if (sessionId && db) {
@@ -769,188 +407,22 @@ app.post('/extract-data', upload.array('images', 5), async (req, res) => {
     }
 
     for (const file of req.files) {
+      let extraction = null;
       let extractedData = {};
       let analysis = "";
       let imageInfo = getImageInfo(file.path, file.originalname);
 
       try {
-        const imageBase64 = encodeImageToBase64(file.path);
-
-        // ✅ SIMPLE SWITCH: TEST vs PROD
-        if (MODE === 'test') {
-          // USE MOCK DATA
-          console.log('🔄 Using MOCK DATA for extraction (TEST mode)');
-          extractedData = mockDataExtraction();
-          analysis = "Mock data generated for testing - MODE: test";
-        } else {
-          // USE REAL OPENAI API
-          console.log('🔄 Using REAL OpenAI API (PROD mode)');
-
-          // Prepare prompt for structured data extraction
-
-          const systemPrompt = `You are an expert data extraction system for Texas traffic violation tickets. Extract EVERY FIELD from the ticket image and organize it into this EXACT JSON structure:
-
-{
-  "ticket_header": {
-    "county": "[County name]",
-    "precinct": "[Precinct number]",
-    "citation_number": "[Citation number]",
-    "issue_date_and_time": "[Issue date and time]",
-    "violation_date_and_time": "[Violation date and time]"
-  },
-
-  "violator_information": {
-    "last_name": "[Last name]",
-    "first": "[First name]",
-    "middle": "[Middle name]",
-    "residence_address": "[Street address]",
-    "phone": "[Phone number or empty]",
-    "city": "[City]",
-    "state": "[State]",
-    "zip_code": "[ZIP code]",
-    "inter_license_number": "[Driver license number]",
-    "dl_class": "[License class]",
-    "dl_state": "[License state]",
-    "cdl": "[Yes/No]",
-    "date_of_birth": "[Date of birth]",
-    "sex": "[M/F]",
-    "race": "[Race code]",
-    "height": "[Height in inches]",
-    "weight": "[Weight in lbs]",
-    "eye_color": "[Eye color]",
-    "hair_color": "[Hair color]"
-  },
-
-  "additional_information_business": {
-    "parent_employer": "[Usually 'PARENT / EMPLOYER' or empty]",
-    "address": "[Address or empty]",
-    "phone": "[Phone or empty]",
-    "city": "[City or empty]",
-    "state": "[State or empty]",
-    "zip_code": "[ZIP or empty]"
-  },
-
-  "vehicle_information": {
-    "license_plate": "[License plate]",
-    "state": "[State]",
-    "reg_exp": "[Registration expiration]",
-    "color": "[Vehicle color]",
-    "make": "[Make]",
-    "model": "[Model]",
-    "type": "[Vehicle type or empty]",
-    "vin": "[VIN number]",
-    "year": "[Year]",
-    "c_w": "[Yes/No]",
-    "maxiat": "[Yes/No]",
-    "trailer_plate": "[Trailer plate or empty]",
-    "trailer_state": "[Trailer state or empty]",
-    "dot_number": "[DOT number or empty]",
-    "towed": "[Yes/No]"
-  },
-
-  "location_information": {
-    "address": "[Violation location address]",
-    "direction_of_travel": "[Direction or empty]",
-    "direction_of_turn": "[Direction or empty]"
-  },
-
-  "violation": {
-    "citation": "[Violation description]",
-    "alleged_speed_mph": "[Speed]",
-    "posted_speed_mph": "[Speed limit]",
-    "case_no": "[Case number or empty]",
-    "constr_zone_workers_present": "[Yes/No]",
-    "school_zone": "[Yes/No]",
-    "accident": "[Yes/No]",
-    "knewrace": "[Yes/No]",
-    "search": "[Search details]",
-    "contraband": "[Contraband or empty]",
-    "additional_notes": "[Any additional text]"
-  }
-}
-
-CRITICAL RULES:
-1. Use EXACTLY these lowercase field names (snake_case)
-2. All fields MUST be included even if empty
-3. Map data from ticket to matching fields
-4. Preserve original text from ticket
-5. Return ONLY JSON, no explanations
-
-Now extract all data from the traffic ticket image.`;
-
-          const userPrompt = `Extract all data from this Texas traffic citation image and format it as JSON using the exact structure provided.`;
-
-          const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-              {
-                role: "system",
-                content: systemPrompt
-              },
-              {
-                role: "user",
-                content: [
-                  {
-                    type: "text",
-                    text: userPrompt
-                  },
-                  {
-                    type: "image_url",
-                    image_url: {
-                      url: `data:image/jpeg;base64,${imageBase64}`,
-                      detail: "high"
-                    }
-                  }
-                ]
-              }
-            ],
-            max_tokens: 2000,
-            temperature: 0.1
-          });
-
-          const aiResponse = response.choices[0].message.content;
-
-          // Try to parse JSON from the response
-          try {
-            // Look for JSON in the response
-            const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/) ||
-              aiResponse.match(/```([\s\S]*?)```/) ||
-              aiResponse.match(/\{[\s\S]*\}/);
-
-            if (jsonMatch) {
-              const jsonString = jsonMatch[1] || jsonMatch[0];
-              extractedData = JSON.parse(jsonString);
-              analysis = aiResponse.replace(jsonMatch[0], '').trim();
-              if (!analysis) analysis = "Data successfully extracted from the image.";
-            } else {
-              try {
-                extractedData = JSON.parse(aiResponse);
-                analysis = "Data successfully extracted and parsed.";
-              } catch (e) {
-                extractedData = { rawText: aiResponse };
-                analysis = "Could not parse structured data, raw text provided.";
-              }
-            }
-          } catch (parseError) {
-            extractedData = { error: "Could not parse structured data", rawResponse: aiResponse };
-            analysis = "The AI provided a response but it could not be parsed as structured JSON.";
-          }
-        }
-
-        // ✅ STORE FIRST EXTRACTED DATA FOR MISSING FIELDS CHECK
-        if (!firstExtractedData) {
-          firstExtractedData = extractedData; // ✅ Store for later use
-        }
-
-        // ✅ SAVE TO FIRESTORE AFTER SUCCESSFUL EXTRACTION
-        if (sessionId && userId) {
-          const userEmail = req.body.email;
-
-          const saveSuccess = await saveToFirestore(sessionId, userId, extractedData, file.originalname, userEmail, 'ai_extraction');
-          if (saveSuccess) {
-            console.log('✅ Data saved to Firestore for user:', userId);
-          }
-        }
+        // ✅ SHARED EXTRACTION PIPELINE
+        extraction = await extractionPipeline.run({
+          imageBuffer: fs.readFileSync(file.path),
+          mimeType: file.mimetype,
+          filename: file.originalname,
+          provider: requestedProvider
+        });
+        extractedData = extraction.data;
+        analysis = extraction.analysis;
+        pages.push({ filename: file.originalname, extraction });
 
       } catch (imgErr) {
         console.error('❌ Extraction error:', imgErr);
@@ -964,11 +436,61 @@ Now extract all data from the traffic ticket image.`;
         filename: file.originalname,
         extractedData,
         analysis,
+        confidence: extraction ? extraction.confidence : 0,
+        fieldConfidence: extraction ? extraction.fieldConfidence : {},
+        needsHumanReview: extraction ? extraction.review.needsHumanReview : true,
+        lowConfidenceFields: extraction ? extraction.review.lowConfidenceFields : [],
+        warnings: extraction ? extraction.warnings : [],
         imageInfo,
-        savedToFirestore: !!(sessionId && userId)
+        extractionProvider: extraction ? extraction.provider : null
       });
     }
 
+    // ✅ SPLIT PAGES BY CITATION NUMBER, THEN MERGE EACH CITATION'S PAGES (front/back/extra)
+    // The first citation keeps tickets/{sessionId}; extra citations become linked child tickets
+    const citations = CitationGrouper.group(pages).map((group, index) => ({
+      ticketId: sessionId ? (index === 0 ? sessionId : `${sessionId}_${index + 1}`) : null,
+      citationNumber: group.citationNumber,
+      pages: group.pages,
+      merged: extractionPipeline.merge(group.pages)
+    })).map(citation => ({
+      ...citation,
+      // ✅ Canonical ticket with derived fields (county/court match, VIN check, normalized values)
+      enrichment: TicketEnrichment.apply(TicketMapper.fromAiExtraction(citation.merged.data, { email: req.body.email }))
+    }));
+    const merged = citations.length > 0 ? citations[0].merged : null;
+    let savedToFirestore = false;
+
+    if (citations.length > 1) {
+      console.log(`🧾 Detected ${citations.length} citations in one upload:`, citations.map(c => c.citationNumber).join(', '));
+    }
+
+    // ✅ SAVE ONE CONSOLIDATED TICKET PER CITATION TO FIRESTORE
+    if (merged && sessionId && userId) {
+      const userEmail = req.body.email;
+      const linkedTickets = citations.slice(1).map(citation => ({
+        ticketId: citation.ticketId,
+        citationNumber: citation.merged.data.ticket_header.citation_number
+      }));
+
+      for (const [index, citation] of citations.entries()) {
+        const saveSuccess = await saveToFirestore(citation.ticketId, userId, citation.enrichment.extractedData, citation.pages[0].filename, userEmail, 'ai_extraction', {
+          ...getExtractionFields(citation.merged),
+          fileNames: citation.pages.map(page => page.filename),
+          citationCount: citations.length,
+          ...(index === 0
+            ? { linkedTickets }
+            : { parentSessionId: sessionId, citationIndex: index + 1 })
+        });
+        if (index === 0) {
+          savedToFirestore = saveSuccess;
+        }
+        if (saveSuccess) {
+          console.log(`✅ Ticket ${citation.ticketId} (${citation.pages.length} page(s)) saved to Firestore for user:`, userId);
+        }
+      }
+    }
+
     const processingTime = Date.now() - startTime;
 
       // 🔥 PROGRESS TRACKING----3
@@ -977,8 +499,9 @@ Now extract all data from the traffic ticket image.`;
       await sessionRef.update({ uploadStatus: 'completed', uploadProgress: 100 });
     }
 
+    const mergedData = merged ? citations[0].enrichment.extractedData : TicketSchema.createEmptyTicket();
+    const requirements = RequiredFields.check(mergedData, { context: { email: req.body.email } });
 
-    // ✅ FIXED: Use firstExtractedData which is now defined
     res.json({
       success: true,
       processingTime,
@@ -986,8 +509,38 @@ Now extract all data from the traffic ticket image.`;
       sessionId,
       userId,
       results,
-      missingFields: checkMissingFields(firstExtractedData, req.body.email), // ✅ FIXED
-      isComplete: checkMissingFields(firstExtractedData, req.body.email).length === 0 // ✅ FIXED
+      merged: merged && {
+        extractedData: mergedData,
+        ...citations[0].enrichment.fields,
+        analysis: merged.analysis,
+        confidence: merged.confidence,
+        fieldConfidence: merged.fieldConfidence,
+        conflicts: merged.conflicts,
+        warnings: merged.warnings,
+        pages: citations[0].pages.map(page => page.filename)
+      },
+      // ✅ ONE ENTRY PER CITATION, EACH WITH ITS OWN MISSING-FIELD CHECK
+      citations: citations.map(citation => {
+        const citationRequirements = RequiredFields.check(citation.enrichment.extractedData, { context: { email: req.body.email } });
+        return {
+          ticketId: citation.ticketId,
+          citationNumber: citation.merged.data.ticket_header.citation_number,
+          pages: citation.pages.map(page => page.filename),
+          extractedData: citation.enrichment.extractedData,
+          ...citation.enrichment.fields,
+          conflicts: citation.merged.conflicts,
+          needsHumanReview: citation.merged.review.needsHumanReview,
+          missingFields: citationRequirements.missingFields,
+          invalidFields: citationRequirements.invalidFields,
+          isComplete: citationRequirements.isComplete
+        };
+      }),
+      savedToFirestore,
+      needsHumanReview: merged ? merged.review.needsHumanReview : true,
+      lowConfidenceFields: merged ? merged.review.lowConfidenceFields : [],
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields,
+      isComplete: requirements.isComplete
     });
 
   } catch (error) {
@@ -1006,10 +559,11 @@ Now extract all data from the traffic ticket image.`;
 });
 
 // ✅ NEW ENDPOINT FOR MOBILE UPLOADS (IMAGE URLS)
-app.post('/extract-data-from-url', async (req, res) => {
+app.post('/extract-data-from-url', Auth.requireUser, Auth.requireTicketAccess(db, req => req.body.sessionId), async (req, res) => {
   const startTime = Date.now();
 
-  const { imageUrl, sessionId, userId, dataSource = 'mobile_upload' } = req.body;
+  const { imageUrl, sessionId, dataSource = 'mobile_upload', provider: requestedProvider } = req.body;
+  let userId = req.user.uid; // ✅ Owner comes from the verified ID token, never the request body
 
   console.log('🔄 Processing extraction from URL:', {
     sessionId,
@@ -1027,6 +581,10 @@ app.post('/extract-data-from-url', async (req, res) => {
         message: 'This ticket has already been processed. Please start a new session.'
       });
     }
+    // ✅ Staff re-extracting a client's ticket keep the client as its owner
+    if (existingTicket.exists && existingTicket.data().userId) {
+      userId = existingTicket.data().userId;
+    }
   }
 
   try {
@@ -1034,188 +592,48 @@ app.post('/extract-data-from-url', async (req, res) => {
       return res.status(400).json({ error: 'No image URL provided' });
     }
 
+    // ✅ PER-REQUEST PROVIDER SELECTION
+    if (requestedProvider && !extractionProviders.has(requestedProvider)) {
+      return res.status(400).json({
+        error: `Unknown extraction provider: ${requestedProvider}`,
+        providers: extractionProviders.list()
+      });
+    }
+
     // Download image from URL
     const imageResponse = await fetch(imageUrl);
     if (!imageResponse.ok) {
       throw new Error(`Failed to download image: ${imageResponse.statusText}`);
     }
 
-    const imageBuffer = await imageResponse.arrayBuffer();
-    const imageBase64 = Buffer.from(imageBuffer).toString('base64');
+    const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
+    const filename = getUrlFilename(imageUrl);
 
-    let extractedData = {};
-    let analysis = "";
-
-    // ✅ SIMPLE SWITCH: TEST vs PROD
-    if (MODE === 'test') {
-      // USE MOCK DATA
-      console.log('🔄 Using MOCK DATA for URL extraction (TEST mode)');
-      extractedData = mockDataExtraction();
-      analysis = "Mock data generated for testing - MODE: test";
-    } else {
-      // USE REAL OPENAI API
-      console.log('🔄 Using REAL OpenAI API for URL extraction (PROD mode)');
-
-      // Replace the current systemPrompt with this:
-      const systemPrompt = `You are an expert data extraction system for Texas traffic violation tickets. Extract EVERY FIELD from the ticket image and organize it into this EXACT JSON structure:
-
-{
-  "ticket_header": {
-    "county": "[County name]",
-    "precinct": "[Precinct number]",
-    "citation_number": "[Citation number]",
-    "issue_date_and_time": "[Issue date and time]",
-    "violation_date_and_time": "[Violation date and time]"
-  },
-
-  "violator_information": {
-    "last_name": "[Last name]",
-    "first": "[First name]",
-    "middle": "[Middle name]",
-    "residence_address": "[Street address]",
-    "phone": "[Phone number or empty]",
-    "city": "[City]",
-    "state": "[State]",
-    "zip_code": "[ZIP code]",
-    "inter_license_number": "[Driver license number]",
-    "dl_class": "[License class]",
-    "dl_state": "[License state]",
-    "cdl": "[Yes/No]",
-    "date_of_birth": "[Date of birth]",
-    "sex": "[M/F]",
-    "race": "[Race code]",
-    "height": "[Height in inches]",
-    "weight": "[Weight in lbs]",
-    "eye_color": "[Eye color]",
-    "hair_color": "[Hair color]"
-  },
-
-  "additional_information_business": {
-    "parent_employer": "[Usually 'PARENT / EMPLOYER' or empty]",
-    "address": "[Address or empty]",
-    "phone": "[Phone or empty]",
-    "city": "[City or empty]",
-    "state": "[State or empty]",
-    "zip_code": "[ZIP or empty]"
-  },
-
-  "vehicle_information": {
-    "license_plate": "[License plate]",
-    "state": "[State]",
-    "reg_exp": "[Registration expiration]",
-    "color": "[Vehicle color]",
-    "make": "[Make]",
-    "model": "[Model]",
-    "type": "[Vehicle type or empty]",
-    "vin": "[VIN number]",
-    "year": "[Year]",
-    "c_w": "[Yes/No]",
-    "maxiat": "[Yes/No]",
-    "trailer_plate": "[Trailer plate or empty]",
-    "trailer_state": "[Trailer state or empty]",
-    "dot_number": "[DOT number or empty]",
-    "towed": "[Yes/No]"
-  },
-
-  "location_information": {
-    "address": "[Violation location address]",
-    "direction_of_travel": "[Direction or empty]",
-    "direction_of_turn": "[Direction or empty]"
-  },
-
-  "violation": {
-    "citation": "[Violation description]",
-    "alleged_speed_mph": "[Speed]",
-    "posted_speed_mph": "[Speed limit]",
-    "case_no": "[Case number or empty]",
-    "constr_zone_workers_present": "[Yes/No]",
-    "school_zone": "[Yes/No]",
-    "accident": "[Yes/No]",
-    "knewrace": "[Yes/No]",
-    "search": "[Search details]",
-    "contraband": "[Contraband or empty]",
-    "additional_notes": "[Any additional text]"
-  }
-}
-
-CRITICAL RULES:
-1. Use EXACTLY these lowercase field names (snake_case)
-2. All fields MUST be included even if empty
-3. Map data from ticket to matching fields
-4. Preserve original text from ticket
-5. Return ONLY JSON, no explanations
-
-Now extract all data from the traffic ticket image.`;
-
-      const userPrompt = `Extract all data from this Texas traffic citation image and format it as JSON using the exact structure provided.`;
-
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt
-          },
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: userPrompt
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${imageBase64}`,
-                  detail: "high"
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 1500,
-        temperature: 0.1
-      });
-
-      const aiResponse = response.choices[0].message.content;
+    // ✅ SHARED EXTRACTION PIPELINE
+    const extraction = await extractionPipeline.run({
+      imageBuffer,
+      mimeType: imageResponse.headers.get('content-type') || 'image/jpeg',
+      filename,
+      provider: requestedProvider
+    });
+    const analysis = extraction.analysis;
 
-      // Parse JSON from response (same as your existing code)
-      try {
-        const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/) ||
-          aiResponse.match(/```([\s\S]*?)```/) ||
-          aiResponse.match(/\{[\s\S]*\}/);
-
-        if (jsonMatch) {
-          const jsonString = jsonMatch[1] || jsonMatch[0];
-          extractedData = JSON.parse(jsonString);
-          analysis = aiResponse.replace(jsonMatch[0], '').trim();
-          if (!analysis) analysis = "Data successfully extracted from the image.";
-        } else {
-          try {
-            extractedData = JSON.parse(aiResponse);
-            analysis = "Data successfully extracted and parsed.";
-          } catch (e) {
-            extractedData = { rawText: aiResponse };
-            analysis = "Could not parse structured data, raw text provided.";
-          }
-        }
-      } catch (parseError) {
-        extractedData = { error: "Could not parse structured data", rawResponse: aiResponse };
-        analysis = "The AI provided a response but it could not be parsed as structured JSON.";
-      }
-    }
+    // ✅ Canonical ticket with derived fields (county/court match, VIN check, normalized values)
+    const enrichment = TicketEnrichment.apply(TicketMapper.fromAiExtraction(extraction.data, { email: req.body.email }));
+    const extractedData = enrichment.extractedData;
 
     // Save to Firestore
     if (sessionId && userId) {
       const userEmail = req.body.email;
 
-      const saveSuccess = await saveToFirestore(sessionId, userId, extractedData, 'mobile_upload', userEmail, 'ai_extraction');
+      const saveSuccess = await saveToFirestore(sessionId, userId, extractedData, filename, userEmail, 'ai_extraction', getExtractionFields(extractionPipeline.merge([{ filename, extraction }])));
       if (saveSuccess) {
         console.log('✅ Data saved to Firestore for user:', userId);
       }
     }
 
     const processingTime = Date.now() - startTime;
+    const requirements = RequiredFields.check(extractedData, { context: { email: req.body.email } });
 
     res.json({
       success: true,
@@ -1223,15 +641,24 @@ Now extract all data from the traffic ticket image.`;
       sessionId,
       userId,
       results: [{
-        filename: 'from_url',
+        filename,
         extractedData,
+        ...enrichment.fields,
         analysis,
-        imageInfo: { size: 'Unknown', type: 'from_url', dimensions: 'Unknown' },
+        confidence: extraction.confidence,
+        fieldConfidence: extraction.fieldConfidence,
+        needsHumanReview: extraction.review.needsHumanReview,
+        lowConfidenceFields: extraction.review.lowConfidenceFields,
+        warnings: extraction.warnings,
+        imageInfo: { size: `${(imageBuffer.length / 1024).toFixed(2)} KB`, type: 'from_url', dimensions: 'Unknown' },
+        extractionProvider: extraction.provider,
         savedToFirestore: !!(sessionId && userId)
       }],
+      needsHumanReview: extraction.review.needsHumanReview,
       // ✅ ADD THESE 2 NEW FIELDS:
-      missingFields: checkMissingFields(extractedData, req.body.email),
-      isComplete: checkMissingFields(extractedData, req.body.email).length === 0
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields,
+      isComplete: requirements.isComplete
     });
 
   } catch (error) {
@@ -1244,7 +671,7 @@ Now extract all data from the traffic ticket image.`;
 });
 
 // ✅ FIXED & PRODUCTION-SAFE UPDATE ENDPOINT
-app.post('/update-ticket', async (req, res) => {
+app.post('/update-ticket', Auth.requireUser, Auth.requireTicketAccess(db, req => req.body.sessionId), async (req, res) => {
   const { sessionId, missingFieldsData } = req.body;
 
 
@@ -1274,11 +701,31 @@ app.post('/update-ticket', async (req, res) => {
     // Prepare update payload
     const updateData = {};
 
-    // 1) Update extractedData fields
+    // 1) Update extractedData fields (form names mapped to canonical paths)
+    const updatedExtractedData = TicketMapper.toCanonical(currentTicket.extractedData);
     Object.keys(missingFieldsData).forEach(field => {
-      updateData[`extractedData.${field}`] = missingFieldsData[field];
+      const fieldPath = TicketMapper.pathForField(field);
+      FieldConfidence.setPath(updatedExtractedData, fieldPath, missingFieldsData[field]);
     });
 
+    // 1b) User-entered values carry full confidence; re-check the review flag
+    const fieldConfidence = { ...(currentTicket.fieldConfidence || {}) };
+    Object.keys(missingFieldsData).forEach(field => {
+      const fieldPath = TicketMapper.pathForField(field);
+      const entry = FieldConfidence.userEntered();
+      updateData[`fieldConfidence.${fieldPath}`] = entry;
+      FieldConfidence.setPath(fieldConfidence, fieldPath, entry);
+    });
+
+    if (currentTicket.fieldConfidence) {
+      const review = FieldConfidence.review(fieldConfidence, {
+        threshold: extractionPipeline.reviewThreshold,
+        fields: extractionPipeline.reviewFields
+      });
+      updateData.needsHumanReview = review.needsHumanReview;
+      updateData.lowConfidenceFields = review.lowConfidenceFields;
+    }
+
     // 2) CRITICAL EMAIL FIX
     // Always keep a valid root-level email
     const finalEmail =
@@ -1290,11 +737,24 @@ app.post('/update-ticket', async (req, res) => {
     updateData.email = finalEmail;
 
     // Also keep extractedData.email in sync
-    updateData["extractedData.email"] = finalEmail;
+    updatedExtractedData.email = finalEmail;
+
+    // 2b) Store the whole canonical ticket with its derived fields (normalized values, VIN check)
+    const enrichment = TicketEnrichment.apply(updatedExtractedData);
+    updateData.extractedData = enrichment.extractedData;
+    updateData.extractedDataVersion = CANONICAL_TICKET_VERSION;
+    Object.assign(updateData, enrichment.fields);
+
+    // 3) Re-check required fields on the updated data; complete only when nothing is missing
+    const requirements = RequiredFields.check(enrichment.extractedData, {
+      ruleSet: RequiredFields.ruleSetFor(currentTicket.dataSource),
+      context: { email: finalEmail }
+    });
 
-    // 3) Mark ticket completed
-    updateData.status = "completed";
-    updateData.completedAt = new Date();
+    if (requirements.isComplete) {
+      updateData.status = "completed";
+      updateData.completedAt = new Date();
+    }
     updateData.lastUpdated = new Date();
 
     await ticketRef.update(updateData);
@@ -1304,8 +764,11 @@ app.post('/update-ticket', async (req, res) => {
 
     res.json({
       success: true,
-      message: "Ticket updated successfully",
-      sessionId
+      message: requirements.isComplete ? "Ticket updated successfully" : "Ticket updated, but required fields are still missing",
+      sessionId,
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields,
+      isComplete: requirements.isComplete
     });
 
   } catch (error) {
@@ -1319,7 +782,8 @@ app.post('/update-ticket', async (req, res) => {
 
 
 // ✅ NEW SECURE ENDPOINT
-app.get('/check-ticket/:sessionId', async (req, res) => {
+// Anyone with the session id gets status and a redacted ticket; the owner and staff get the ticket itself
+app.get('/check-ticket/:sessionId', Auth.authenticate, async (req, res) => {
   const { sessionId } = req.params;
 
   try {
@@ -1330,18 +794,26 @@ app.get('/check-ticket/:sessionId', async (req, res) => {
     }
 
     const ticketData = ticketDoc.data();
-    const extractedData = ticketData || {};
-    // const extractedData = ticketData.extractedData || {};
-
-    // Check missing fields (same logic as before)
-    const missingFields = checkMissingFields(extractedData, ticketData.email || '');
+    // ✅ Signed-in non-owners get the same public view as anonymous callers
+    const view = TicketAccess.viewFor(ticketData, req.user);
+    const extractedData = TicketMapper.toCanonical(ticketData.extractedData);
+
+    // Check missing fields with the rule set for how this ticket was created
+    const requirements = RequiredFields.check(extractedData, {
+      ruleSet: RequiredFields.ruleSetFor(ticketData.dataSource),
+      context: { email: ticketData.email || '' }
+    });
 
     res.json({
       exists: true,
       status: ticketData.status,
-      missingFields: missingFields,
-      extractedData: extractedData,
-      isComplete: missingFields.length === 0
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields,
+      // ✅ Speeding severity (computed for tickets saved before it was stored)
+      speeding: ticketData.speeding !== undefined ? ticketData.speeding : TicketEnrichment.apply(extractedData).fields.speeding,
+      extractedData: view.ticket, // ✅ Scoped to the caller (services/tickets/ticketAccess.js)
+      scope: view.scope,
+      isComplete: requirements.isComplete
     });
 
   } catch (error) {
@@ -1350,7 +822,7 @@ app.get('/check-ticket/:sessionId', async (req, res) => {
 });
 
 // ✅ ADD MANUAL FORM SUBMISSION ENDPOINT discarted
-app.post('/submit-manual-form', async (req, res) => {
+app.post('/submit-manual-form', Auth.requireUser, async (req, res) => {
   const formData = req.body;
 
   console.log('🔄 Processing manual form submission:', {
@@ -1359,8 +831,16 @@ app.post('/submit-manual-form', async (req, res) => {
   });
 
   try {
-    if (!formData.email) {
-      return res.status(400).json({ error: 'Email is required' });
+    // ✅ MAP FORM FIELDS TO THE CANONICAL TICKET, THEN VALIDATE
+    const ticket = TicketMapper.fromManualForm(formData);
+    const requirements = RequiredFields.check(ticket, { ruleSet: 'manual_form' });
+
+    if (!requirements.isComplete) {
+      return res.status(400).json({
+        error: requirements.invalidFields[0]?.message || 'Email is required',
+        missingFields: requirements.missingFields,
+        invalidFields: requirements.invalidFields
+      });
     }
 
     // 1. CREATE SESSION (same as QR flow)
@@ -1375,98 +855,23 @@ app.post('/submit-manual-form', async (req, res) => {
       throw new Error(sessionData.message || 'Failed to create session');
     }
 
-    const { sessionId, userId } = sessionData;
-
-    // 2. PREPARE DATA (map your form fields)
-    // ✅ CORRECTED FIELD MAPPING
-    const firestoreData = {
-      // Personal Information
-      email: formData.email,
-      first_name: formData.firstname,
-      middle_name: formData.middlename,
-      last_name: formData.lastname,
-      phone_number: formData.mobileno,
-
-      // Address
-      residence_address: formData.residenceaddress,
-      state: formData.state,
-      city: formData.city,
-      zip_code: formData.zipcodeno,
-
-      // Driver Info
-      driving_license_no: formData.drivingllicenseno,
-      dl_class: formData.dlClass,
-      cdl: formData.cdl,
-      date_of_birth: formData.dob,
-      sex: formData.sex,
-      height: formData.height,
-      weight: formData.weight,
-      race: formData.race,
-      eye_color: formData.eyeColor,
-      hair_color: formData.hairColor,
-
-      // Vehicle Info
-      license_plate: formData.licenseplate,
-      vehicle_state: formData.state, // Using same as state
-      vehicle_regexp: formData.regexp,
-      vehicle_color: formData.colorvehicle,
-      vehicle_make: formData.make,
-      vehicle_model: formData.model,
-      vehicle_type: formData.type,
-      vehicle_year: formData.carYear,
-      vin: formData.vin,
-
-      // Citation Info
-      citation_number: formData.citationnumber,
-      issuing_authority: formData.issuingauthority,
-      issue_date_time: formData['issue-datetime'],
-
-      citation_type: formData.citation,
-      alleged_speed: formData.allegedspeed,
-      posted_speed: formData.postedspeed,
-      case_no: formData.caseno,
-
-      // Violation Details
-      construction_zone: formData.constrzone,
-      school_zone: formData.schoolzone,
-      accident: formData.accident,
-      knew_race: formData.knewrace,
-      search: formData.search,
-      contraband: formData.contraband,
-
-      // Officer & Court
-      officer_name: formData.officername,
-      officer_id: formData.officerid,
-      court_information: formData.courtinformation,
-      court_hours: formData.courtHours,
-
-      // Additional Vehicle Info
-      trailer_plate: formData.trailerplate,
-      dot: formData.dot,
-      trailer_state: formData.trailerState,
-      cmv: formData.cmv,
-      hazmat: formData.hazmat,
-      towed: formData.towed,
-      financial: formData.financial,
-
-      // Metadata
-      dataSource: 'manual_form',
-      manuallyEntered: true,
-      submissionDate: new Date()
-    };
-
-    // ADD THIS LINE BEFORE SAVING TO FIRESTORE
-    const cleanedFirestoreData = removeUndefinedValues(firestoreData);
+    const { sessionId } = sessionData;
+    const userId = req.user.uid; // ✅ Owner comes from the verified ID token
+
+    // 2. SAVE THE CANONICAL TICKET
     const saveSuccess = await saveToFirestore(
       sessionId,
       userId,
-      cleanedFirestoreData,   // Only cleanedFirestoreData goes here!
+      ticket,
       'manual_form_complete',
       formData.email,
-      'manual_form'
+      'manual_form',
+      {
+        manuallyEntered: true,
+        submissionDate: new Date()
+      }
     );
 
-
     if (!saveSuccess) {
       throw new Error('Failed to save manual form data');
     }
@@ -1491,7 +896,7 @@ app.post('/submit-manual-form', async (req, res) => {
 });
 
 // ✅ NO TICKET - MANUAL INFORMATION FORM
-app.post('/submit-no-ticket-form', async (req, res) => {
+app.post('/submit-no-ticket-form', Auth.requireUser, async (req, res) => {
   const formData = req.body;
 
   console.log('🔄 Processing no-ticket form submission:', {
@@ -1500,22 +905,18 @@ app.post('/submit-no-ticket-form', async (req, res) => {
   });
 
   try {
-    // ✅ VALIDATE REQUIRED FIELDS
-    const requiredFields = ['email', 'first_name', 'last_name', 'infraction_violation', 'phone_number', 'county', 'is_jp'];
-    const missingFields = requiredFields.filter(field => !formData[field] || formData[field].toString().trim() === '');
+    // ✅ VALIDATE REQUIRED FIELDS (incl. precinct for JP cases)
+    const ticket = TicketMapper.fromNoTicketForm({
+      ...formData,
+      precinct_number: formData.is_jp === 'Y' ? formData.precinct_number : ''
+    });
+    const requirements = RequiredFields.check(ticket, { ruleSet: 'no_ticket_form' });
 
-    if (missingFields.length > 0) {
+    if (!requirements.isComplete) {
       return res.status(400).json({
         error: 'Missing required fields',
-        missingFields: missingFields
-      });
-    }
-
-    // ✅ VALIDATE JP PRECINCT
-    if (formData.is_jp === 'Y' && (!formData.precinct_number || formData.precinct_number.trim() === '')) {
-      return res.status(400).json({
-        error: 'Precinct number required for JP cases',
-        missingFields: ['precinct_number']
+        missingFields: requirements.missingFields,
+        invalidFields: requirements.invalidFields
       });
     }
 
@@ -1531,41 +932,22 @@ app.post('/submit-no-ticket-form', async (req, res) => {
       throw new Error(sessionData.message || 'Failed to create session');
     }
 
-    const { sessionId, userId } = sessionData;
-
-    // 2. PREPARE DATA FOR FIRESTORE
-    const firestoreData = {
-      // Personal Information (REQUIRED)
-      email: formData.email,
-      first_name: formData.first_name,
-      middle_name: formData.middle_name || '',
-      last_name: formData.last_name,
-      phone_number: formData.phone_number,
-      county: formData.county,
-      is_jp: formData.is_jp,
+    const { sessionId } = sessionData;
+    const userId = req.user.uid; // ✅ Owner comes from the verified ID token
 
-      // Violation Information (REQUIRED)
-      infraction_violation: formData.infraction_violation,
-
-      // Conditional JP Precinct
-      ...(formData.is_jp === 'Y' && { precinct_number: formData.precinct_number }),
-
-      // Metadata
-      dataSource: 'no_ticket_form',
-      manuallyEntered: true,
-      hasPhysicalTicket: false,
-      submissionDate: new Date()
-    };
-
-    // 3. SAVE TO FIRESTORE
-    const cleanedData = removeUndefinedValues(firestoreData);
+    // 2. SAVE THE CANONICAL TICKET TO FIRESTORE
     const saveSuccess = await saveToFirestore(
       sessionId,
       userId,
-      cleanedData,
+      ticket,
       'no_ticket_form',
       formData.email,
-      'no_ticket_form'
+      'no_ticket_form',
+      {
+        manuallyEntered: true,
+        hasPhysicalTicket: false,
+        submissionDate: new Date()
+      }
     );
 
     if (!saveSuccess) {
@@ -1579,7 +961,7 @@ app.post('/submit-no-ticket-form', async (req, res) => {
       userId: userId,
       message: 'Information submitted successfully',
       status: 'completed',
-      caseStatus: 'approval_pending'
+      caseStatus: INITIAL_CASE_STATUS
     });
 
   } catch (error) {
@@ -1592,47 +974,105 @@ app.post('/submit-no-ticket-form', async (req, res) => {
   }
 });
 
-// Endpoint: POST /api/create-payment-session
-app.post('/api/create-payment-session', async (req, res) => {
+// Endpoint: GET /api/quote/:sessionId?promoCode=&paymentPlan=
+// Preview the itemized price before checkout (nothing is stored)
+app.get('/api/quote/:sessionId', Auth.requireUser, Auth.requireTicketAccess(db, req => req.params.sessionId), async (req, res) => {
   try {
-    const { sessionId, userEmail } = req.body;
+    const payable = await getPayableCitations(req.params.sessionId);
+    if (payable.error) {
+      return res.status(payable.statusCode).json({ success: false, error: payable.error });
+    }
 
-    // 1. VALIDATE SESSION IN FIRESTORE
-    const ticketRef = db.collection('tickets').doc(sessionId);
-    const ticketDoc = await ticketRef.get();
+    const quote = pricingEngine.quote(payable.citations);
+    let discount = null;
+    if (req.query.promoCode) {
+      const resolved = await discountService.resolve(req.query.promoCode, {
+        email: getDiscountEmail(req.user, payable.ticketData), // ✅ Never an email from the request
+        totalCents: quote.totalCents,
+        ticketIds: payable.citations.map(citation => citation.ticketId)
+      });
+      if (!resolved.success) {
+        return res.status(400).json({ success: false, error: resolved.error, quote });
+      }
+      discount = resolved.discount;
+    }
 
-    if (!ticketDoc.exists) {
-      return res.status(404).json({ error: 'Ticket session not found.' });
+    const discountedQuote = DiscountService.applyToQuote(quote, discount);
+    let paymentPlan = null;
+    if (req.query.paymentPlan) {
+      const planned = PaymentPlan.create(req.query.paymentPlan, discountedQuote.totalCents);
+      if (!planned.success) {
+        return res.status(400).json({ success: false, error: planned.error, quote: discountedQuote });
+      }
+      paymentPlan = planned.plan;
     }
 
-    const ticketData = ticketDoc.data();
-    if (ticketData.paymentStatus === 'paid') {
-      return res.status(400).json({ error: 'Ticket already paid.' });
+    res.json({
+      success: true,
+      quote: discountedQuote,
+      paymentPlan,
+      paymentPlans: PaymentPlan.available(discountedQuote.totalCents) // ✅ Installment options for this total
+    });
+  } catch (error) {
+    console.error('Quote preview error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build quote.' });
+  }
+});
+
+// Endpoint: POST /api/create-payment-session
+app.post('/api/create-payment-session', Auth.requireUser, Auth.requireTicketAccess(db, req => req.body.sessionId), async (req, res) => {
+  try {
+    const { sessionId, userEmail, promoCode, paymentPlan: paymentPlanId } = req.body;
+
+    // 1. VALIDATE SESSION IN FIRESTORE AND COLLECT LINKED CITATIONS FROM THE SAME STOP
+    const payable = await getPayableCitations(sessionId);
+    if (payable.error) {
+      return res.status(payable.statusCode).json({ error: payable.error });
     }
-    if (!['extracted', 'completed'].includes(ticketData.status)) {
-      // Ensure it's only payable if data has been submitted
-      return res.status(400).json({ error: 'Ticket not ready for payment.' });
+    const { ticketRef, ticketData, citations: citationsToPay } = payable;
+
+    // 1b. PRICE EACH CITATION (config/pricingRules.js)
+    const pricedQuote = pricingEngine.quote(citationsToPay);
+    console.log(`💲 [Pricing] Quote for ${sessionId}: ${pricedQuote.totalCents} cents for ${pricedQuote.citations.length} citation(s)`);
+
+    // 1c. VALIDATE PROMO / REFERRAL CODE SERVER-SIDE
+    let discount = null;
+    if (promoCode) {
+      const resolved = await discountService.resolve(promoCode, {
+        email: getDiscountEmail(req.user, ticketData), // ✅ Never userEmail from the request
+        totalCents: pricedQuote.totalCents,
+        ticketIds: citationsToPay.map(citation => citation.ticketId)
+      });
+      if (!resolved.success) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      discount = resolved.discount;
+      console.log(`🏷️ [Discount] ${discount.code} takes ${discount.amountOffCents} cents off ${sessionId}`);
     }
+    const quote = DiscountService.applyToQuote(pricedQuote, discount);
+
+    // 1d. OPTIONAL PAYMENT PLAN (installments split the discounted total, so no coupon)
+    let paymentPlan = null;
+    if (paymentPlanId) {
+      const planned = PaymentPlan.create(paymentPlanId, quote.totalCents);
+      if (!planned.success) {
+        return res.status(400).json({ error: planned.error });
+      }
+      paymentPlan = planned.plan;
+      console.log(`🗓️ [Stripe] ${paymentPlan.label} of ${paymentPlan.installmentCents} cents for ${sessionId}`);
+    }
+    const coupon = discount && !paymentPlan
+      ? await stripe.coupons.create(DiscountService.toStripeCoupon(discount, quote.currency))
+      : null;
 
-    // 2. CREATE STRIPE CHECKOUT SESSION
-    // Price is set here. For sandbox, use a small test amount (e.g., $1.00 = 100 cents).
+    // 2. CREATE STRIPE CHECKOUT SESSION (one line item per base price and surcharge,
+    // or a subscription that ends after the plan's last installment)
     const stripeSession = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
-      mode: 'payment',
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: 'Traffic Ticket Defense Service',
-              description: `Defense for citation: ${ticketData.extractedData?.citation_number || 'N/A'}`,
-            },
-            // Use an environment variable for price, or hardcode 100 for testing $1.00
-            unit_amount: process.env.PRICE_IN_CENTS || 4999, // $49.99 or test amount
-          },
-          quantity: 1,
-        },
-      ],
+      ...(paymentPlan
+        ? PaymentPlan.toCheckoutParams(paymentPlan, quote, sessionId)
+        : { mode: 'payment', line_items: pricingEngine.toLineItems(quote) }),
+      ...(coupon && { discounts: [{ coupon: coupon.id }] }),
       customer_email: userEmail,
       client_reference_id: sessionId, // The MOST IMPORTANT link to your Firestore document
       metadata: {
@@ -1644,12 +1084,37 @@ app.post('/api/create-payment-session', async (req, res) => {
       cancel_url: `${process.env.FRONTEND_BASE_URL}/upload?session_id=${sessionId}`,
     });
 
-    // 3. UPDATE FIRESTORE WITH PENDING PAYMENT
+    // 3. UPDATE FIRESTORE WITH PENDING PAYMENT (linked citations share the checkout)
     await ticketRef.update({
       stripeCheckoutSessionId: stripeSession.id,
       paymentStatus: 'pending',
+      paymentTicketIds: citationsToPay.map(citation => citation.ticketId),
+      quote, // ✅ Itemized price the client was charged
+      discount, // ✅ Counted as a redemption once payment completes
+      paymentPlan, // ✅ Installment schedule, updated by invoice webhooks
+      paymentAmount: quote.totalCents / 100,
       lastUpdated: new Date(),
     });
+    if (discount) {
+      await db.collection('audit-logs').add({
+        action: 'promo_code_applied',
+        timestamp: new Date(),
+        sessionId: sessionId,
+        email: discount.email,
+        code: discount.code,
+        kind: discount.kind,
+        amountOffCents: discount.amountOffCents,
+        stripeSessionId: stripeSession.id,
+        status: 'success'
+      });
+    }
+    for (const citation of citationsToPay.slice(1)) {
+      await db.collection('tickets').doc(citation.ticketId).update({
+        stripeCheckoutSessionId: stripeSession.id,
+        paymentStatus: 'pending',
+        lastUpdated: new Date(),
+      });
+    }
 
     // 4. RETURN CHECKOUT URL TO FRONTEND
     res.json({ url: stripeSession.url });
@@ -1661,6 +1126,510 @@ app.post('/api/create-payment-session', async (req, res) => {
 });
 
 
+// Endpoint: GET /api/portal/cases
+// The signed-in client's cases for their dashboard
+app.get('/api/portal/cases', Auth.requireUser, async (req, res) => {
+  try {
+    res.json(await casePortal.list(req.user.uid));
+  } catch (error) {
+    console.error('Portal case list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load your cases' });
+  }
+});
+
+// Endpoint: GET /api/portal/cases/:sessionId
+// Client case page (PaymentTemplates.buildPortalUrl): status and message, timeline, payment, documents, next actions
+app.get('/api/portal/cases/:sessionId', Auth.requireUser, Auth.requireTicketAccess(db, req => req.params.sessionId), async (req, res) => {
+  try {
+    const result = await casePortal.get(req.params.sessionId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Portal case error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load your case' });
+  }
+});
+
+// Endpoint: POST /api/admin/stripe-events/:eventId/replay
+// Re-run a stored Stripe event through the webhook handlers (they skip work already done)
+app.post('/api/admin/stripe-events/:eventId/replay', AdminAuth.requireAdmin, async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const event = await webhookLedger.startReplay(eventId, req.admin.id);
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found in ledger' });
+    }
+
+    console.log(`🔁 [Admin] Replaying Stripe event ${eventId} (${event.type}) for ${req.admin.id}`);
+
+    try {
+      await stripeEventHandler.handle(event);
+      await webhookLedger.complete(eventId);
+    } catch (error) {
+      await webhookLedger.fail(eventId, error);
+      throw error;
+    }
+
+    await db.collection('audit-logs').add({
+      action: 'stripe_event_replayed',
+      timestamp: new Date(),
+      eventId,
+      eventType: event.type,
+      requestedBy: req.admin.id,
+      status: 'success'
+    });
+
+    res.json({ success: true, eventId, type: event.type });
+  } catch (error) {
+    console.error('Stripe event replay error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay event',
+      details: error.message
+    });
+  }
+});
+
+// Refund reasons Stripe accepts; any other reason text goes in the refund's metadata
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Endpoint: POST /api/admin/tickets/:sessionId/refund
+// Issue a full or partial refund. Body: { amountCents?, installment?, reason? }
+// (omit amountCents for a full refund; installment picks a payment plan installment).
+// A full refund on a payment plan also cancels its subscription, so no further
+// installments are charged. The ticket is updated by the charge.refunded webhook.
+app.post('/api/admin/tickets/:sessionId/refund', AdminAuth.requireAdmin, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { amountCents, installment, reason } = req.body;
+
+    const ticketDoc = await db.collection('tickets').doc(sessionId).get();
+    if (!ticketDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Ticket not found' });
+    }
+
+    const ticketData = ticketDoc.data();
+    const paymentIntentId = ticketData.paymentPlan
+      ? ticketData.paymentPlan.installments.find(entry => entry.number === parseInt(installment || 1, 10))?.paymentIntentId
+      : ticketData.stripePaymentIntentId;
+
+    if (!paymentIntentId) {
+      return res.status(400).json({ success: false, error: 'No captured payment to refund for this ticket' });
+    }
+    if (amountCents !== undefined && (!Number.isInteger(amountCents) || amountCents <= 0)) {
+      return res.status(400).json({ success: false, error: 'amountCents must be a positive integer' });
+    }
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ success: false, error: 'reason must be a string' });
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      ...(amountCents && { amount: amountCents }),
+      reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : 'requested_by_customer',
+      metadata: {
+        firebaseSessionId: sessionId,
+        requestedBy: req.admin.id,
+        ...(reason && { reason: reason.slice(0, 500) }) // ✅ Stripe metadata values are capped at 500 characters
+      }
+    });
+
+    console.log(`💸 [Admin] Refund ${refund.id} (${refund.amount} cents) issued for ${sessionId} by ${req.admin.id}`);
+
+    // ✅ Stop a plan that is still billing once it is refunded in full
+    const cancelPlan = !amountCents && ticketData.paymentPlan && ticketData.stripeSubscriptionId &&
+      !['completed', 'canceled'].includes(ticketData.paymentPlan.status);
+    let planCancelError = null;
+    if (cancelPlan) {
+      // The refund already went through, so a failed cancel is reported rather than thrown
+      try {
+        await stripe.subscriptions.cancel(ticketData.stripeSubscriptionId);
+        await ticketDoc.ref.update({ paymentPlan: { ...ticketData.paymentPlan, status: 'canceled' }, lastUpdated: new Date() });
+        console.log(`🛑 [Admin] Payment plan subscription ${ticketData.stripeSubscriptionId} canceled for ${sessionId}`);
+      } catch (cancelError) {
+        planCancelError = cancelError.message;
+        console.error(`❌ [Admin] Failed to cancel subscription ${ticketData.stripeSubscriptionId} for ${sessionId}:`, cancelError);
+      }
+    }
+
+    await db.collection('audit-logs').add({
+      action: 'refund_issued',
+      timestamp: new Date(),
+      sessionId: sessionId,
+      refundId: refund.id,
+      paymentIntentId,
+      amountCents: refund.amount,
+      reason: reason || null,
+      planCanceled: !!cancelPlan && !planCancelError,
+      ...(planCancelError && { planCancelError }),
+      requestedBy: req.admin.id,
+      status: refund.status
+    });
+
+    res.json({
+      success: true,
+      refundId: refund.id,
+      amountCents: refund.amount,
+      status: refund.status,
+      planCanceled: !!cancelPlan && !planCancelError,
+      ...(planCancelError && { planCancelError })
+    });
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(error.type === 'StripeInvalidRequestError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to issue refund',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/payments/reconcile
+// Compare open payment statuses with Stripe and apply missed webhook events.
+// Body: { dryRun?, limit? } (also available as `npm run reconcile:payments`)
+app.post('/api/admin/payments/reconcile', AdminAuth.requireAdmin, async (req, res) => {
+  try {
+    const { dryRun, limit } = req.body;
+
+    console.log(`🔎 [Admin] Payment reconciliation requested by ${req.admin.id}${dryRun ? ' (dry run)' : ''}`);
+
+    const reconciler = new PaymentReconciler({
+      db,
+      stripe,
+      eventHandler: stripeEventHandler,
+      ledger: webhookLedger,
+      dryRun: !!dryRun
+    });
+    const result = await reconciler.run({ limit: parseInt(limit, 10) || Infinity });
+
+    res.status(result.success ? 200 : 207).json(result);
+  } catch (error) {
+    console.error('Payment reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile payments',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: GET /api/admin/tickets?caseStatus=&paymentStatus=&county=&assignedTo=&from=&to=&search=&limit=&startAfter=
+// List tickets newest first; pass nextCursor back as startAfter for the next page
+app.get('/api/admin/tickets', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await ticketAdmin.list(req.query);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Ticket list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tickets',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: GET /api/admin/tickets/:sessionId
+// Full case: ticket, status history, audit trail, alerts, internal notes and allowed status moves
+app.get('/api/admin/tickets/:sessionId', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await ticketAdmin.get(req.params.sessionId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Ticket detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load ticket',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: PATCH /api/admin/tickets/:sessionId/fields
+// Edit extracted fields. Body: { fields: { first_name | "violator_information.first": value }, reason? }
+app.patch('/api/admin/tickets/:sessionId/fields', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await ticketAdmin.updateFields(req.params.sessionId, req.body.fields, {
+      actor: req.admin.id,
+      reason: req.body.reason || null
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Ticket edit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update ticket fields',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/tickets/:sessionId/assign
+// Assign a case. Body: { assignee: { id, name?, role: 'attorney' | 'staff' } } (assignee null unassigns)
+app.post('/api/admin/tickets/:sessionId/assign', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await ticketAdmin.assign(req.params.sessionId, req.body.assignee || null, { actor: req.admin.id });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Ticket assign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign ticket',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/tickets/:sessionId/notes
+// Add an internal note (never shown to the client). Body: { text }
+app.post('/api/admin/tickets/:sessionId/notes', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await ticketAdmin.addNote(req.params.sessionId, req.body.text, { actor: req.admin.id });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Ticket note error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: GET /api/admin/tickets/:sessionId/case-status
+// Current case status and the moves staff can make from it (with the guard that blocks each)
+app.get('/api/admin/tickets/:sessionId/case-status', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const ticketDoc = await db.collection('tickets').doc(req.params.sessionId).get();
+    if (!ticketDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Ticket not found' });
+    }
+
+    const ticketData = ticketDoc.data();
+    res.json({
+      success: true,
+      caseStatus: CaseStateMachine.currentStatus(ticketData),
+      status: ticketData.status,
+      paymentStatus: ticketData.paymentStatus || null,
+      transitions: CaseStateMachine.availableTransitions(ticketData)
+    });
+  } catch (error) {
+    console.error('Case status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load case status',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/tickets/:sessionId/case-status
+// Move a case. Body: { status, reason?, note?, notify? }
+// Illegal moves and failed guards (e.g. approving an unpaid case) return 409.
+app.post('/api/admin/tickets/:sessionId/case-status', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const { status, reason, note, notify } = req.body;
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'Missing status' });
+    }
+
+    const result = await caseStateMachine.transition(req.params.sessionId, status, {
+      actor: req.admin.id,
+      reason: reason || null,
+      note: note || null,
+      notify: notify !== false
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error, from: result.from, to: status });
+    }
+
+    res.json({ success: true, sessionId: req.params.sessionId, from: result.from, caseStatus: result.to });
+  } catch (error) {
+    console.error('Case status change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change case status',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: GET /api/admin/alerts?status=&type=&priority=&assignedTo=&sessionId=&limit=
+// Alerts inbox (open and in_progress unless status is given), highest priority and oldest first
+app.get('/api/admin/alerts', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.listAlerts(req.query);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list alerts',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: GET /api/admin/alerts/:alertId
+app.get('/api/admin/alerts/:alertId', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.getAlert(req.params.alertId);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert detail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load alert',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/alerts/:alertId/claim
+// Take an alert for yourself (409 when someone else has it)
+app.post('/api/admin/alerts/:alertId/claim', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.claimAlert(req.params.alertId, req.admin.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim alert',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/alerts/:alertId/assign
+// Body: { assignee } (staff id; null returns the alert to the open queue)
+app.post('/api/admin/alerts/:alertId/assign', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.assignAlert(req.params.alertId, req.body.assignee || null, req.admin.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert assign error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign alert',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/alerts/:alertId/notes
+// Body: { note }
+app.post('/api/admin/alerts/:alertId/notes', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (!note || !note.trim()) {
+      return res.status(400).json({ success: false, error: 'Note text is required' });
+    }
+
+    const existing = await AlertService.getAlert(req.params.alertId);
+    if (!existing.success) {
+      return res.status(existing.statusCode).json({ success: false, error: existing.error });
+    }
+
+    const result = await AlertService.addAlertNote(req.params.alertId, note.trim(), req.admin.id);
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('Alert note error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add alert note',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/alerts/:alertId/resolve
+// Body: { resolution } (why the alert is closed, required)
+app.post('/api/admin/alerts/:alertId/resolve', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.resolveAlert(req.params.alertId, {
+      reason: req.body.resolution,
+      resolvedBy: req.admin.id
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert resolve error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve alert',
+      details: error.message
+    });
+  }
+});
+
+// Endpoint: POST /api/admin/alerts/escalate
+// Escalate overdue alerts now (also runs every ALERT_ESCALATION_INTERVAL_MINUTES)
+app.post('/api/admin/alerts/escalate', AdminAuth.requireStaff, async (req, res) => {
+  try {
+    const result = await AlertService.escalateOverdue();
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Alert escalation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to escalate alerts',
+      details: error.message
+    });
+  }
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -1672,8 +1641,16 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: error.message });
 });
 
+// ✅ ESCALATE ALERTS PAST THEIR SLA (ALERT_ESCALATION_INTERVAL_MINUTES, 0 disables)
+const alertEscalationMinutes = parseInt(process.env.ALERT_ESCALATION_INTERVAL_MINUTES || '15', 10);
+if (db && alertEscalationMinutes > 0) {
+  setInterval(() => {
+    AlertService.escalateOverdue().catch(error => console.error('❌ [AlertService] Escalation failed:', error.message));
+  }, alertEscalationMinutes * 60 * 1000).unref();
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🎯 CURRENT MODE: ${MODE}`);
+  console.log(`🎯 Extraction providers: ${extractionProviders.defaultChain.join(' → ')}`);
 });
\ No newline at end of file
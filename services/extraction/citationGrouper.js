@@ -0,0 +1,65 @@
+// services/extraction/citationGrouper.js
+/**
+ * Citation Grouper
+ * Splits the pages of one upload into citations by citation number, so a
+ * driver who got several tickets in one stop can upload them together.
+ *
+ * Pages without a readable citation number (usually the back of a ticket)
+ * stay with the page uploaded just before them.
+ */
+class CitationGrouper {
+  /**
+   * Group page extractions by citation number
+   * @param {Array<Object>} pages - [{ filename, extraction }] in upload order
+   * @returns {Array<Object>} - [{ citationNumber, pages }] in order of first appearance
+   */
+  static group(pages) {
+    const groups = [];
+    const byCitation = new Map();
+    let current = null;
+
+    pages.forEach(page => {
+      const citationNumber = this.normalize(page.extraction.data?.ticket_header?.citation_number);
+
+      if (!citationNumber) {
+        if (!current) {
+          current = { citationNumber: null, pages: [] };
+          groups.push(current);
+        }
+        current.pages.push(page);
+        return;
+      }
+
+      // A leading run of unnumbered pages belongs to the first numbered citation
+      if (current && current.citationNumber === null) {
+        current.citationNumber = citationNumber;
+        byCitation.set(citationNumber, current);
+      }
+
+      if (!byCitation.has(citationNumber)) {
+        const group = { citationNumber, pages: [] };
+        byCitation.set(citationNumber, group);
+        groups.push(group);
+      }
+
+      current = byCitation.get(citationNumber);
+      if (!current.pages.includes(page)) {
+        current.pages.push(page);
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Normalize a citation number for comparison (case, spaces, dashes)
+   * @param {string} citationNumber
+   * @returns {string} - Empty string when there is no usable number
+   */
+  static normalize(citationNumber) {
+    if (citationNumber === undefined || citationNumber === null) return '';
+    return citationNumber.toString().toUpperCase().replace(/[\s-]/g, '');
+  }
+}
+
+module.exports = CitationGrouper;
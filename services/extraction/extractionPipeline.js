@@ -0,0 +1,279 @@
+// services/extraction/extractionPipeline.js
+const { TICKET_SYSTEM_PROMPT, TICKET_USER_PROMPT } = require('./ticketPrompt');
+const { TicketSchema } = require('./ticketSchema');
+const { FieldConfidence, DEFAULT_REVIEW_FIELDS } = require('./fieldConfidence');
+const TicketMerger = require('./ticketMerger');
+
+// Fields that drive the overall confidence score and the "missing key field" warnings
+const KEY_FIELDS = [
+  'ticket_header.citation_number',
+  'ticket_header.county',
+  'violator_information.last_name',
+  'violator_information.first',
+  'violation.citation'
+];
+
+const MAX_TOKENS = 2000;
+
+/**
+ * Ticket Extraction Pipeline
+ * One path from image bytes to a normalized extraction result, shared by
+ * every intake route (desktop upload, mobile URL upload). run() handles one
+ * image; merge() combines the pages of one citation into a single ticket.
+ */
+class ExtractionPipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providers - ExtractionProviderRegistry
+   * @param {number} [options.maxReasks] - How many times to ask the model again when its reply fails validation
+   * @param {number} [options.reviewThreshold] - Review fields below this confidence flag the ticket for human review
+   * @param {string[]} [options.reviewFields] - Field paths checked against the threshold
+   */
+  constructor({ providers, maxReasks = 1, reviewThreshold = 0.7, reviewFields = DEFAULT_REVIEW_FIELDS }) {
+    this.providers = providers;
+    this.maxReasks = maxReasks;
+    this.reviewThreshold = reviewThreshold;
+    this.reviewFields = reviewFields;
+  }
+
+  /**
+   * Extract ticket data from one image
+   * @param {Object} input
+   * @param {Buffer} input.imageBuffer - Raw image bytes
+   * @param {string} [input.mimeType] - Image MIME type
+   * @param {string} [input.filename] - Original filename, for logging
+   * @param {string} [input.provider] - Provider requested by the caller
+   * @returns {Promise<Object>} - { data, analysis, confidence, fieldConfidence, review, warnings, provider, attempts, validation, repairs, unparsedResponse }
+   */
+  async run({ imageBuffer, mimeType = 'image/jpeg', filename = 'unknown', provider }) {
+    console.log(`🔄 [Pipeline] Extracting ${filename} (${mimeType})`);
+
+    const input = {
+      imageBase64: imageBuffer.toString('base64'),
+      mimeType,
+      systemPrompt: TICKET_SYSTEM_PROMPT,
+      userPrompt: TICKET_USER_PROMPT,
+      maxTokens: MAX_TOKENS
+    };
+    const providerResult = await this.providers.extract(input, provider);
+
+    const warnings = [];
+    let rawResponse = providerResult.rawResponse;
+    let parsed = providerResult.data
+      // Structured providers (OCR, fixture) return parsed data directly
+      ? { data: providerResult.data, analysis: providerResult.analysis || 'Data successfully extracted from the image.', parsed: true }
+      : ExtractionPipeline.parseModelResponse(rawResponse);
+    let validation = ExtractionPipeline.validateParsed(parsed);
+    const initialErrors = validation.errors;
+
+    // ✅ BOUNDED RE-ASK: only model replies, only when the shape itself is wrong
+    let reasks = 0;
+    while (!providerResult.data && ExtractionPipeline.needsReask(parsed, validation) && reasks < this.maxReasks) {
+      reasks++;
+      console.log(`🔁 [Pipeline] Reply failed validation (${validation.errors.length} errors), re-asking ${providerResult.provider} (${reasks}/${this.maxReasks})`);
+
+      try {
+        const retry = await this.providers.get(providerResult.provider).extract({
+          ...input,
+          followUp: {
+            previousResponse: rawResponse,
+            instruction: ExtractionPipeline.buildReaskInstruction(parsed, validation)
+          }
+        });
+        rawResponse = retry.rawResponse;
+        parsed = ExtractionPipeline.parseModelResponse(rawResponse);
+        validation = ExtractionPipeline.validateParsed(parsed);
+      } catch (error) {
+        console.error(`❌ [Pipeline] Re-ask failed: ${error.message}`);
+        warnings.push({ code: 'reask_failed', message: `Re-asking ${providerResult.provider} failed: ${error.message}` });
+        break;
+      }
+    }
+
+    if (reasks > 0) {
+      warnings.push({ code: 'model_reasked', message: `Model was asked ${reasks} more time(s) because its reply did not match the ticket schema` });
+    }
+
+    if (!parsed.parsed) {
+      warnings.push({ code: 'unparseable_response', message: parsed.analysis });
+    }
+
+    // ✅ REPAIR: whatever we have is coerced into the schema
+    const { data, repairs } = TicketSchema.repair(parsed.parsed ? parsed.data : {});
+    if (repairs.length > 0) {
+      warnings.push({ code: 'schema_repaired', message: `${repairs.length} field(s) were repaired to match the ticket schema` });
+    }
+
+    providerResult.attempts
+      .filter(attempt => !attempt.success)
+      .forEach(attempt => {
+        warnings.push({
+          code: 'provider_failover',
+          message: `Provider ${attempt.provider} failed: ${attempt.error}`
+        });
+      });
+
+    // ✅ PER-FIELD CONFIDENCE + REVIEW FLAG
+    const fieldConfidence = FieldConfidence.score(data, {
+      source: providerResult.source,
+      repairs,
+      reasked: reasks > 0
+    });
+    const review = this.review(data, fieldConfidence, warnings);
+
+    return {
+      data,
+      analysis: parsed.analysis,
+      confidence: FieldConfidence.average(fieldConfidence, KEY_FIELDS),
+      fieldConfidence,
+      review,
+      warnings,
+      provider: providerResult.provider,
+      attempts: providerResult.attempts,
+      validation: {
+        valid: initialErrors.length === 0,
+        errors: initialErrors,
+        finalErrors: validation.errors,
+        reasks
+      },
+      repairs,
+      unparsedResponse: parsed.parsed ? null : rawResponse
+    };
+  }
+
+  /**
+   * Combine page extractions of one citation into a single result
+   * @param {Array<Object>} pages - [{ filename, extraction }] where extraction comes from run()
+   * @returns {Object} - { data, analysis, confidence, fieldConfidence, review, warnings, provider, conflicts, pages }
+   */
+  merge(pages) {
+    const { data, fieldConfidence, conflicts } = TicketMerger.merge(pages);
+
+    // Page-level warnings carry over, except the ones the merged ticket recomputes
+    const warnings = pages.flatMap(page => page.extraction.warnings
+      .filter(warning => warning.code !== 'missing_key_field' && warning.code !== 'low_confidence')
+      .map(warning => ({ ...warning, filename: page.filename })));
+
+    conflicts.forEach(conflict => {
+      warnings.push({
+        code: 'page_conflict',
+        field: conflict.field,
+        message: `${conflict.field} differs between pages; kept "${conflict.chosen.value}" from ${conflict.chosen.filename}`
+      });
+    });
+
+    const review = this.review(data, fieldConfidence, warnings);
+
+    return {
+      data,
+      analysis: pages.length === 1
+        ? pages[0].extraction.analysis
+        : `Merged ${pages.length} pages into one ticket (${conflicts.length} conflicting field(s)).`,
+      confidence: FieldConfidence.average(fieldConfidence, KEY_FIELDS),
+      fieldConfidence,
+      review,
+      warnings,
+      provider: [...new Set(pages.map(page => page.extraction.provider))].join(', '),
+      conflicts,
+      pages: pages.map(page => ({
+        filename: page.filename,
+        provider: page.extraction.provider,
+        confidence: page.extraction.confidence,
+        attempts: page.extraction.attempts,
+        validation: page.extraction.validation,
+        repairs: page.extraction.repairs,
+        unparsedResponse: page.extraction.unparsedResponse
+      }))
+    };
+  }
+
+  /**
+   * Add missing-field and low-confidence warnings and decide on human review
+   * @param {Object} data - Ticket data
+   * @param {Object} fieldConfidence - Per-field confidence
+   * @param {Array<Object>} warnings - Appended to in place
+   * @returns {Object} - FieldConfidence.review() result
+   */
+  review(data, fieldConfidence, warnings) {
+    KEY_FIELDS
+      .filter(fieldPath => ExtractionPipeline.isBlank(ExtractionPipeline.getPath(data, fieldPath)))
+      .forEach(fieldPath => {
+        warnings.push({ code: 'missing_key_field', field: fieldPath, message: `${fieldPath} was not found on the ticket` });
+      });
+
+    const review = FieldConfidence.review(fieldConfidence, {
+      threshold: this.reviewThreshold,
+      fields: this.reviewFields
+    });
+    if (review.needsHumanReview) {
+      warnings.push({
+        code: 'low_confidence',
+        message: `Needs human review: ${review.lowConfidenceFields.map(f => f.field).join(', ')}`
+      });
+    }
+
+    return review;
+  }
+
+  static validateParsed(parsed) {
+    if (!parsed.parsed) {
+      return { valid: false, errors: [{ path: '(root)', code: 'unparseable', message: 'Reply did not contain parseable JSON' }] };
+    }
+    return TicketSchema.validate(parsed.data);
+  }
+
+  static needsReask(parsed, validation) {
+    return !parsed.parsed || TicketSchema.hasStructuralErrors(validation.errors);
+  }
+
+  static buildReaskInstruction(parsed, validation) {
+    const problems = validation.errors.slice(0, 20).map(error => `- ${error.message}`).join('\n');
+    return `Your previous reply did not match the required JSON structure${parsed.parsed ? '' : ' (it was not valid JSON)'}.
+Problems found:
+${problems}
+
+Reply again with ONLY the complete JSON object, using exactly the structure and field names from the instructions. Use empty strings for fields you cannot read.`;
+  }
+
+  /**
+   * Pull the JSON object out of a model reply (bare, or inside a code fence)
+   * @param {string} aiResponse - Model reply text
+   * @returns {Object} - { data, analysis, parsed }
+   */
+  static parseModelResponse(aiResponse) {
+    try {
+      const jsonMatch = aiResponse.match(/```json\n([\s\S]*?)\n```/) ||
+        aiResponse.match(/```([\s\S]*?)```/) ||
+        aiResponse.match(/\{[\s\S]*\}/);
+
+      if (jsonMatch) {
+        const jsonString = jsonMatch[1] || jsonMatch[0];
+        const data = JSON.parse(jsonString);
+        const analysis = aiResponse.replace(jsonMatch[0], '').trim();
+        return { data, analysis: analysis || 'Data successfully extracted from the image.', parsed: true };
+      }
+
+      try {
+        return { data: JSON.parse(aiResponse), analysis: 'Data successfully extracted and parsed.', parsed: true };
+      } catch (e) {
+        return { data: { rawText: aiResponse }, analysis: 'Could not parse structured data, raw text provided.', parsed: false };
+      }
+    } catch (parseError) {
+      return {
+        data: { error: 'Could not parse structured data', rawResponse: aiResponse },
+        analysis: 'The AI provided a response but it could not be parsed as structured JSON.',
+        parsed: false
+      };
+    }
+  }
+
+  static getPath(obj, dottedPath) {
+    return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+  }
+
+  static isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+  }
+}
+
+module.exports = ExtractionPipeline;
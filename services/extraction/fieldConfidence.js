@@ -0,0 +1,164 @@
+// services/extraction/fieldConfidence.js
+/**
+ * Field Confidence Scoring
+ * Gives every extracted ticket field a confidence value (0-1) and a source,
+ * and decides whether a ticket needs a human to review it.
+ *
+ * Scores are heuristic: a base value per source, raised when the value
+ * passes a format check for its field and lowered when it fails one or had
+ * to be repaired to fit the schema.
+ */
+
+const BASE_CONFIDENCE = {
+  model: 0.85,
+  ocr: 0.65,
+  fixture: 1,
+  user: 1
+};
+
+// Format checks for fields where a wrong read is easy to spot
+const FORMAT_CHECKS = {
+  'ticket_header.citation_number': value => /^[A-Z0-9-]{5,20}$/i.test(value),
+  'ticket_header.county': value => /^[A-Z][A-Z .'-]{2,}$/i.test(value),
+  'ticket_header.precinct': value => /^\d{1,2}$/.test(value),
+  'ticket_header.issue_date_and_time': value => /\d{1,2}\/\d{1,2}\/\d{2,4}/.test(value),
+  'ticket_header.violation_date_and_time': value => /\d{1,2}\/\d{1,2}\/\d{2,4}/.test(value),
+  'violator_information.date_of_birth': value => /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value),
+  'violator_information.phone': value => value.replace(/\D/g, '').length >= 10,
+  'violator_information.zip_code': value => /^\d{5}(-\d{4})?$/.test(value),
+  'violator_information.state': value => /^[A-Z]{2}$/i.test(value),
+  'violator_information.dl_state': value => /^[A-Z]{2}$/i.test(value),
+  'violator_information.sex': value => /^[MF]$/i.test(value),
+  'vehicle_information.vin': value => /^[A-HJ-NPR-Z0-9]{17}$/i.test(value),
+  'vehicle_information.year': value => /^(19|20)\d{2}$/.test(value),
+  'vehicle_information.state': value => /^[A-Z]{2}$/i.test(value),
+  'violation.alleged_speed_mph': value => /^\d{1,3}$/.test(value),
+  'violation.posted_speed_mph': value => /^\d{1,3}$/.test(value)
+};
+
+const DEFAULT_REVIEW_FIELDS = [
+  'ticket_header.citation_number',
+  'ticket_header.county',
+  'violation.citation'
+];
+
+class FieldConfidence {
+  /**
+   * Score every leaf field in the ticket
+   * @param {Object} data - Repaired ticket data
+   * @param {Object} options
+   * @param {string} options.source - 'model', 'ocr', 'fixture' or 'user'
+   * @param {Array<Object>} [options.repairs] - Repairs from TicketSchema.repair()
+   * @param {boolean} [options.reasked] - Model needed to be asked again
+   * @returns {Object} - Nested like the ticket: { section: { field: { confidence, source } } }
+   */
+  static score(data, { source, repairs = [], reasked = false }) {
+    const repairedPaths = new Set(repairs.filter(r => r.action === 'coerced_type').map(r => r.path));
+    const base = (BASE_CONFIDENCE[source] || BASE_CONFIDENCE.model) * (reasked ? 0.9 : 1);
+    const result = {};
+
+    this.walk(data, (fieldPath, value) => {
+      this.setPath(result, fieldPath, {
+        confidence: this.scoreValue(fieldPath, value, base, repairedPaths.has(fieldPath)),
+        source
+      });
+    });
+
+    return result;
+  }
+
+  static scoreValue(fieldPath, value, base, repaired) {
+    if (value === undefined || value === null || value.toString().trim() === '') {
+      return 0;
+    }
+
+    let confidence = base;
+    const check = FORMAT_CHECKS[fieldPath];
+    if (check) {
+      confidence = check(value.toString().trim()) ? Math.min(1, confidence + 0.1) : confidence * 0.5;
+    }
+    if (repaired) {
+      confidence *= 0.8;
+    }
+
+    return Number(confidence.toFixed(2));
+  }
+
+  /**
+   * Confidence entry for a value the user typed in
+   * @returns {Object}
+   */
+  static userEntered() {
+    return { confidence: BASE_CONFIDENCE.user, source: 'user', enteredAt: new Date() };
+  }
+
+  /**
+   * Decide whether a ticket needs human review
+   * @param {Object} fieldConfidence - Output of score(), possibly with user entries merged in
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Minimum acceptable confidence
+   * @param {string[]} [options.fields] - Fields that must clear the threshold
+   * @returns {Object} - { needsHumanReview, threshold, lowConfidenceFields: [{ field, confidence, source }] }
+   */
+  static review(fieldConfidence, { threshold = 0.7, fields = DEFAULT_REVIEW_FIELDS } = {}) {
+    const lowConfidenceFields = fields
+      .map(field => ({ field, entry: this.getPath(fieldConfidence, field) }))
+      .filter(({ entry }) => !entry || entry.confidence < threshold)
+      .map(({ field, entry }) => ({
+        field,
+        confidence: entry ? entry.confidence : 0,
+        source: entry ? entry.source : null
+      }));
+
+    return {
+      needsHumanReview: lowConfidenceFields.length > 0,
+      threshold,
+      lowConfidenceFields
+    };
+  }
+
+  /**
+   * Average confidence over a set of fields
+   * @param {Object} fieldConfidence - Output of score()
+   * @param {string[]} fields - Field paths
+   * @returns {number}
+   */
+  static average(fieldConfidence, fields) {
+    if (fields.length === 0) return 0;
+    const total = fields.reduce((sum, field) => {
+      const entry = this.getPath(fieldConfidence, field);
+      return sum + (entry ? entry.confidence : 0);
+    }, 0);
+    return Number((total / fields.length).toFixed(2));
+  }
+
+  static walk(node, visit, basePath = '') {
+    Object.keys(node || {}).forEach(key => {
+      const fieldPath = basePath ? `${basePath}.${key}` : key;
+      const value = node[key];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        this.walk(value, visit, fieldPath);
+      } else {
+        visit(fieldPath, value);
+      }
+    });
+  }
+
+  static getPath(obj, dottedPath) {
+    return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+  }
+
+  static setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = { FieldConfidence, DEFAULT_REVIEW_FIELDS };
@@ -0,0 +1,106 @@
+// services/extraction/openaiVisionProvider.js
+const OpenAI = require('openai');
+
+/**
+ * OpenAI Vision Extraction Provider
+ * Sends the ticket image to a chat completions endpoint with vision support.
+ * Also used for OpenAI-compatible local servers (Ollama, LM Studio, vLLM)
+ * by passing a baseURL.
+ */
+class OpenAIVisionProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used for selection
+   * @param {string} options.apiKey - API key (local servers usually accept any value)
+   * @param {string} [options.baseURL] - Override for OpenAI-compatible endpoints
+   * @param {string} [options.model] - Vision model to call
+   * @param {boolean} [options.requiresBaseURL] - Refuse to fall back to api.openai.com
+   */
+  constructor({ name = 'openai', apiKey, baseURL, model = 'gpt-4o-mini', requiresBaseURL = false } = {}) {
+    this.name = name;
+    this.source = 'model';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.model = model;
+    this.requiresBaseURL = requiresBaseURL;
+    this.client = null;
+  }
+
+  /**
+   * Check whether this provider has enough configuration to run
+   * @returns {boolean}
+   */
+  isConfigured() {
+    if (this.baseURL) {
+      return !!this.model;
+    }
+    return !this.requiresBaseURL && !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        ...(this.baseURL && { baseURL: this.baseURL })
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Run extraction on one image
+   * @param {Object} input
+   * @param {string} input.imageBase64 - Base64 encoded image
+   * @param {string} [input.mimeType] - Image MIME type
+   * @param {string} input.systemPrompt - Extraction instructions
+   * @param {string} input.userPrompt - Per-image instruction
+   * @param {number} [input.maxTokens] - Completion token limit
+   * @param {Object} [input.followUp] - { previousResponse, instruction } to ask the model again
+   * @returns {Promise<Object>} - { rawResponse } with the model's reply text
+   */
+  async extract({ imageBase64, mimeType = 'image/jpeg', systemPrompt, userPrompt, maxTokens = 2000, followUp }) {
+    console.log(`🔄 [Extraction:${this.name}] Calling ${this.model}${this.baseURL ? ` at ${this.baseURL}` : ''}${followUp ? ' (re-ask)' : ''}`);
+
+    const followUpMessages = followUp
+      ? [
+        { role: "assistant", content: followUp.previousResponse },
+        { role: "user", content: followUp.instruction }
+      ]
+      : [];
+
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt
+        },
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: userPrompt
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: `data:${mimeType};base64,${imageBase64}`,
+                detail: "high"
+              }
+            }
+          ]
+        },
+        ...followUpMessages
+      ],
+      max_tokens: maxTokens,
+      temperature: 0.1
+    });
+
+    return {
+      rawResponse: response.choices[0].message.content
+    };
+  }
+}
+
+module.exports = OpenAIVisionProvider;
@@ -0,0 +1,139 @@
+// services/extraction/providerRegistry.js
+const OpenAIVisionProvider = require('./openaiVisionProvider');
+const OcrProvider = require('./ocrProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+/**
+ * Extraction Provider Registry
+ * Holds every extraction provider and runs them as a failover chain.
+ *
+ * A provider is any object with:
+ *   - name {string}
+ *   - source {string} - 'model', 'ocr' or 'fixture'; recorded per field
+ *   - isConfigured() {boolean}
+ *   - extract(input) {Promise<{ data?, rawResponse?, analysis? }>}
+ * Providers that return `data` are already structured; providers that
+ * return only `rawResponse` need their reply parsed by the caller.
+ */
+class ExtractionProviderRegistry {
+  /**
+   * @param {string[]} defaultChain - Provider names tried in order when a request names none
+   */
+  constructor(defaultChain = ['openai']) {
+    this.providers = new Map();
+    this.defaultChain = defaultChain;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Describe registered providers
+   * @returns {Array<Object>} - [{ name, configured, isDefault }]
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      isDefault: this.defaultChain.includes(provider.name)
+    }));
+  }
+
+  /**
+   * Build the ordered provider chain for one extraction
+   * The requested provider goes first; the default chain follows as failover.
+   * @param {string} [preferred] - Provider requested by the caller
+   * @returns {Array<Object>} - Configured providers in try order
+   */
+  getChain(preferred) {
+    const names = preferred
+      ? [preferred, ...this.defaultChain.filter(name => name !== preferred)]
+      : this.defaultChain;
+
+    return names
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Extract ticket data, failing over along the chain
+   * @param {Object} input - Passed through to provider.extract()
+   * @param {string} [preferred] - Provider requested by the caller
+   * @returns {Promise<Object>} - Provider result plus { provider, source, attempts }
+   */
+  async extract(input, preferred) {
+    const chain = this.getChain(preferred);
+    const attempts = [];
+
+    if (chain.length === 0) {
+      throw new Error(`No configured extraction provider (chain: ${(preferred ? [preferred] : this.defaultChain).join(', ')})`);
+    }
+
+    for (const provider of chain) {
+      try {
+        const result = await provider.extract(input);
+        attempts.push({ provider: provider.name, success: true });
+        return { ...result, provider: provider.name, source: provider.source || 'model', attempts };
+      } catch (error) {
+        console.error(`❌ [Extraction:${provider.name}] Failed: ${error.message}`);
+        attempts.push({ provider: provider.name, success: false, error: error.message });
+      }
+    }
+
+    const error = new Error(`All extraction providers failed: ${attempts.map(a => `${a.provider} (${a.error})`).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+}
+
+/**
+ * Build the registry from environment variables
+ *   EXTRACTION_PROVIDER     - comma separated default chain, e.g. "openai,ocr" (default "openai")
+ *   OPENAI_API_KEY          - key for the "openai" provider
+ *   OPENAI_VISION_MODEL     - model for the "openai" provider (default gpt-4o-mini)
+ *   LOCAL_LLM_BASE_URL      - OpenAI-compatible endpoint for the "openai_compatible" provider
+ *   LOCAL_LLM_MODEL         - vision model served by that endpoint
+ *   LOCAL_LLM_API_KEY       - key for that endpoint, if it needs one
+ *   TESSERACT_PATH          - tesseract binary for the "ocr" provider (default "tesseract")
+ *   EXTRACTION_FIXTURE_PATH - JSON ticket returned by the "fixture" provider
+ * @param {Object} env - Environment variables
+ * @returns {ExtractionProviderRegistry}
+ */
+function createExtractionProviders(env = process.env) {
+  const defaultChain = (env.EXTRACTION_PROVIDER || 'openai')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return new ExtractionProviderRegistry(defaultChain)
+    .register(new OpenAIVisionProvider({
+      name: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_VISION_MODEL || 'gpt-4o-mini'
+    }))
+    .register(new OpenAIVisionProvider({
+      name: 'openai_compatible',
+      apiKey: env.LOCAL_LLM_API_KEY,
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      model: env.LOCAL_LLM_MODEL,
+      requiresBaseURL: true
+    }))
+    .register(new OcrProvider({
+      binaryPath: env.TESSERACT_PATH || 'tesseract'
+    }))
+    .register(new FixtureProvider({
+      fixturePath: env.EXTRACTION_FIXTURE_PATH
+    }));
+}
+
+module.exports = { ExtractionProviderRegistry, createExtractionProviders };
@@ -0,0 +1,83 @@
+// services/extraction/ticketMerger.js
+const { TicketSchema } = require('./ticketSchema');
+const { FieldConfidence } = require('./fieldConfidence');
+
+// Confidence multiplier for a field whose pages disagree
+const CONFLICT_PENALTY = 0.8;
+
+/**
+ * Ticket Merger
+ * Combines extractions of several images (front, back, extra pages) of the
+ * same citation into one ticket. For each field the non-empty value with the
+ * highest confidence wins; disagreements between pages are recorded as conflicts.
+ */
+class TicketMerger {
+  /**
+   * Merge page extractions into one ticket
+   * @param {Array<Object>} pages - [{ filename, extraction }] with pipeline results
+   * @returns {Object} - { data, fieldConfidence, conflicts }
+   */
+  static merge(pages) {
+    const data = TicketSchema.createEmptyTicket();
+    const fieldConfidence = {};
+    const conflicts = [];
+
+    FieldConfidence.walk(data, fieldPath => {
+      const candidates = pages
+        .map((page, index) => ({
+          page: index,
+          filename: page.filename,
+          value: FieldConfidence.getPath(page.extraction.data, fieldPath),
+          entry: FieldConfidence.getPath(page.extraction.fieldConfidence, fieldPath) || { confidence: 0, source: null }
+        }))
+        .filter(candidate => !this.isBlank(candidate.value));
+
+      if (candidates.length === 0) {
+        FieldConfidence.setPath(fieldConfidence, fieldPath, { confidence: 0, source: null });
+        return;
+      }
+
+      // Highest confidence wins; earlier pages win ties
+      const chosen = candidates.reduce((best, candidate) => (
+        candidate.entry.confidence > best.entry.confidence ? candidate : best
+      ));
+      const disagreeing = candidates.filter(candidate => this.normalize(candidate.value) !== this.normalize(chosen.value));
+
+      FieldConfidence.setPath(data, fieldPath, chosen.value);
+
+      if (disagreeing.length > 0) {
+        conflicts.push({
+          field: fieldPath,
+          chosen: { value: chosen.value, page: chosen.page, filename: chosen.filename, confidence: chosen.entry.confidence },
+          alternatives: disagreeing.map(candidate => ({
+            value: candidate.value,
+            page: candidate.page,
+            filename: candidate.filename,
+            confidence: candidate.entry.confidence
+          }))
+        });
+      }
+
+      FieldConfidence.setPath(fieldConfidence, fieldPath, {
+        confidence: disagreeing.length > 0
+          ? Number((chosen.entry.confidence * CONFLICT_PENALTY).toFixed(2))
+          : chosen.entry.confidence,
+        source: chosen.entry.source,
+        page: chosen.page,
+        ...(disagreeing.length > 0 && { conflict: true })
+      });
+    });
+
+    return { data, fieldConfidence, conflicts };
+  }
+
+  static normalize(value) {
+    return value.toString().trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  static isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+  }
+}
+
+module.exports = TicketMerger;
@@ -0,0 +1,99 @@
+// services/extraction/ticketPrompt.js
+/**
+ * Ticket Extraction Prompts
+ * Shared by every model-backed extraction provider.
+ */
+
+const TICKET_SYSTEM_PROMPT = `You are an expert data extraction system for Texas traffic violation tickets. Extract EVERY FIELD from the ticket image and organize it into this EXACT JSON structure:
+
+{
+  "ticket_header": {
+    "county": "[County name]",
+    "precinct": "[Precinct number]",
+    "citation_number": "[Citation number]",
+    "issue_date_and_time": "[Issue date and time]",
+    "violation_date_and_time": "[Violation date and time]"
+  },
+
+  "violator_information": {
+    "last_name": "[Last name]",
+    "first": "[First name]",
+    "middle": "[Middle name]",
+    "residence_address": "[Street address]",
+    "phone": "[Phone number or empty]",
+    "city": "[City]",
+    "state": "[State]",
+    "zip_code": "[ZIP code]",
+    "inter_license_number": "[Driver license number]",
+    "dl_class": "[License class]",
+    "dl_state": "[License state]",
+    "cdl": "[Yes/No]",
+    "date_of_birth": "[Date of birth]",
+    "sex": "[M/F]",
+    "race": "[Race code]",
+    "height": "[Height in inches]",
+    "weight": "[Weight in lbs]",
+    "eye_color": "[Eye color]",
+    "hair_color": "[Hair color]"
+  },
+
+  "additional_information_business": {
+    "parent_employer": "[Usually 'PARENT / EMPLOYER' or empty]",
+    "address": "[Address or empty]",
+    "phone": "[Phone or empty]",
+    "city": "[City or empty]",
+    "state": "[State or empty]",
+    "zip_code": "[ZIP or empty]"
+  },
+
+  "vehicle_information": {
+    "license_plate": "[License plate]",
+    "state": "[State]",
+    "reg_exp": "[Registration expiration]",
+    "color": "[Vehicle color]",
+    "make": "[Make]",
+    "model": "[Model]",
+    "type": "[Vehicle type or empty]",
+    "vin": "[VIN number]",
+    "year": "[Year]",
+    "c_w": "[Yes/No]",
+    "maxiat": "[Yes/No]",
+    "trailer_plate": "[Trailer plate or empty]",
+    "trailer_state": "[Trailer state or empty]",
+    "dot_number": "[DOT number or empty]",
+    "towed": "[Yes/No]"
+  },
+
+  "location_information": {
+    "address": "[Violation location address]",
+    "direction_of_travel": "[Direction or empty]",
+    "direction_of_turn": "[Direction or empty]"
+  },
+
+  "violation": {
+    "citation": "[Violation description]",
+    "alleged_speed_mph": "[Speed]",
+    "posted_speed_mph": "[Speed limit]",
+    "case_no": "[Case number or empty]",
+    "constr_zone_workers_present": "[Yes/No]",
+    "school_zone": "[Yes/No]",
+    "accident": "[Yes/No]",
+    "knewrace": "[Yes/No]",
+    "search": "[Search details]",
+    "contraband": "[Contraband or empty]",
+    "additional_notes": "[Any additional text]"
+  }
+}
+
+CRITICAL RULES:
+1. Use EXACTLY these lowercase field names (snake_case)
+2. All fields MUST be included even if empty
+3. Map data from ticket to matching fields
+4. Preserve original text from ticket
+5. Return ONLY JSON, no explanations
+
+Now extract all data from the traffic ticket image.`;
+
+const TICKET_USER_PROMPT = `Extract all data from this Texas traffic citation image and format it as JSON using the exact structure provided.`;
+
+module.exports = { TICKET_SYSTEM_PROMPT, TICKET_USER_PROMPT };
@@ -0,0 +1,99 @@
+// services/extraction/ticketRuleParser.js
+/**
+ * Ticket Rule Parser
+ * Turns raw OCR text from a Texas citation into the nested ticket structure
+ * using label-based regular expressions. Only fields that match are set.
+ */
+
+// Each rule maps a ticket field path to the labels it appears under on the citation.
+// The first capture group is the value.
+const FIELD_RULES = [
+  { path: 'ticket_header.county', patterns: [/COUNTY\s+OF\s*[:\-]?\s*([A-Z][A-Z .'-]+?)(?:\s{2,}|\s+PRECINCT|\s*$)/im, /COUNTY\s*[:\-]\s*([A-Z][A-Z .'-]+?)(?:\s{2,}|\s*$)/im] },
+  { path: 'ticket_header.precinct', patterns: [/(?:PRECINCT|PCT)\.?\s*(?:NO\.?|#)?\s*[:\-]?\s*(\d+)/im] },
+  { path: 'ticket_header.citation_number', patterns: [/CITATION\s*(?:NO\.?|NUMBER|#)\s*[:\-]?\s*([A-Z0-9-]{5,})/im] },
+  { path: 'ticket_header.issue_date_and_time', patterns: [/ISSUE\s+DATE(?:\s*(?:AND|&)\s*TIME)?\s*[:\-]?\s*(\d{1,2}\/\d{1,2}\/\d{2,4}(?:\s+(?:AT\s+)?\d{1,2}:\d{2}\s*(?:AM|PM)?)?)/im] },
+  { path: 'ticket_header.violation_date_and_time', patterns: [/VIOLATION\s+DATE(?:\s*(?:AND|&)\s*TIME)?\s*[:\-]?\s*(\d{1,2}\/\d{1,2}\/\d{2,4}(?:\s+(?:AT\s+)?\d{1,2}:\d{2}\s*(?:AM|PM)?)?)/im] },
+
+  { path: 'violator_information.last_name', patterns: [/LAST\s*NAME\s*[:\-]?\s*([A-Z'-]+)/im] },
+  { path: 'violator_information.first', patterns: [/FIRST(?:\s*NAME)?\s*[:\-]?\s*([A-Z'-]+)/im] },
+  { path: 'violator_information.middle', patterns: [/MIDDLE(?:\s*NAME)?\s*[:\-]?\s*([A-Z'-]+)/im] },
+  { path: 'violator_information.residence_address', patterns: [/RESIDENCE\s+ADDRESS\s*[:\-]?\s*(.+?)\s*$/im] },
+  { path: 'violator_information.phone', patterns: [/PHONE\s*[:\-]?\s*(\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4})/im] },
+  { path: 'violator_information.zip_code', patterns: [/ZIP(?:\s*CODE)?\s*[:\-]?\s*(\d{5}(?:-\d{4})?)/im] },
+  { path: 'violator_information.inter_license_number', patterns: [/(?:DL|DRIVER'?S?\s+LICENSE|LICENSE)\s*(?:NO\.?|NUMBER|#)\s*[:\-]?\s*([A-Z0-9]{6,})/im] },
+  { path: 'violator_information.dl_class', patterns: [/(?:DL\s+)?CLASS\s*[:\-]?\s*([A-CM])\b/im] },
+  { path: 'violator_information.cdl', patterns: [/\bCDL\s*[:\-]?\s*(YES|NO|Y|N)\b/im] },
+  { path: 'violator_information.date_of_birth', patterns: [/(?:DOB|DATE\s+OF\s+BIRTH)\s*[:\-]?\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/im] },
+  { path: 'violator_information.sex', patterns: [/\bSEX\s*[:\-]?\s*([MF])\b/im] },
+  { path: 'violator_information.race', patterns: [/\bRACE\s*[:\-]?\s*([A-Z])\b/im] },
+  { path: 'violator_information.height', patterns: [/\b(?:HEIGHT|HGT|HT)\s*[:\-]?\s*(\d{3}|\d'\s*\d{1,2}"?)/im] },
+  { path: 'violator_information.weight', patterns: [/\b(?:WEIGHT|WGT|WT)\s*[:\-]?\s*(\d{2,3})/im] },
+  { path: 'violator_information.eye_color', patterns: [/\bEYES?(?:\s*COLOR)?\s*[:\-]?\s*([A-Z]{3})\b/im] },
+  { path: 'violator_information.hair_color', patterns: [/\bHAIR(?:\s*COLOR)?\s*[:\-]?\s*([A-Z]{3})\b/im] },
+
+  { path: 'vehicle_information.license_plate', patterns: [/(?:LIC(?:ENSE)?\.?\s*PLATE|PLATE\s*(?:NO\.?|#))\s*[:\-]?\s*([A-Z0-9]{2,8})/im] },
+  { path: 'vehicle_information.reg_exp', patterns: [/REG\.?\s*EXP\.?\s*[:\-]?\s*(\d{2}\/?\d{2,4})/im] },
+  { path: 'vehicle_information.color', patterns: [/\bCOLOR\s*[:\-]?\s*([A-Z]+)/im] },
+  { path: 'vehicle_information.make', patterns: [/\bMAKE\s*[:\-]?\s*([A-Z]+)/im] },
+  { path: 'vehicle_information.model', patterns: [/\bMODEL\s*[:\-]?\s*([A-Z0-9-]+)/im] },
+  { path: 'vehicle_information.vin', patterns: [/\bVIN\s*(?:NO\.?|#)?\s*[:\-]?\s*([A-HJ-NPR-Z0-9]{17})\b/im] },
+  { path: 'vehicle_information.year', patterns: [/\b(?:VEH(?:ICLE)?\s+)?YEAR\s*[:\-]?\s*((?:19|20)\d{2})\b/im] },
+  { path: 'vehicle_information.dot_number', patterns: [/\bDOT\s*(?:NO\.?|#)?\s*[:\-]?\s*(\d{5,8})/im] },
+
+  { path: 'location_information.address', patterns: [/LOCATION\s*(?:OF\s+VIOLATION)?\s*[:\-]?\s*(.+?)\s*$/im] },
+
+  { path: 'violation.citation', patterns: [/(?:VIOLATION|OFFENSE|CHARGE)\s*[:\-]\s*(.+?)\s*$/im] },
+  { path: 'violation.alleged_speed_mph', patterns: [/ALLEGED\s+SPEED\s*[:\-]?\s*(\d{1,3})/im, /\bSPEED\s*[:\-]?\s*(\d{1,3})\s*(?:MPH)?\s*(?:IN\s+A|\/)\s*\d{1,3}/im] },
+  { path: 'violation.posted_speed_mph', patterns: [/POSTED\s+SPEED\s*[:\-]?\s*(\d{1,3})/im, /(?:IN\s+A|\/)\s*(\d{1,3})\s*(?:MPH)?\s*ZONE/im] },
+  { path: 'violation.case_no', patterns: [/CASE\s*(?:NO\.?|NUMBER|#)\s*[:\-]?\s*([A-Z0-9-]{4,})/im] },
+  { path: 'violation.school_zone', patterns: [/SCHOOL\s+ZONE\s*[:\-]?\s*(YES|NO|Y|N)\b/im] },
+  { path: 'violation.constr_zone_workers_present', patterns: [/CONSTR(?:UCTION)?\.?\s+ZONE.*?WORKERS\s+PRESENT\s*[:\-]?\s*(YES|NO|Y|N)\b/im] },
+  { path: 'violation.accident', patterns: [/\bACCIDENT\s*[:\-]?\s*(YES|NO|Y|N)\b/im] }
+];
+
+const YES_NO = { Y: 'Yes', YES: 'Yes', N: 'No', NO: 'No' };
+
+class TicketRuleParser {
+  /**
+   * Parse OCR text into ticket fields
+   * @param {string} text - Raw OCR output
+   * @returns {Object} - { data, matchedFields }
+   */
+  static parse(text) {
+    const data = {};
+    const matchedFields = [];
+    const source = (text || '').replace(/\r/g, '');
+
+    FIELD_RULES.forEach(rule => {
+      for (const pattern of rule.patterns) {
+        const match = source.match(pattern);
+        if (match && match[1] && match[1].trim() !== '') {
+          this.setPath(data, rule.path, this.cleanValue(match[1]));
+          matchedFields.push(rule.path);
+          break;
+        }
+      }
+    });
+
+    return { data, matchedFields };
+  }
+
+  static cleanValue(value) {
+    const trimmed = value.trim().replace(/\s{2,}/g, ' ');
+    return YES_NO[trimmed.toUpperCase()] || trimmed;
+  }
+
+  static setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = TicketRuleParser;
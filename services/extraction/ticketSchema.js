@@ -0,0 +1,195 @@
+// services/extraction/ticketSchema.js
+/**
+ * Ticket JSON Schema
+ * The structure every extraction must produce, as a JSON Schema (draft-07 subset:
+ * type, properties, required, additionalProperties), plus a validator and a
+ * repair pass for model output that does not match it.
+ */
+
+function section(fields) {
+  return {
+    type: 'object',
+    properties: fields.reduce((props, field) => ({ ...props, [field]: { type: 'string' } }), {}),
+    required: fields,
+    additionalProperties: false
+  };
+}
+
+const TICKET_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'ticket-extraction',
+  title: 'Texas traffic citation',
+  type: 'object',
+  properties: {
+    ticket_header: section([
+      'county', 'precinct', 'citation_number', 'issue_date_and_time', 'violation_date_and_time'
+    ]),
+    violator_information: section([
+      'last_name', 'first', 'middle', 'residence_address', 'phone', 'city', 'state', 'zip_code',
+      'inter_license_number', 'dl_class', 'dl_state', 'cdl', 'date_of_birth', 'sex', 'race',
+      'height', 'weight', 'eye_color', 'hair_color'
+    ]),
+    additional_information_business: section([
+      'parent_employer', 'address', 'phone', 'city', 'state', 'zip_code'
+    ]),
+    vehicle_information: section([
+      'license_plate', 'state', 'reg_exp', 'color', 'make', 'model', 'type', 'vin', 'year',
+      'c_w', 'maxiat', 'trailer_plate', 'trailer_state', 'dot_number', 'towed'
+    ]),
+    location_information: section([
+      'address', 'direction_of_travel', 'direction_of_turn'
+    ]),
+    violation: section([
+      'citation', 'alleged_speed_mph', 'posted_speed_mph', 'case_no', 'constr_zone_workers_present',
+      'school_zone', 'accident', 'knewrace', 'search', 'contraband', 'additional_notes'
+    ]),
+    // Filled in later by the user, never by the model
+    email: { type: 'string' },
+    is_jp: { type: 'string' },
+    precinct_number: { type: 'string' }
+  },
+  required: [
+    'ticket_header', 'violator_information', 'additional_information_business',
+    'vehicle_information', 'location_information', 'violation'
+  ],
+  additionalProperties: false
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+class TicketSchema {
+  /**
+   * Validate data against the ticket schema
+   * @param {*} data - Parsed model output
+   * @param {Object} [schema] - Schema node (defaults to the ticket root)
+   * @param {string} [basePath] - Path prefix for error messages
+   * @returns {Object} - { valid, errors: [{ path, code, message }] }
+   */
+  static validate(data, schema = TICKET_SCHEMA, basePath = '') {
+    const errors = [];
+    const label = basePath || '(root)';
+    const actualType = typeOf(data);
+
+    if (actualType !== schema.type) {
+      errors.push({ path: label, code: 'invalid_type', message: `${label} should be ${schema.type}, got ${actualType}` });
+      return { valid: false, errors };
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in data)) {
+          const fieldPath = basePath ? `${basePath}.${key}` : key;
+          errors.push({ path: fieldPath, code: 'missing_property', message: `${fieldPath} is missing` });
+        }
+      });
+
+      Object.keys(data).forEach(key => {
+        const fieldPath = basePath ? `${basePath}.${key}` : key;
+        const propertySchema = schema.properties[key];
+
+        if (!propertySchema) {
+          if (schema.additionalProperties === false) {
+            errors.push({ path: fieldPath, code: 'unknown_property', message: `${fieldPath} is not part of the ticket schema` });
+          }
+          return;
+        }
+
+        errors.push(...this.validate(data[key], propertySchema, fieldPath).errors);
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Structural errors mean the model ignored the requested shape;
+   * these are worth asking the model again rather than patching.
+   * @param {Array<Object>} errors - From validate()
+   * @returns {boolean}
+   */
+  static hasStructuralErrors(errors) {
+    return errors.some(error => {
+      const depth = error.path === '(root)' ? 0 : error.path.split('.').length;
+      return depth <= 1 && (error.code === 'invalid_type' || error.code === 'missing_property');
+    });
+  }
+
+  /**
+   * Coerce data into the ticket schema
+   * Converts scalar types to strings, fills absent keys with empty strings
+   * and drops unknown keys, recording every change.
+   * @param {*} data - Parsed model output
+   * @param {Object} [schema] - Schema to repair against (defaults to the extraction schema)
+   * @returns {Object} - { data, repairs: [{ path, action, from }] }
+   */
+  static repair(data, schema = TICKET_SCHEMA) {
+    const repairs = [];
+    const repaired = this.repairNode(data, schema, '', repairs);
+    return { data: repaired, repairs };
+  }
+
+  static repairNode(value, schema, basePath, repairs) {
+    const label = basePath || '(root)';
+
+    if (schema.type === 'string') {
+      const actualType = typeOf(value);
+      if (actualType === 'string') return value;
+      if (actualType === 'number' || actualType === 'boolean') {
+        repairs.push({ path: label, action: 'coerced_type', from: actualType });
+        return String(value);
+      }
+      if (actualType === 'array' && value.every(item => typeOf(item) === 'string' || typeOf(item) === 'number')) {
+        repairs.push({ path: label, action: 'coerced_type', from: actualType });
+        return value.join(' ');
+      }
+      repairs.push({ path: label, action: actualType === 'undefined' ? 'filled_missing' : 'replaced_invalid', from: actualType });
+      return '';
+    }
+
+    if (typeOf(value) !== 'object' && basePath) {
+      // A whole section is missing or mangled: one repair entry, not one per field
+      repairs.push({ path: label, action: typeOf(value) === 'undefined' ? 'filled_missing' : 'replaced_invalid', from: typeOf(value) });
+      return this.emptyNode(schema);
+    }
+
+    const source = typeOf(value) === 'object' ? value : {};
+    const result = {};
+
+    Object.keys(schema.properties).forEach(key => {
+      const fieldPath = basePath ? `${basePath}.${key}` : key;
+      const required = (schema.required || []).includes(key);
+
+      if (!(key in source) && !required) return;
+
+      result[key] = this.repairNode(source[key], schema.properties[key], fieldPath, repairs);
+    });
+
+    Object.keys(source).forEach(key => {
+      if (!schema.properties[key]) {
+        repairs.push({ path: basePath ? `${basePath}.${key}` : key, action: 'dropped_unknown', from: typeOf(source[key]) });
+      }
+    });
+
+    return result;
+  }
+
+  static emptyNode(schema) {
+    if (schema.type === 'string') return '';
+    return (schema.required || []).reduce((node, key) => ({ ...node, [key]: this.emptyNode(schema.properties[key]) }), {});
+  }
+
+  /**
+   * Build a ticket with every field present and empty
+   * @param {Object} [schema] - Ticket schema (defaults to the extraction schema)
+   * @returns {Object}
+   */
+  static createEmptyTicket(schema = TICKET_SCHEMA) {
+    return this.emptyNode(schema);
+  }
+}
+
+module.exports = { TICKET_SCHEMA, TicketSchema, section };
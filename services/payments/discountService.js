@@ -0,0 +1,244 @@
+// services/payments/discountService.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+const { PROMO_CODES, REFERRAL_DISCOUNT, MIN_CHARGE_CENTS } = require('../../config/promoCodes');
+
+// No 0/O or 1/I, so codes read back over the phone
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Discount Service
+ * Validates promo codes (config/promoCodes.js) and referral codes (issued to
+ * paid tickets) against a quote, and records redemptions in the promo-codes
+ * collection and audit-logs.
+ *
+ * Usage limits are checked at checkout and counted when payment completes,
+ * so abandoned checkouts don't use up a code.
+ */
+class DiscountService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {Array<Object>} [options.codes] - Promo codes
+   * @param {Object} [options.referralDiscount] - Discount for referral codes
+   */
+  constructor({ db, codes = PROMO_CODES, referralDiscount = REFERRAL_DISCOUNT }) {
+    this.db = db;
+    this.codes = codes;
+    this.referralDiscount = referralDiscount;
+  }
+
+  /**
+   * Build the service, loading codes from PROMO_CODES_PATH when set
+   * @param {Object} db - Firestore instance
+   * @param {Object} [env]
+   * @returns {DiscountService}
+   */
+  static fromEnv(db, env = process.env) {
+    let codes = PROMO_CODES;
+    if (env.PROMO_CODES_PATH) {
+      codes = JSON.parse(fs.readFileSync(env.PROMO_CODES_PATH, 'utf8'));
+      console.log(`🏷️ [Discount] Loaded ${codes.length} promo codes from ${env.PROMO_CODES_PATH}`);
+    }
+    return new DiscountService({ db, codes });
+  }
+
+  /**
+   * Validate a promo or referral code for a case
+   * @param {string} rawCode - Code as typed by the client
+   * @param {Object} context
+   * @param {string} context.email - Client email on record (per-email limits; never an email the client typed)
+   * @param {number} context.totalCents - Quote total before the discount
+   * @param {Array<string>} [context.ticketIds] - Tickets being paid (can't refer themselves)
+   * @param {Date} [context.now]
+   * @returns {Promise<Object>} - { success, discount } or { success: false, error }
+   */
+  async resolve(rawCode, { email, totalCents, ticketIds = [], now = new Date() }) {
+    const code = DiscountService.normalizeCode(rawCode);
+    if (!code) {
+      return { success: false, error: 'Promo code is required.' };
+    }
+
+    const promo = this.codes.find(candidate => DiscountService.normalizeCode(candidate.code) === code);
+    let definition, kind, referrerTicketId = null;
+
+    if (promo) {
+      if (promo.expiresAt && now > new Date(promo.expiresAt)) {
+        return { success: false, error: 'This promo code has expired.' };
+      }
+      definition = promo;
+      kind = 'promo';
+    } else {
+      const referrer = await this.findReferrer(code);
+      if (!referrer) {
+        return { success: false, error: 'Invalid promo code.' };
+      }
+      const referrerEmail = DiscountService.normalizeEmail(referrer.data().email);
+      if (ticketIds.includes(referrer.id) || (referrerEmail && referrerEmail === DiscountService.normalizeEmail(email))) {
+        return { success: false, error: 'You can\'t use your own referral code.' };
+      }
+      definition = this.referralDiscount;
+      kind = 'referral';
+      referrerTicketId = referrer.id;
+    }
+
+    const usage = await this.db.collection('promo-codes').doc(code).get();
+    const usageData = usage.exists ? usage.data() : {};
+    if (definition.maxRedemptions && (usageData.redemptionCount || 0) >= definition.maxRedemptions) {
+      return { success: false, error: 'This promo code is no longer available.' };
+    }
+    if (definition.oncePerEmail && !DiscountService.normalizeEmail(email)) {
+      return { success: false, error: 'This promo code needs an email address on your case.' };
+    }
+    if (definition.oncePerEmail && (usageData.emails || []).includes(DiscountService.normalizeEmail(email))) {
+      return { success: false, error: 'You have already used this promo code.' };
+    }
+
+    const amountOffCents = DiscountService.amountOff(definition, totalCents);
+    if (amountOffCents <= 0) {
+      return { success: false, error: 'This promo code does not apply to this case.' };
+    }
+
+    return {
+      success: true,
+      discount: {
+        code,
+        kind,
+        type: definition.type,
+        value: definition.value,
+        description: definition.description || code,
+        amountOffCents,
+        referrerTicketId,
+        email: DiscountService.normalizeEmail(email) || null // ✅ The redemption is counted against the email checked here
+      }
+    };
+  }
+
+  /**
+   * Find the paid ticket a referral code was issued to
+   * @param {string} code - Normalized code
+   * @returns {Promise<Object|null>} - Ticket document snapshot
+   */
+  async findReferrer(code) {
+    const snapshot = await this.db.collection('tickets')
+      .where('referralCode', '==', code)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty || snapshot.docs[0].data().paymentStatus !== 'paid') {
+      return null;
+    }
+    return snapshot.docs[0];
+  }
+
+  /**
+   * Count a redemption once the checkout is paid
+   * @param {Object} discount - Discount stored on the ticket
+   * @param {Object} context - { ticketId, email, stripeSessionId }
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async recordRedemption(discount, { ticketId, email: paidEmail, stripeSessionId }) {
+    const email = discount.email || paidEmail;
+    try {
+      const batch = this.db.batch();
+
+      batch.set(this.db.collection('promo-codes').doc(discount.code), {
+        code: discount.code,
+        kind: discount.kind,
+        redemptionCount: FieldValue.increment(1),
+        discountTotalCents: FieldValue.increment(discount.amountOffCents),
+        ...(email && { emails: FieldValue.arrayUnion(DiscountService.normalizeEmail(email)) }),
+        lastRedeemedAt: new Date()
+      }, { merge: true });
+
+      if (discount.referrerTicketId) {
+        batch.update(this.db.collection('tickets').doc(discount.referrerTicketId), {
+          referralRedemptions: FieldValue.arrayUnion({ ticketId, redeemedAt: new Date() }),
+          lastUpdated: new Date()
+        });
+      }
+
+      batch.set(this.db.collection('audit-logs').doc(), {
+        action: 'promo_code_redeemed',
+        timestamp: new Date(),
+        sessionId: ticketId,
+        email: email || null,
+        code: discount.code,
+        kind: discount.kind,
+        amountOffCents: discount.amountOffCents,
+        referrerTicketId: discount.referrerTicketId,
+        stripeSessionId,
+        status: 'success'
+      });
+
+      await batch.commit();
+      console.log(`🏷️ [Discount] Redeemed ${discount.code} for ticket ${ticketId}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ [Discount] Failed to record redemption of ${discount.code}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cents off a quote total, leaving at least MIN_CHARGE_CENTS to pay
+   * @param {Object} definition - { type, value }
+   * @param {number} totalCents
+   * @returns {number}
+   */
+  static amountOff(definition, totalCents) {
+    const amount = definition.type === 'percent'
+      ? Math.round(totalCents * definition.value / 100)
+      : definition.value;
+    return Math.max(0, Math.min(amount, totalCents - MIN_CHARGE_CENTS));
+  }
+
+  /**
+   * Quote with the discount taken off the total
+   * @param {Object} quote - PricingEngine quote
+   * @param {Object|null} discount
+   * @returns {Object} - quote plus subtotalCents and discount
+   */
+  static applyToQuote(quote, discount) {
+    if (!discount) return quote;
+    return {
+      ...quote,
+      subtotalCents: quote.totalCents,
+      discount,
+      totalCents: quote.totalCents - discount.amountOffCents
+    };
+  }
+
+  /**
+   * One-off Stripe coupon for a checkout session
+   * @param {Object} discount
+   * @param {string} currency
+   * @returns {Object} - stripe.coupons.create params
+   */
+  static toStripeCoupon(discount, currency) {
+    return {
+      amount_off: discount.amountOffCents,
+      currency,
+      duration: 'once',
+      max_redemptions: 1,
+      name: discount.description.slice(0, 40), // ✅ Stripe limit, shown at checkout
+      metadata: { code: discount.code, kind: discount.kind }
+    };
+  }
+
+  static generateReferralCode() {
+    const bytes = crypto.randomBytes(8);
+    return 'REF' + Array.from(bytes, byte => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]).join('');
+  }
+
+  static normalizeCode(code) {
+    return (code || '').toString().toUpperCase().replace(/\s+/g, '');
+  }
+
+  static normalizeEmail(email) {
+    return (email || '').toString().trim().toLowerCase();
+  }
+}
+
+module.exports = DiscountService;
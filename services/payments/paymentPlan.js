@@ -0,0 +1,231 @@
+// services/payments/paymentPlan.js
+const { PAYMENT_PLANS } = require('../../config/paymentPlans');
+const { MIN_CHARGE_CENTS } = require('../../config/promoCodes');
+
+/**
+ * Payment Plan
+ * Splits a quote into installments (config/paymentPlans.js), builds the
+ * subscription-mode Stripe Checkout parameters and tracks each installment
+ * from invoice.paid / invoice.payment_failed webhooks.
+ *
+ * Stripe bills the same amount every cycle, so installments are equal and any
+ * cents left over from the split are added to the first invoice.
+ */
+class PaymentPlan {
+  /**
+   * Plans offered for a case total
+   * @param {number} totalCents
+   * @returns {Array<Object>} - [{ id, label, installments, installmentCents, firstInstallmentCents }]
+   */
+  static available(totalCents) {
+    return PAYMENT_PLANS
+      .map(definition => this.create(definition.id, totalCents))
+      .filter(result => result.success)
+      .map(({ plan }) => ({
+        id: plan.id,
+        label: plan.label,
+        installments: plan.installmentCount,
+        installmentCents: plan.installmentCents,
+        firstInstallmentCents: plan.installments[0].amountCents
+      }));
+  }
+
+  /**
+   * Build an installment schedule for a case total
+   * @param {string} planId
+   * @param {number} totalCents - Amount due after discounts
+   * @returns {Object} - { success, plan } or { success: false, error }
+   */
+  static create(planId, totalCents) {
+    const definition = PAYMENT_PLANS.find(candidate => candidate.id === planId);
+    if (!definition) {
+      return { success: false, error: `Unknown payment plan: ${planId}` };
+    }
+    if (totalCents < definition.minTotalCents) {
+      return { success: false, error: `${definition.label} is not available for this case.` };
+    }
+
+    const installmentCents = Math.floor(totalCents / definition.installments);
+    if (installmentCents < MIN_CHARGE_CENTS) {
+      return { success: false, error: `${definition.label} is not available for this case.` };
+    }
+    const remainderCents = totalCents - installmentCents * definition.installments;
+
+    return {
+      success: true,
+      plan: {
+        id: definition.id,
+        label: definition.label,
+        interval: definition.interval,
+        intervalCount: definition.intervalCount,
+        installmentCount: definition.installments,
+        installmentCents,
+        remainderCents,
+        totalCents,
+        status: 'pending', // pending → active → completed, past_due while an installment is failing, canceled after a full refund
+        paidCount: 0,
+        installments: Array.from({ length: definition.installments }, (_, index) => ({
+          number: index + 1,
+          amountCents: installmentCents + (index === 0 ? remainderCents : 0),
+          status: 'pending',
+          invoiceId: null,
+          paidAt: null,
+          failedAttempts: 0
+        }))
+      }
+    };
+  }
+
+  /**
+   * Stripe Checkout parameters for a subscription-mode plan
+   * @param {Object} plan - Result of create()
+   * @param {Object} quote - PricingEngine quote (discount already applied)
+   * @param {string} sessionId - Ticket id, carried on the subscription for invoice webhooks
+   * @returns {Object} - { mode, line_items, subscription_data }
+   */
+  static toCheckoutParams(plan, quote, sessionId) {
+    const citationNumbers = quote.citations.map(citation => citation.citationNumber || 'N/A').join(', ');
+    const lineItems = [{
+      price_data: {
+        currency: quote.currency,
+        product_data: {
+          name: `Traffic Ticket Defense Service - ${plan.label}`,
+          description: `Defense for citation: ${citationNumbers}`,
+        },
+        unit_amount: plan.installmentCents,
+        recurring: { interval: plan.interval, interval_count: plan.intervalCount },
+      },
+      quantity: 1,
+    }];
+
+    if (plan.remainderCents > 0) {
+      lineItems.push({
+        price_data: {
+          currency: quote.currency,
+          product_data: { name: 'Payment plan rounding (first payment only)' },
+          unit_amount: plan.remainderCents,
+        },
+        quantity: 1,
+      });
+    }
+
+    return {
+      mode: 'subscription',
+      line_items: lineItems,
+      subscription_data: {
+        metadata: { firebaseSessionId: sessionId, paymentPlanId: plan.id }
+      }
+    };
+  }
+
+  /**
+   * Mark the next installment paid for an invoice.paid event
+   * @param {Object} plan - paymentPlan stored on the ticket
+   * @param {Object} invoice - Stripe invoice
+   * @returns {Object} - { plan, installment, isFirst, isComplete, alreadyRecorded }
+   */
+  static recordPayment(plan, invoice) {
+    const existing = plan.installments.find(entry => entry.invoiceId === invoice.id && entry.status === 'paid');
+    if (existing) {
+      return { plan, installment: existing, isFirst: false, isComplete: plan.status === 'completed', alreadyRecorded: true };
+    }
+
+    const installments = plan.installments.map(entry => ({ ...entry }));
+    const installment = installments.find(entry => entry.invoiceId === invoice.id) ||
+      installments.find(entry => entry.status !== 'paid');
+    if (!installment) {
+      // Stripe billed past the last installment (the subscription should have ended)
+      return { plan, installment: null, isFirst: false, isComplete: true, alreadyRecorded: true };
+    }
+
+    installment.status = 'paid';
+    installment.invoiceId = invoice.id;
+    installment.paidAt = new Date();
+    installment.amountPaidCents = invoice.amount_paid;
+    installment.paymentIntentId = this.paymentIntentIdForInvoice(invoice); // ✅ Refunds target this installment
+
+    const paidCount = installments.filter(entry => entry.status === 'paid').length;
+    const isComplete = paidCount === plan.installmentCount;
+
+    return {
+      plan: {
+        ...plan,
+        installments,
+        paidCount,
+        status: isComplete ? 'completed' : 'active'
+      },
+      installment,
+      isFirst: paidCount === 1,
+      isComplete,
+      alreadyRecorded: false
+    };
+  }
+
+  /**
+   * Mark the pending installment failed for an invoice.payment_failed event
+   * @param {Object} plan - paymentPlan stored on the ticket
+   * @param {Object} invoice - Stripe invoice
+   * @returns {Object} - { plan, installment, isFirst }, installment null when there's nothing to mark
+   */
+  static recordFailure(plan, invoice) {
+    // A failure delivered after the same invoice was paid is stale
+    if (plan.installments.some(entry => entry.invoiceId === invoice.id && entry.status === 'paid')) {
+      return { plan, installment: null, isFirst: false };
+    }
+
+    const installments = plan.installments.map(entry => ({ ...entry }));
+    const installment = installments.find(entry => entry.invoiceId === invoice.id) ||
+      installments.find(entry => entry.status !== 'paid');
+    if (!installment) {
+      return { plan, installment: null, isFirst: false };
+    }
+
+    installment.status = 'failed';
+    installment.invoiceId = invoice.id;
+    installment.failedAttempts = invoice.attempt_count || installment.failedAttempts + 1;
+    installment.nextAttemptAt = invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000) : null;
+
+    return {
+      plan: { ...plan, installments, status: 'past_due' },
+      installment,
+      isFirst: installment.number === 1
+    };
+  }
+
+  /**
+   * Ticket id for a subscription invoice (metadata set by toCheckoutParams)
+   * @param {Object} invoice - Stripe invoice
+   * @returns {string|null}
+   */
+  static ticketIdForInvoice(invoice) {
+    const metadata = invoice.subscription_details?.metadata || // ✅ Stripe API before 2025-03-31
+      invoice.parent?.subscription_details?.metadata || {};
+    return metadata.firebaseSessionId || null;
+  }
+
+  /**
+   * Payment intent that paid an invoice. Current Stripe API versions only list
+   * it in invoice.payments, which webhook payloads leave out unless expanded
+   * (see StripeEventHandler.invoiceWithPayments)
+   * @param {Object} invoice - Stripe invoice
+   * @returns {string|null}
+   */
+  static paymentIntentIdForInvoice(invoice) {
+    if (invoice.payment_intent) return invoice.payment_intent; // ✅ Stripe API before 2025-03-31
+
+    const payments = (invoice.payments?.data || []).filter(entry => entry.payment?.payment_intent);
+    const payment = payments.find(entry => entry.status === 'paid') || payments[0];
+    return payment?.payment.payment_intent || null;
+  }
+
+  /**
+   * Subscription id for a subscription invoice
+   * @param {Object} invoice - Stripe invoice
+   * @returns {string|null}
+   */
+  static subscriptionIdForInvoice(invoice) {
+    return invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+  }
+}
+
+module.exports = PaymentPlan;
@@ -0,0 +1,246 @@
+// services/payments/paymentReconciler.js
+const { FieldPath } = require('firebase-admin/firestore');
+const PaymentPlan = require('./paymentPlan');
+
+// Payment statuses a Stripe event can still move; settled, refunded and disputed tickets are left alone
+const OPEN_PAYMENT_STATUSES = ['pending', 'failed', 'expired', 'partially_paid', 'past_due'];
+
+/**
+ * Payment Reconciler
+ * Finds tickets whose checkout finished in Stripe while Firestore still shows
+ * an open paymentStatus (a missed or failed webhook), and fixes them by
+ * running the event Stripe would have sent through the webhook's
+ * StripeEventHandler. Synthesized events go through the webhook ledger with
+ * deterministic ids, so repeated runs apply each fix once.
+ */
+class PaymentReconciler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {Object} options.stripe - Stripe client (or a stub with the same methods)
+   * @param {Object} options.eventHandler - StripeEventHandler
+   * @param {Object} [options.ledger] - WebhookLedger
+   * @param {boolean} [options.dryRun] - Report drift without fixing it
+   * @param {number} [options.batchSize] - Tickets read per query
+   */
+  constructor({ db, stripe, eventHandler, ledger = null, dryRun = false, batchSize = 100 }) {
+    this.db = db;
+    this.stripe = stripe;
+    this.eventHandler = eventHandler;
+    this.ledger = ledger;
+    this.dryRun = dryRun;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Reconcile every ticket with a checkout and an open payment status
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Stop after this many tickets have been checked
+   * @returns {Promise<Object>} - { success, runId, dryRun, stats, mismatches }
+   */
+  async run({ limit = Infinity } = {}) {
+    const runId = `reconcile_${Date.now()}`;
+    const stats = { checked: 0, inSync: 0, linked: 0, mismatched: 0, fixed: 0, skipped: 0, failed: 0 };
+    const mismatches = [];
+    let cursor = null;
+
+    console.log(`🔎 [Reconcile] ${this.dryRun ? 'Dry run' : 'Reconciling'} payments (${runId})`);
+
+    while (stats.checked < limit) {
+      let query = this.db.collection('tickets')
+        .where('paymentStatus', 'in', OPEN_PAYMENT_STATUSES)
+        .orderBy(FieldPath.documentId())
+        .limit(this.batchSize);
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
+
+      for (const doc of snapshot.docs) {
+        if (stats.checked >= limit) break;
+        if (!doc.data().stripeCheckoutSessionId) continue;
+
+        stats.checked++;
+        const result = await this.reconcileTicket(doc);
+        stats[result.outcome]++;
+        if (result.mismatch) {
+          stats.mismatched++;
+          mismatches.push(result.mismatch);
+        }
+      }
+
+      cursor = snapshot.docs[snapshot.docs.length - 1].id;
+      if (snapshot.docs.length < this.batchSize) {
+        break;
+      }
+    }
+
+    if (!this.dryRun) {
+      await this.db.collection('audit-logs').add({
+        action: 'payment_reconciliation_run',
+        timestamp: new Date(),
+        runId,
+        stats,
+        ticketIds: mismatches.map(mismatch => mismatch.ticketId),
+        status: stats.failed === 0 ? 'success' : 'failed'
+      });
+    }
+
+    console.log(`✅ [Reconcile] Done: ${JSON.stringify(stats)}`);
+    return { success: stats.failed === 0, runId, dryRun: this.dryRun, stats, mismatches };
+  }
+
+  /**
+   * Compare one ticket with its Stripe checkout and apply missing events
+   * @param {Object} doc - Ticket document snapshot
+   * @returns {Promise<Object>} - { outcome: inSync|linked|fixed|skipped|failed, mismatch }
+   */
+  async reconcileTicket(doc) {
+    const ticketData = doc.data();
+    let session;
+    try {
+      session = await this.stripe.checkout.sessions.retrieve(ticketData.stripeCheckoutSessionId);
+    } catch (error) {
+      console.error(`❌ [Reconcile] ${doc.id}: could not load checkout ${ticketData.stripeCheckoutSessionId}:`, error.message);
+      return { outcome: 'failed', mismatch: this.describe(doc, ticketData, null, [], error.message) };
+    }
+
+    // Linked citations share the parent's checkout; the parent's events update them
+    if (session.client_reference_id && session.client_reference_id !== doc.id) {
+      return { outcome: 'linked' };
+    }
+
+    const invoices = session.mode === 'subscription' && session.subscription
+      ? (await this.stripe.invoices.list({ subscription: session.subscription, status: 'paid', limit: 100, expand: ['data.payments'] })).data
+      : [];
+
+    const events = PaymentReconciler.missingEvents(doc.id, ticketData, session, invoices);
+    if (events.length === 0) {
+      return { outcome: 'inSync' };
+    }
+
+    const mismatch = this.describe(doc, ticketData, session, events);
+    console.log(`⚠️ [Reconcile] ${doc.id}: Firestore ${ticketData.paymentStatus}, Stripe ${mismatch.stripeStatus} → ${mismatch.actions.join(', ')}`);
+    if (this.dryRun) {
+      return { outcome: 'skipped', mismatch };
+    }
+
+    try {
+      for (const event of events) {
+        await this.apply(event);
+      }
+
+      // Only a ticket that now matches Stripe counts as fixed
+      const updatedData = (await doc.ref.get()).data();
+      const remaining = PaymentReconciler.missingEvents(doc.id, updatedData, session, invoices);
+      mismatch.ticketStatusAfter = updatedData.paymentStatus;
+      if (remaining.length > 0) {
+        throw new Error(`Still out of sync after applying ${events.length} event(s) (paymentStatus: ${updatedData.paymentStatus})`);
+      }
+      mismatch.fixed = true;
+      return { outcome: 'fixed', mismatch };
+    } catch (error) {
+      console.error(`❌ [Reconcile] ${doc.id} failed:`, error.message);
+      mismatch.error = error.message;
+      return { outcome: 'failed', mismatch };
+    }
+  }
+
+  /**
+   * Run a synthesized event through the ledger and the webhook handler
+   * (throws when the handler fails, after marking the event failed)
+   * @param {Object} event
+   */
+  async apply(event) {
+    if (this.ledger) {
+      const entry = await this.ledger.begin(event);
+      if (entry.duplicate && entry.status !== 'processed') {
+        return;
+      }
+      // Processed before, yet the ticket still drifts: the handler is safe to apply twice, so run it again
+      if (entry.duplicate) {
+        await this.ledger.startReplay(event.id, 'reconciler');
+      }
+    }
+
+    try {
+      await this.eventHandler.handle(event);
+      if (this.ledger) await this.ledger.complete(event.id);
+    } catch (error) {
+      if (this.ledger) await this.ledger.fail(event.id, error);
+      throw error;
+    }
+  }
+
+  describe(doc, ticketData, session, events, error = null) {
+    return {
+      ticketId: doc.id,
+      checkoutSessionId: ticketData.stripeCheckoutSessionId,
+      ticketStatus: ticketData.paymentStatus,
+      ticketStatusAfter: null,
+      stripeStatus: session ? `${session.status}/${session.payment_status}` : 'unknown',
+      actions: events.map(event => event.type),
+      fixed: false,
+      error
+    };
+  }
+
+  /**
+   * Events Stripe sent (or would have sent) that the ticket doesn't reflect
+   * @param {string} ticketId
+   * @param {Object} ticketData - Ticket document data
+   * @param {Object} session - Stripe Checkout session
+   * @param {Array<Object>} [paidInvoices] - Paid invoices of a payment plan subscription
+   * @returns {Array<Object>} - Synthesized Stripe events, oldest first
+   */
+  static missingEvents(ticketId, ticketData, session, paidInvoices = []) {
+    if (session.status === 'expired') {
+      return ticketData.paymentStatus === 'pending' ? [this.synthesize('checkout.session.expired', session)] : [];
+    }
+    if (session.status !== 'complete') {
+      return [];
+    }
+
+    if (session.mode === 'subscription') {
+      const plan = ticketData.paymentPlan;
+      if (!plan) return [];
+
+      const recorded = new Set(plan.installments.filter(entry => entry.status === 'paid').map(entry => entry.invoiceId));
+      return [...paidInvoices]
+        .sort((a, b) => a.created - b.created)
+        .filter(invoice => !recorded.has(invoice.id))
+        .map(invoice => this.synthesize('invoice.paid', PaymentPlan.ticketIdForInvoice(invoice)
+          ? invoice
+          : { ...invoice, subscription_details: { metadata: { firebaseSessionId: ticketId } } }));
+    }
+
+    const paid = ['paid', 'no_payment_required'].includes(session.payment_status);
+    return paid && ticketData.paymentStatus !== 'paid'
+      ? [this.synthesize('checkout.session.completed', session)]
+      : [];
+  }
+
+  /**
+   * A Stripe-shaped event with a deterministic id, so the ledger applies it once
+   * @param {string} type
+   * @param {Object} object
+   * @returns {Object}
+   */
+  static synthesize(type, object) {
+    return {
+      id: `reconcile_${type}_${object.id}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: !!object.livemode,
+      reconciled: true,
+      data: { object }
+    };
+  }
+}
+
+module.exports = { PaymentReconciler, OPEN_PAYMENT_STATUSES };
@@ -0,0 +1,161 @@
+// services/payments/pricingEngine.js
+const fs = require('fs');
+const { DEFAULT_BASE_PRICE_CENTS, PRICING_RULES } = require('../../config/pricingRules');
+const { TicketMapper } = require('../tickets/ticketMapper');
+const TicketEnrichment = require('../tickets/ticketEnrichment');
+
+/**
+ * Pricing Engine
+ * Prices a case from config/pricingRules.js: one base line item per citation
+ * plus a line item for every matching surcharge rule.
+ */
+class PricingEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.basePriceCents] - Price of a citation before rules
+   * @param {Array<Object>} [options.rules] - Pricing rules
+   * @param {string} [options.currency]
+   */
+  constructor({ basePriceCents = DEFAULT_BASE_PRICE_CENTS, rules = PRICING_RULES, currency = 'usd' } = {}) {
+    this.basePriceCents = basePriceCents;
+    this.rules = rules;
+    this.currency = currency;
+  }
+
+  /**
+   * Build the engine from PRICE_IN_CENTS and PRICING_RULES_PATH
+   * @param {Object} [env]
+   * @returns {PricingEngine}
+   */
+  static fromEnv(env = process.env) {
+    let rules = PRICING_RULES;
+    if (env.PRICING_RULES_PATH) {
+      const loaded = JSON.parse(fs.readFileSync(env.PRICING_RULES_PATH, 'utf8'));
+      rules = Array.isArray(loaded) ? loaded : loaded.rules;
+      console.log(`💲 [Pricing] Loaded ${rules.length} rules from ${env.PRICING_RULES_PATH}`);
+    }
+
+    return new PricingEngine({
+      basePriceCents: parseInt(env.PRICE_IN_CENTS || DEFAULT_BASE_PRICE_CENTS, 10),
+      rules
+    });
+  }
+
+  /**
+   * Price the citations of one case
+   * @param {Array<Object>} citations - [{ ticketId, citationNumber, ticketData }] in case order
+   * @returns {Object} - { currency, basePriceCents, citations: [{ ticketId, citationNumber, items, subtotalCents }], totalCents, quotedAt }
+   */
+  quote(citations) {
+    const quoted = citations.map((citation, index) => {
+      const facts = PricingEngine.factsFor(citation.ticketData, { citationIndex: index + 1, citationCount: citations.length });
+      const matching = this.rules.filter(rule => this.matches(rule, facts));
+
+      // The last matching base rule wins, so later rules can override earlier ones
+      const baseRule = matching.filter(rule => rule.type === 'base').pop();
+      const items = [
+        baseRule
+          ? { ruleId: baseRule.id, type: 'base', label: baseRule.label, amountCents: baseRule.amountCents }
+          : { ruleId: 'base', type: 'base', label: 'Traffic Ticket Defense Service', amountCents: this.basePriceCents },
+        ...matching
+          .filter(rule => rule.type === 'surcharge')
+          .map(rule => ({ ruleId: rule.id, type: 'surcharge', label: rule.label, amountCents: rule.amountCents }))
+      ];
+
+      return {
+        ticketId: citation.ticketId,
+        citationNumber: citation.citationNumber || null,
+        items,
+        subtotalCents: items.reduce((sum, item) => sum + item.amountCents, 0)
+      };
+    });
+
+    return {
+      currency: this.currency,
+      basePriceCents: this.basePriceCents,
+      citations: quoted,
+      totalCents: quoted.reduce((sum, citation) => sum + citation.subtotalCents, 0),
+      quotedAt: new Date()
+    };
+  }
+
+  /**
+   * Stripe Checkout line items for a quote
+   * @param {Object} quote - Result of quote()
+   * @returns {Array<Object>}
+   */
+  toLineItems(quote) {
+    return quote.citations.flatMap(citation => citation.items.map(item => ({
+      price_data: {
+        currency: quote.currency,
+        product_data: {
+          name: item.label,
+          description: `Defense for citation: ${citation.citationNumber || 'N/A'}`,
+        },
+        unit_amount: item.amountCents,
+      },
+      quantity: 1,
+    })));
+  }
+
+  /**
+   * Check a rule's conditions against citation facts
+   * @param {Object} rule
+   * @param {Object} facts - Result of factsFor
+   * @returns {boolean}
+   */
+  matches(rule, facts) {
+    const when = rule.when || {};
+    const checks = {
+      offenseCategory: categories => facts.offenseCategories.some(category => categories.includes(category)),
+      moving: moving => facts.moving === moving,
+      cdl: cdl => facts.cdl === cdl,
+      county: counties => counties.includes(facts.county),
+      schoolZone: schoolZone => facts.schoolZone === schoolZone,
+      constructionZone: constructionZone => facts.constructionZone === constructionZone,
+      accident: accident => facts.accident === accident,
+      mphOverAtLeast: mph => facts.mphOver !== null && facts.mphOver >= mph,
+      citationIndexAtLeast: index => facts.citationIndex >= index,
+      citationCountAtLeast: count => facts.citationCount >= count
+    };
+
+    return Object.keys(when).every(condition => {
+      if (!checks[condition]) {
+        console.warn(`⚠️ [Pricing] Unknown condition "${condition}" in rule ${rule.id}`);
+        return false;
+      }
+      return checks[condition](when[condition]);
+    });
+  }
+
+  /**
+   * Pricing facts for one ticket, from its stored derived fields
+   * (recomputed for tickets saved before they existed)
+   * @param {Object} ticketData - Firestore ticket document
+   * @param {Object} position - { citationIndex, citationCount }
+   * @returns {Object}
+   */
+  static factsFor(ticketData, { citationIndex = 1, citationCount = 1 } = {}) {
+    const ticket = TicketMapper.toCanonical(ticketData.extractedData);
+    const derived = ticketData.normalizedData && ticketData.offense !== undefined && ticketData.speeding !== undefined
+      ? ticketData
+      : TicketEnrichment.apply(ticket).fields;
+    const flag = (section, field) => derived.normalizedData?.[section]?.[field]?.value === true;
+    const offense = derived.offense;
+
+    return {
+      offenseCategories: offense ? offense.offenses.map(entry => entry.category) : [],
+      moving: offense ? offense.offenses.some(entry => entry.moving) : false,
+      cdl: flag('violator_information', 'cdl'),
+      county: derived.jurisdiction?.county || ticket.ticket_header?.county || null,
+      schoolZone: derived.speeding ? derived.speeding.schoolZone : flag('violation', 'school_zone'),
+      constructionZone: derived.speeding ? derived.speeding.constructionZone : flag('violation', 'constr_zone_workers_present'),
+      accident: flag('violation', 'accident'),
+      mphOver: derived.speeding ? derived.speeding.mphOver : null,
+      citationIndex,
+      citationCount
+    };
+  }
+}
+
+module.exports = PricingEngine;
@@ -0,0 +1,876 @@
+// services/payments/stripeEventHandler.js
+const { FieldValue } = require('firebase-admin/firestore');
+const PaymentTemplates = require('../../templates/paymentTemplates');
+const AlertService = require('../../utils/alertService');
+const PhoneHelper = require('../../utils/phoneHelper');
+const ClientNotifier = require('../../utils/clientNotifier');
+const DiscountService = require('./discountService');
+const PaymentPlan = require('./paymentPlan');
+const { CaseStateMachine } = require('../tickets/caseStateMachine');
+
+// Payment statuses that block a new checkout (money was taken or is under dispute)
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_paid', 'past_due', 'partially_refunded', 'disputed', 'dispute_lost'];
+
+/**
+ * Stripe Event Handler
+ * Applies Stripe events to Firestore tickets and notifies clients and staff.
+ * Used by the webhook, the admin replay endpoint and payment reconciliation,
+ * so every event type must be safe to apply twice.
+ */
+class StripeEventHandler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {Object} options.stripe - Stripe client
+   * @param {Object} options.brevoService - Email / SMS sender
+   * @param {Object} options.discountService - Records promo code redemptions
+   */
+  constructor({ db, stripe, brevoService, discountService }) {
+    this.db = db;
+    this.stripe = stripe;
+    this.brevoService = brevoService;
+    this.discountService = discountService;
+  }
+
+  /**
+   * Apply a Stripe event. Failed ticket updates throw, so the caller can mark
+   * the event failed and let it be retried; email / SMS failures only log.
+   * @param {Object} event - Stripe event (verified, replayed or synthesized)
+   */
+  async handle(event) {
+    switch (event.type) {
+      case 'checkout.session.completed':
+        const session = event.data.object;
+        const firebaseSessionId = session.client_reference_id;
+
+        // Payment plans move the case when the first installment's invoice.paid arrives
+        if (session.mode === 'subscription') {
+          console.log(`🗓️ [Stripe] Payment plan checkout completed for session: ${firebaseSessionId}`);
+          try {
+            await this.db.collection('tickets').doc(firebaseSessionId).update({
+              stripeSubscriptionId: session.subscription,
+              lastUpdated: new Date(),
+            });
+          } catch (firestoreError) {
+            console.error('❌ [Stripe] Firestore update failed:', firestoreError);
+            throw firestoreError;
+          }
+          break;
+        }
+
+        console.log(`💰 [Stripe] Payment successful for session: ${firebaseSessionId}`);
+
+        try {
+          await this.markCasePaid(firebaseSessionId, {
+            paymentIntentId: session.payment_intent,
+            customerEmail: session.customer_details?.email,
+            stripeSessionId: session.id,
+            note: 'Customer completed payment via Stripe.'
+          });
+        } catch (firestoreError) {
+          console.error('❌ [Stripe] Firestore update failed:', firestoreError);
+          // ✅ Fail the event so the ledger records it failed and Stripe retries
+          throw firestoreError;
+        }
+        break;
+
+
+      // ==================== HANDLE PAYMENT FAILURES ====================
+      case 'checkout.session.async_payment_failed':
+      case 'payment_intent.payment_failed':
+
+        const failedSession = event.data.object;
+        const failedSessionId = failedSession.client_reference_id;
+
+        console.log(`💥 [Stripe] Payment failed for session: ${failedSessionId}`);
+        console.log('Failed session object:', JSON.stringify(failedSession, null, 2));
+
+
+        if (!failedSessionId) {
+          console.error('❌ [Stripe] No firebaseSessionId in failed payment metadata');
+          break;
+        }
+
+        //  console.log(`💥 [Stripe] Payment failed for session: ${failedSessionId}`);
+        const errorReason =
+          failedSession.last_payment_error?.message || 'Payment failed';
+
+        console.log(`Error: ${errorReason}`);
+
+
+        try {
+          const failedTicketRef = this.db.collection('tickets').doc(failedSessionId);
+
+          // Read and mark failed in one transaction; a failure arriving after the
+          // payment succeeded (out of order, or an earlier card attempt) is ignored
+          const failedTicketData = await this.db.runTransaction(async transaction => {
+            const failedTicketDoc = await transaction.get(failedTicketRef);
+            if (!failedTicketDoc.exists) {
+              return null;
+            }
+
+            const current = failedTicketDoc.data();
+            if (SETTLED_PAYMENT_STATUSES.includes(current.paymentStatus) || current.paymentStatus === 'failed') {
+              return { ...current, ignored: true };
+            }
+
+            transaction.update(failedTicketRef, {
+              paymentStatus: 'failed',
+              lastUpdated: new Date(),
+              statusHistory: FieldValue.arrayUnion({
+                status: 'payment_failed',
+                timestamp: new Date(),
+                note: `Payment failed: ${errorReason}`,
+              }),
+            });
+            return current;
+          });
+
+          if (!failedTicketData) {
+            console.error(`❌ [Stripe] Failed ticket ${failedSessionId} not found`);
+            break;
+          }
+          if (failedTicketData.ignored) {
+            console.log(`ℹ️ [Stripe] Ignoring payment failure for ${failedSessionId}: payment is already ${failedTicketData.paymentStatus}`);
+            break;
+          }
+          // DO NOT redeclare errorReason here — keep the one from failedSession
+          // DEBUG: Log ALL email fields in the document
+          console.log('🔍 DEBUG - Ticket data structure:');
+          console.log('- Root email:', failedTicketData.email);
+          console.log('- extractedData?.email:', failedTicketData.extractedData?.email);
+          console.log('- extractedData.violator_information?.email:', failedTicketData.extractedData?.violator_information?.email);
+          console.log('- Full document:', JSON.stringify(failedTicketData, null, 2));
+
+          console.log(`✅ [Stripe] Updated ticket ${failedSessionId} to paymentStatus: failed`);
+
+          // ==================== TASK 3: PAYMENT FAILED EMAIL ====================
+          const recipientEmail =
+            failedTicketData.email ||
+            failedTicketData.extractedData?.email;
+          console.log('Resolved recipient email:', recipientEmail);
+
+          if (!recipientEmail) {
+            console.error(
+              '❌ [Email] No usable email found in root or extractedData — skipping send'
+            );
+          }
+
+          if (recipientEmail) {
+
+            try {
+              const failedEmailHtml = PaymentTemplates.getPaymentFailedEmail(failedTicketData);
+              const failedEmailSubject = PaymentTemplates.getPaymentFailedSubject();
+
+              const failedEmailResult = await this.brevoService.sendEmail({
+                to: recipientEmail,
+
+                subject: failedEmailSubject,
+                htmlContent: failedEmailHtml,
+                tags: ['payment_failed']
+              });
+
+              if (failedEmailResult.success) {
+                console.log(`✅ [Email] Payment failed notification sent to: ${recipientEmail}`);
+
+                await failedTicketRef.update({
+                  emailsSent: FieldValue.arrayUnion({
+                    type: 'payment_failed',
+                    sentAt: new Date(),
+                    to: recipientEmail,
+
+                    status: 'sent',
+                    brevoMessageId: failedEmailResult.messageId
+                  })
+                });
+              } else {
+                console.error(`❌ [Email] Failed to send failure email:`, failedEmailResult.error);
+                await AlertService.createNotificationFailedAlert(failedTicketData, { channel: 'email', type: 'payment_failed', to: recipientEmail, error: failedEmailResult.error });
+              }
+            } catch (emailError) {
+              console.error('❌ [Email] Error in failed email sending:', emailError);
+              await AlertService.createNotificationFailedAlert(failedTicketData, { channel: 'email', type: 'payment_failed', to: recipientEmail, error: emailError.message });
+            }
+          }
+
+          // ==================== TASK 4: PAYMENT FAILED SMS (CONDITIONAL) ====================
+          const failedSmsCheck = PhoneHelper.shouldSendSms(failedTicketData);
+
+          if (failedSmsCheck.shouldSend && failedSmsCheck.phoneNumber) {
+            try {
+              const failedSmsContent = PaymentTemplates.getPaymentFailedSms(failedTicketData);
+
+              const failedSmsResult = await this.brevoService.sendSMS({
+                recipient: failedSmsCheck.phoneNumber,
+                content: failedSmsContent,
+                sender: 'TicketGuys'
+              });
+
+              if (failedSmsResult.success) {
+                console.log(`✅ [SMS] Payment failed alert sent to: ${failedSmsCheck.phoneNumber}`);
+
+                await failedTicketRef.update({
+                  smsSent: FieldValue.arrayUnion({
+                    type: 'payment_failed',
+                    sentAt: new Date(),
+                    to: failedSmsCheck.phoneNumber,
+                    status: 'sent'
+                  })
+                });
+              } else if (!failedSmsResult.disabled) {
+                console.error(`❌ [SMS] Failed to send failure SMS:`, failedSmsResult.error);
+                await AlertService.createNotificationFailedAlert(failedTicketData, { channel: 'sms', type: 'payment_failed', to: failedSmsCheck.phoneNumber, error: failedSmsResult.error });
+              }
+            } catch (smsError) {
+              console.error('❌ [SMS] Error in failed SMS sending:', smsError);
+              await AlertService.createNotificationFailedAlert(failedTicketData, { channel: 'sms', type: 'payment_failed', to: failedSmsCheck.phoneNumber, error: smsError.message });
+            }
+          }
+
+          // ==================== TASK 3B: CREATE ADMIN ALERT ====================
+          const alertResult = await AlertService.createPaymentFailedAlert(
+            failedTicketData,
+            errorReason
+          );
+
+          if (alertResult.success) {
+            console.log(`✅ [Alert] Admin alert created: ${alertResult.alertId}`);
+
+            // Link alert to ticket
+            await failedTicketRef.update({
+              adminAlerts: FieldValue.arrayUnion(alertResult.alertId)
+            });
+          } else {
+            console.error(`❌ [Alert] Failed to create admin alert:`, alertResult.error);
+          }
+
+        } catch (error) {
+          console.error('❌ [Stripe] Failed payment handler error:', error);
+          throw error;
+        }
+        break;
+
+      // ==================== PAYMENT PLAN INSTALLMENTS ====================
+      case 'invoice.paid':
+        const paidInvoice = event.data.object;
+        const planTicketId = PaymentPlan.ticketIdForInvoice(paidInvoice);
+
+        if (!planTicketId) {
+          console.log(`ℹ️ [Stripe] Invoice ${paidInvoice.id} is not for a payment plan`);
+          break;
+        }
+
+        try {
+          const planTicketRef = this.db.collection('tickets').doc(planTicketId);
+          const subscriptionId = PaymentPlan.subscriptionIdForInvoice(paidInvoice);
+          // ✅ Refunds and disputes find the installment by its payment intent
+          const recordedInvoice = await this.invoiceWithPayments(paidInvoice);
+
+          // Later installments are recorded in one transaction; the first goes through markCasePaid
+          const payment = await this.db.runTransaction(async transaction => {
+            const planTicketDoc = await transaction.get(planTicketRef);
+            if (!planTicketDoc.exists || !planTicketDoc.data().paymentPlan) {
+              return null;
+            }
+
+            const planTicketData = planTicketDoc.data();
+            const recorded = PaymentPlan.recordPayment(planTicketData.paymentPlan, recordedInvoice);
+            if (!recorded.alreadyRecorded && !recorded.isFirst) {
+              transaction.update(planTicketRef, {
+                paymentPlan: recorded.plan,
+                paymentStatus: recorded.isComplete ? 'paid' : 'partially_paid',
+                ...(recorded.installment.paymentIntentId && { paymentIntentIds: FieldValue.arrayUnion(recorded.installment.paymentIntentId) }),
+                lastUpdated: new Date(),
+                statusHistory: FieldValue.arrayUnion({
+                  status: recorded.isComplete ? 'payment_plan_completed' : 'installment_paid',
+                  timestamp: new Date(),
+                  note: `Installment ${recorded.installment.number} of ${recorded.plan.installmentCount} paid via Stripe.`,
+                }),
+              });
+            }
+            return { ...recorded, planTicketData };
+          });
+
+          if (!payment) {
+            console.error(`❌ [Stripe] Payment plan ticket ${planTicketId} not found in Firestore`);
+            break;
+          }
+          if (payment.alreadyRecorded) {
+            console.log(`ℹ️ [Stripe] Invoice ${paidInvoice.id} already recorded for ${planTicketId}`);
+            break;
+          }
+
+          const { planTicketData } = payment;
+          const installmentNote = `Installment ${payment.installment.number} of ${payment.plan.installmentCount} paid via Stripe.`;
+          const planPaymentStatus = payment.isComplete ? 'paid' : 'partially_paid';
+          console.log(`🗓️ [Stripe] ${installmentNote} (${planTicketId})`);
+
+          if (payment.isFirst) {
+            // ✅ The case only moves forward once the first installment clears
+            await this.markCasePaid(planTicketId, {
+              paymentStatus: planPaymentStatus,
+              paymentIntentId: payment.installment.paymentIntentId,
+              customerEmail: paidInvoice.customer_email,
+              stripeSessionId: planTicketData.stripeCheckoutSessionId,
+              note: installmentNote,
+              extraFields: { paymentPlan: payment.plan, stripeSubscriptionId: subscriptionId }
+            });
+          } else if (payment.isComplete) {
+            for (const linkedTicketId of (planTicketData.paymentTicketIds || []).filter(id => id !== planTicketId)) {
+              await this.db.collection('tickets').doc(linkedTicketId).update({ paymentStatus: 'paid', lastUpdated: new Date() });
+            }
+          }
+
+          // Stop billing after the last installment
+          if (payment.isComplete && subscriptionId) {
+            await this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+            console.log(`✅ [Stripe] Payment plan completed for ${planTicketId}, subscription ${subscriptionId} ends`);
+          }
+
+          await this.db.collection('audit-logs').add({
+            action: 'installment_paid',
+            timestamp: new Date(),
+            sessionId: planTicketId,
+            installment: payment.installment.number,
+            installmentCount: payment.plan.installmentCount,
+            amountPaidCents: paidInvoice.amount_paid,
+            invoiceId: paidInvoice.id,
+            completed: payment.isComplete,
+            status: 'success'
+          });
+        } catch (error) {
+          console.error('❌ [Stripe] Installment payment handler error:', error);
+          throw error;
+        }
+        break;
+
+      case 'invoice.payment_failed':
+        const failedInvoice = event.data.object;
+        const failedPlanTicketId = PaymentPlan.ticketIdForInvoice(failedInvoice);
+
+        if (!failedPlanTicketId) {
+          console.log(`ℹ️ [Stripe] Invoice ${failedInvoice.id} is not for a payment plan`);
+          break;
+        }
+
+        try {
+          const failedPlanRef = this.db.collection('tickets').doc(failedPlanTicketId);
+
+          const failure = await this.db.runTransaction(async transaction => {
+            const failedPlanDoc = await transaction.get(failedPlanRef);
+            if (!failedPlanDoc.exists || !failedPlanDoc.data().paymentPlan) {
+              return null;
+            }
+
+            const failedPlanData = failedPlanDoc.data();
+            const recorded = PaymentPlan.recordFailure(failedPlanData.paymentPlan, failedInvoice);
+            if (recorded.installment) {
+              // A failed first installment leaves the case where it was
+              transaction.update(failedPlanRef, {
+                paymentPlan: recorded.plan,
+                paymentStatus: recorded.isFirst ? 'failed' : 'past_due',
+                lastUpdated: new Date(),
+                statusHistory: FieldValue.arrayUnion({
+                  status: 'installment_failed',
+                  timestamp: new Date(),
+                  note: `Installment ${recorded.installment.number} of ${recorded.plan.installmentCount} failed (attempt ${recorded.installment.failedAttempts}).`,
+                }),
+              });
+            }
+            return { ...recorded, failedPlanData };
+          });
+
+          if (!failure) {
+            console.error(`❌ [Stripe] Payment plan ticket ${failedPlanTicketId} not found in Firestore`);
+            break;
+          }
+          if (!failure.installment) {
+            console.log(`ℹ️ [Stripe] Ignoring failure of invoice ${failedInvoice.id}: already paid`);
+            break;
+          }
+
+          const { failedPlanData } = failure;
+          const failureNote = `Installment ${failure.installment.number} of ${failure.plan.installmentCount} failed (attempt ${failure.installment.failedAttempts}).`;
+          console.log(`💥 [Stripe] ${failureNote} (${failedPlanTicketId})`);
+
+          const installmentAlert = await AlertService.createPaymentFailedAlert(
+            { ...failedPlanData, sessionId: failedPlanData.sessionId || failedPlanTicketId },
+            failureNote
+          );
+          if (installmentAlert.success) {
+            await failedPlanRef.update({
+              adminAlerts: FieldValue.arrayUnion(installmentAlert.alertId)
+            });
+          }
+        } catch (error) {
+          console.error('❌ [Stripe] Installment failure handler error:', error);
+          throw error;
+        }
+        break;
+
+      case 'checkout.session.expired':
+        const expiredSession = event.data.object;
+        const expiredSessionId = expiredSession.client_reference_id;
+
+        try {
+          const expiredTicketRef = this.db.collection('tickets').doc(expiredSessionId);
+          const expiredTicketDoc = await expiredTicketRef.get();
+
+          // Only the latest checkout counts; an older one expiring after a retry is ignored
+          if (!expiredTicketDoc.exists ||
+              expiredTicketDoc.data().stripeCheckoutSessionId !== expiredSession.id ||
+              expiredTicketDoc.data().paymentStatus !== 'pending') {
+            console.log(`ℹ️ [Stripe] Expired checkout ${expiredSession.id} is not the pending checkout for ${expiredSessionId}`);
+            break;
+          }
+
+          const expiredTicketData = expiredTicketDoc.data();
+          console.log(`⌛ [Stripe] Checkout expired for session: ${expiredSessionId}`);
+
+          for (const ticketId of expiredTicketData.paymentTicketIds || [expiredSessionId]) {
+            await this.db.collection('tickets').doc(ticketId).update({
+              paymentStatus: 'expired',
+              lastUpdated: new Date(),
+              statusHistory: FieldValue.arrayUnion({
+                status: 'checkout_expired',
+                timestamp: new Date(),
+                note: 'Stripe checkout expired before payment.',
+              }),
+            });
+          }
+
+          const expiredAlert = await AlertService.createCheckoutExpiredAlert(
+            { ...expiredTicketData, sessionId: expiredTicketData.sessionId || expiredSessionId },
+            expiredSession.id
+          );
+          if (expiredAlert.success) {
+            await expiredTicketRef.update({ adminAlerts: FieldValue.arrayUnion(expiredAlert.alertId) });
+          }
+
+          await this.notifyClient(expiredTicketRef, expiredTicketData, {
+            type: 'checkout_expired',
+            subject: PaymentTemplates.getCheckoutExpiredSubject(),
+            html: PaymentTemplates.getCheckoutExpiredEmail(expiredTicketData),
+            sms: PaymentTemplates.getCheckoutExpiredSms(expiredTicketData)
+          });
+        } catch (error) {
+          console.error('❌ [Stripe] Expired checkout handler error:', error);
+          throw error;
+        }
+        break;
+
+      // ==================== REFUNDS AND DISPUTES ====================
+      case 'charge.refunded':
+        const refundedCharge = event.data.object;
+
+        try {
+          const refundedTicketDoc = await this.findTicketByPaymentIntent(refundedCharge.payment_intent);
+          if (!refundedTicketDoc) {
+            console.error(`❌ [Stripe] No ticket for refunded payment intent ${refundedCharge.payment_intent}`);
+            break;
+          }
+
+          // Check and record the refund in one transaction. amount_refunded is cumulative
+          // per charge, so a replay or an older event for the same charge changes nothing
+          const refundUpdate = await this.db.runTransaction(async transaction => {
+            const refundedTicketData = (await transaction.get(refundedTicketDoc.ref)).data();
+            if ((refundedTicketData.refundedCharges?.[refundedCharge.id] || 0) >= refundedCharge.amount_refunded) {
+              return null;
+            }
+
+            const refundedCharges = { ...(refundedTicketData.refundedCharges || {}), [refundedCharge.id]: refundedCharge.amount_refunded };
+            const amountRefundedCents = Object.values(refundedCharges).reduce((sum, amount) => sum + amount, 0);
+            const fullRefund = refundedCharge.refunded && !refundedTicketData.paymentPlan;
+            const refund = { chargeId: refundedCharge.id, amountRefundedCents, fullRefund };
+            const refundNote = `${fullRefund ? 'Full' : 'Partial'} refund of $${(amountRefundedCents / 100).toFixed(2)} issued.`;
+
+            for (const ticketId of refundedTicketData.paymentTicketIds || [refundedTicketDoc.id]) {
+              transaction.update(this.db.collection('tickets').doc(ticketId), {
+                paymentStatus: fullRefund ? 'refunded' : 'partially_refunded',
+                ...(ticketId === refundedTicketDoc.id && { refundedCharges, amountRefundedCents }),
+                lastUpdated: new Date(),
+                statusHistory: FieldValue.arrayUnion({
+                  status: fullRefund ? 'payment_refunded' : 'payment_partially_refunded',
+                  timestamp: new Date(),
+                  note: refundNote,
+                }),
+              });
+            }
+            return { refundedTicketData, refund, refundNote };
+          });
+
+          if (!refundUpdate) {
+            console.log(`ℹ️ [Stripe] Refund of charge ${refundedCharge.id} already recorded for ${refundedTicketDoc.id}`);
+            break;
+          }
+
+          const { refundedTicketData, refund, refundNote } = refundUpdate;
+          console.log(`💸 [Stripe] ${refundNote} (${refundedTicketDoc.id})`);
+
+          const refundAlert = await AlertService.createRefundAlert(
+            { ...refundedTicketData, sessionId: refundedTicketData.sessionId || refundedTicketDoc.id },
+            refund
+          );
+          if (refundAlert.success) {
+            await refundedTicketDoc.ref.update({ adminAlerts: FieldValue.arrayUnion(refundAlert.alertId) });
+          }
+
+          await this.notifyClient(refundedTicketDoc.ref, refundedTicketData, {
+            type: 'payment_refunded',
+            subject: PaymentTemplates.getRefundSubject(),
+            html: PaymentTemplates.getRefundEmail(refundedTicketData, refund),
+            sms: PaymentTemplates.getRefundSms(refundedTicketData, refund)
+          });
+        } catch (error) {
+          console.error('❌ [Stripe] Refund handler error:', error);
+          throw error;
+        }
+        break;
+
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed':
+        const stripeDispute = event.data.object;
+        const disputeClosed = event.type === 'charge.dispute.closed';
+
+        try {
+          const disputedTicketDoc = await this.findTicketByPaymentIntent(stripeDispute.payment_intent);
+          if (!disputedTicketDoc) {
+            console.error(`❌ [Stripe] No ticket for disputed payment intent ${stripeDispute.payment_intent}`);
+            break;
+          }
+
+          // Check and record the dispute in one transaction; a replay (same dispute and
+          // status), or a late charge.dispute.created for a known dispute, changes nothing
+          const disputeUpdate = await this.db.runTransaction(async transaction => {
+            const disputedTicketData = (await transaction.get(disputedTicketDoc.ref)).data();
+            const recordedDispute = disputedTicketData.dispute;
+            if (recordedDispute?.id === stripeDispute.id && (recordedDispute.status === stripeDispute.status || !disputeClosed)) {
+              return null;
+            }
+
+            const dispute = {
+              id: stripeDispute.id,
+              chargeId: stripeDispute.charge,
+              reason: stripeDispute.reason,
+              status: stripeDispute.status, // ✅ needs_response, under_review, won, lost, ...
+              amountCents: stripeDispute.amount,
+              evidenceDueBy: stripeDispute.evidence_details?.due_by ? new Date(stripeDispute.evidence_details.due_by * 1000) : null,
+              // Payment status to restore if the dispute is won
+              previousPaymentStatus: recordedDispute?.previousPaymentStatus || disputedTicketData.paymentStatus,
+              updatedAt: new Date()
+            };
+
+            let disputePaymentStatus = 'disputed';
+            if (disputeClosed) {
+              disputePaymentStatus = dispute.status === 'lost' ? 'dispute_lost' : dispute.previousPaymentStatus;
+            }
+            const disputeNote = disputeClosed
+              ? `Dispute ${dispute.id} closed: ${dispute.status}.`
+              : `Payment disputed (${dispute.reason}), $${(dispute.amountCents / 100).toFixed(2)}.`;
+
+            for (const ticketId of disputedTicketData.paymentTicketIds || [disputedTicketDoc.id]) {
+              transaction.update(this.db.collection('tickets').doc(ticketId), {
+                paymentStatus: disputePaymentStatus,
+                ...(ticketId === disputedTicketDoc.id && { dispute }),
+                lastUpdated: new Date(),
+                statusHistory: FieldValue.arrayUnion({
+                  status: disputeClosed ? `dispute_${dispute.status}` : 'payment_disputed',
+                  timestamp: new Date(),
+                  note: disputeNote,
+                }),
+              });
+            }
+            return { disputedTicketData, dispute, disputeNote };
+          });
+
+          if (!disputeUpdate) {
+            console.log(`ℹ️ [Stripe] Dispute ${stripeDispute.id} (${stripeDispute.status}) already recorded for ${disputedTicketDoc.id}`);
+            break;
+          }
+
+          const { disputedTicketData, dispute, disputeNote } = disputeUpdate;
+          console.log(`⚖️ [Stripe] ${disputeNote} (${disputedTicketDoc.id})`);
+
+          const disputeAlert = await AlertService.createDisputeAlert(
+            { ...disputedTicketData, sessionId: disputedTicketData.sessionId || disputedTicketDoc.id },
+            dispute
+          );
+          if (disputeAlert.success) {
+            await disputedTicketDoc.ref.update({ adminAlerts: FieldValue.arrayUnion(disputeAlert.alertId) });
+          }
+
+          // The client only hears about a new dispute; the outcome is handled by staff
+          if (!disputeClosed) {
+            await this.notifyClient(disputedTicketDoc.ref, disputedTicketData, {
+              type: 'payment_disputed',
+              subject: PaymentTemplates.getDisputeSubject(),
+              html: PaymentTemplates.getDisputeEmail(disputedTicketData)
+            });
+          }
+        } catch (error) {
+          console.error('❌ [Stripe] Dispute handler error:', error);
+          throw error;
+        }
+        break;
+
+      // Add other events you want to handle, like payment failure
+      default:
+        console.log(`🔔 Unhandled event type: ${event.type}`);
+    }
+  }
+
+  /**
+   * Move a paid case forward: marks the ticket and its linked citations paid,
+   * counts any promo code and sends the payment confirmation email / SMS.
+   * Payment plans call this when the first installment clears.
+   * @param {string} firebaseSessionId - Ticket id
+   * @param {Object} payment - { paymentStatus, paymentIntentId, customerEmail, stripeSessionId, note, extraFields }
+   * @returns {Promise<boolean>} - false when the ticket is missing or the payment was already recorded
+   */
+  async markCasePaid(firebaseSessionId, { paymentStatus = 'paid', paymentIntentId, customerEmail, stripeSessionId, note, extraFields = {} }) {
+    const ticketRef = this.db.collection('tickets').doc(firebaseSessionId);
+
+    // 1-2. Read and mark paid in one transaction, so a retried or replayed
+    // event for a payment already recorded changes nothing and notifies no one
+    const ticketData = await this.db.runTransaction(async transaction => {
+      const ticketDoc = await transaction.get(ticketRef);
+      if (!ticketDoc.exists) {
+        return null;
+      }
+
+      const current = ticketDoc.data();
+      const alreadyRecorded = paymentIntentId
+        ? current.stripePaymentIntentId === paymentIntentId || (current.paymentIntentIds || []).includes(paymentIntentId)
+        : current.paymentStatus === paymentStatus;
+      if (alreadyRecorded) {
+        return { ...current, alreadyRecorded };
+      }
+
+      transaction.update(ticketRef, {
+        ...extraFields,
+        paymentStatus,
+        ...(CaseStateMachine.check({ ...current, paymentStatus }, 'submitted_for_review', { system: true }).allowed && {
+          caseStatus: 'submitted_for_review' // ✅ Cases staff already moved keep their status
+        }),
+        paidAt: new Date(),
+        stripePaymentIntentId: paymentIntentId || null,
+        ...(paymentIntentId && { paymentIntentIds: FieldValue.arrayUnion(paymentIntentId) }), // ✅ Refund / dispute lookup
+        referralCode: current.referralCode || DiscountService.generateReferralCode(), // ✅ Client can now refer others
+        lastUpdated: new Date(),
+        statusHistory: FieldValue.arrayUnion({
+          status: 'payment_received',
+          timestamp: new Date(),
+          note,
+        }),
+      });
+      return current;
+    });
+
+    if (!ticketData) {
+      console.error(`❌ [Stripe] Ticket ${firebaseSessionId} not found in Firestore`);
+      return false;
+    }
+    // Linked citations are synced on retries too (while the ticket is still at this payment status),
+    // so a retry after a failed linked update finishes them
+    if (!ticketData.alreadyRecorded || ticketData.paymentStatus === paymentStatus) {
+      await this.markLinkedTicketsPaid(firebaseSessionId, ticketData, { paymentStatus, paymentIntentId });
+    }
+
+    if (ticketData.alreadyRecorded) {
+      console.log(`ℹ️ [Stripe] Payment ${paymentIntentId || ''} already recorded for ${firebaseSessionId}, skipping`);
+      return false;
+    }
+
+    console.log(`✅ [Stripe] Firestore updated for session: ${firebaseSessionId}`);
+
+    // Count the promo / referral code now that the discounted checkout is paid
+    if (ticketData.discount) {
+      await this.discountService.recordRedemption(ticketData.discount, {
+        ticketId: firebaseSessionId,
+        email: ticketData.email || customerEmail, // Discounts stored before discount.email was recorded
+        stripeSessionId
+      });
+    }
+
+    // ==================== TASK 1: PAYMENT SUCCESS EMAIL ====================
+    if (ticketData.email) {
+      try {
+        const emailHtml = PaymentTemplates.getPaymentPaidEmail(ticketData);
+        const emailSubject = PaymentTemplates.getPaymentPaidSubject();
+
+        const emailResult = await this.brevoService.sendEmail({
+          to: ticketData.email,
+          subject: emailSubject,
+          htmlContent: emailHtml,
+          tags: ['payment_success']
+        });
+
+        if (emailResult.success) {
+          console.log(`✅ [Email] Payment confirmation sent to: ${ticketData.email}`);
+
+          // Log email in Firestore
+          await ticketRef.update({
+            emailsSent: FieldValue.arrayUnion({
+              type: 'payment_paid',
+              sentAt: new Date(),
+              to: ticketData.email,
+              status: 'sent',
+              brevoMessageId: emailResult.messageId
+            })
+          });
+        } else {
+          console.error(`❌ [Email] Failed to send to ${ticketData.email}:`, emailResult.error);
+          await AlertService.createNotificationFailedAlert(ticketData, { channel: 'email', type: 'payment_paid', to: ticketData.email, error: emailResult.error });
+
+          // Log failure
+          await ticketRef.update({
+            emailsSent: FieldValue.arrayUnion({
+              type: 'payment_paid',
+              sentAt: new Date(),
+              to: ticketData.email,
+              status: 'failed',
+              error: emailResult.error
+            })
+          });
+        }
+      } catch (emailError) {
+        console.error('❌ [Email] Error in email sending:', emailError);
+        await AlertService.createNotificationFailedAlert(ticketData, { channel: 'email', type: 'payment_paid', to: ticketData.email, error: emailError.message });
+      }
+    } else {
+      console.log('⚠️ [Email] No email found for ticket, skipping email send.');
+    }
+
+    // ==================== TASK 2: PAYMENT SUCCESS SMS (CONDITIONAL) ====================
+    // Check if SMS should be sent
+    const smsCheck = PhoneHelper.shouldSendSms(ticketData);
+
+    if (smsCheck.shouldSend && smsCheck.phoneNumber) {
+      try {
+        const smsContent = PaymentTemplates.getPaymentPaidSms(ticketData);
+
+        const smsResult = await this.brevoService.sendSMS({
+          recipient: smsCheck.phoneNumber,
+          content: smsContent,
+          sender: 'TicketGuys'
+        });
+
+        if (smsResult.success) {
+          console.log(`✅ [SMS] Payment confirmation sent to: ${smsCheck.phoneNumber}`);
+
+          // Log SMS in Firestore
+          await ticketRef.update({
+            smsSent: FieldValue.arrayUnion({
+              type: 'payment_paid',
+              sentAt: new Date(),
+              to: smsCheck.phoneNumber,
+              status: 'sent',
+              messageId: smsResult.messageId
+            })
+          });
+        } else if (!smsResult.disabled) {
+          // Only log as error if not disabled by feature flag
+          console.error(`❌ [SMS] Failed to send to ${smsCheck.phoneNumber}:`, smsResult.error);
+          await AlertService.createNotificationFailedAlert(ticketData, { channel: 'sms', type: 'payment_paid', to: smsCheck.phoneNumber, error: smsResult.error });
+
+          await ticketRef.update({
+            smsSent: FieldValue.arrayUnion({
+              type: 'payment_paid',
+              sentAt: new Date(),
+              to: smsCheck.phoneNumber,
+              status: 'failed',
+              error: smsResult.error
+            })
+          });
+        }
+      } catch (smsError) {
+        console.error('❌ [SMS] Error in SMS sending:', smsError);
+        await AlertService.createNotificationFailedAlert(ticketData, { channel: 'sms', type: 'payment_paid', to: smsCheck.phoneNumber, error: smsError.message });
+      }
+    } else {
+      console.log(`ℹ️ [SMS] SMS not sent: ${smsCheck.reason}`);
+    }
+
+    // ==================== TASK 5: CANCEL SCHEDULED RECAPTURE (FUTURE) ====================
+    // This will be implemented in Module 3
+    // await cancelScheduledRecaptureEmails(firebaseSessionId);
+
+    return true;
+  }
+
+  /**
+   * Mark the linked citations paid in the same checkout (tickets already marked are left alone)
+   * @param {string} firebaseSessionId - Ticket that was paid
+   * @param {Object} ticketData - Its data before the payment was recorded
+   * @param {Object} payment - { paymentStatus, paymentIntentId }
+   */
+  async markLinkedTicketsPaid(firebaseSessionId, ticketData, { paymentStatus, paymentIntentId }) {
+    for (const linkedTicketId of (ticketData.paymentTicketIds || []).filter(id => id !== firebaseSessionId)) {
+      const linkedTicketRef = this.db.collection('tickets').doc(linkedTicketId);
+      const linkedTicketDoc = await linkedTicketRef.get();
+      if (!linkedTicketDoc.exists) continue;
+
+      const linked = linkedTicketDoc.data();
+      if (linked.paymentStatus === paymentStatus && (!paymentIntentId || linked.stripePaymentIntentId === paymentIntentId)) {
+        continue;
+      }
+
+      await linkedTicketRef.update({
+        paymentStatus,
+        ...(CaseStateMachine.check({ ...linked, paymentStatus }, 'submitted_for_review', { system: true }).allowed && {
+          caseStatus: 'submitted_for_review'
+        }),
+        paidAt: new Date(),
+        stripePaymentIntentId: paymentIntentId || null,
+        lastUpdated: new Date(),
+        statusHistory: FieldValue.arrayUnion({
+          status: 'payment_received',
+          timestamp: new Date(),
+          note: `Paid together with ticket ${firebaseSessionId} via Stripe.`,
+        }),
+      });
+      console.log(`✅ [Stripe] Linked ticket ${linkedTicketId} marked paid`);
+    }
+  }
+
+  /**
+   * An invoice with its payment intent: invoice.paid payloads on current Stripe
+   * API versions carry neither payment_intent nor payments, so the invoice is
+   * fetched again with its payments expanded
+   * @param {Object} invoice - Stripe invoice from the event
+   * @returns {Promise<Object>} - Stripe invoice
+   */
+  async invoiceWithPayments(invoice) {
+    if (PaymentPlan.paymentIntentIdForInvoice(invoice)) return invoice;
+    return this.stripe.invoices.retrieve(invoice.id, { expand: ['payments'] });
+  }
+
+  /**
+   * Find the ticket a Stripe payment intent paid for
+   * (the parent ticket when linked citations share the payment)
+   * @param {string} paymentIntentId
+   * @returns {Promise<Object|null>} - Ticket document snapshot
+   */
+  async findTicketByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const byList = await this.db.collection('tickets').where('paymentIntentIds', 'array-contains', paymentIntentId).limit(1).get();
+    if (!byList.empty) return byList.docs[0];
+
+    // Tickets paid before paymentIntentIds was stored
+    const byField = await this.db.collection('tickets').where('stripePaymentIntentId', '==', paymentIntentId).get();
+    return byField.docs.find(doc => doc.data().paymentTicketIds) || byField.docs[0] || null;
+  }
+
+  /**
+   * Email / text the client about a payment event and log what was sent
+   * @param {Object} ticketRef - Ticket document reference
+   * @param {Object} ticketData - Ticket document data
+   * @param {Object} message - { type, subject, html, sms }
+   */
+  async notifyClient(ticketRef, ticketData, message) {
+    await ClientNotifier.send(this.brevoService, ticketRef, ticketData, message);
+  }
+}
+
+module.exports = { StripeEventHandler, SETTLED_PAYMENT_STATUSES };
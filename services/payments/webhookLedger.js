@@ -0,0 +1,122 @@
+// services/payments/webhookLedger.js
+const { FieldValue } = require('firebase-admin/firestore');
+
+const COLLECTION = 'stripe-events';
+
+// A 'processing' entry older than this belongs to a crashed run and may be retried
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Webhook Ledger
+ * Records every Stripe event in stripe-events/{eventId} so retried or
+ * duplicated deliveries are handled once, and keeps the raw event so admins
+ * can replay it.
+ *
+ * Entry status: processing → processed, or failed (Stripe retries failed events).
+ */
+class WebhookLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {number} [options.processingTimeoutMs]
+   */
+  constructor({ db, processingTimeoutMs = PROCESSING_TIMEOUT_MS }) {
+    this.db = db;
+    this.processingTimeoutMs = processingTimeoutMs;
+  }
+
+  /**
+   * Claim an event for processing
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<Object>} - { duplicate, status }
+   */
+  async begin(event) {
+    const ref = this.db.collection(COLLECTION).doc(event.id);
+
+    return this.db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (doc.exists) {
+        const entry = doc.data();
+        const stale = entry.status === 'processing' &&
+          Date.now() - WebhookLedger.toMillis(entry.startedAt) > this.processingTimeoutMs;
+        if (entry.status === 'processed' || (entry.status === 'processing' && !stale)) {
+          return { duplicate: true, status: entry.status };
+        }
+      }
+
+      transaction.set(ref, {
+        eventId: event.id,
+        type: event.type,
+        objectId: event.data?.object?.id || null,
+        stripeCreatedAt: new Date(event.created * 1000),
+        livemode: !!event.livemode,
+        payload: JSON.stringify(event), // ✅ Stored as text; Stripe objects can nest arrays Firestore rejects
+        status: 'processing',
+        startedAt: new Date(),
+        attempts: FieldValue.increment(1),
+        ...(!doc.exists && { receivedAt: new Date() })
+      }, { merge: true });
+
+      return { duplicate: false, status: 'processing' };
+    });
+  }
+
+  /**
+   * Mark an event handled
+   * @param {string} eventId
+   */
+  async complete(eventId) {
+    await this.db.collection(COLLECTION).doc(eventId).update({
+      status: 'processed',
+      processedAt: new Date(),
+      error: null
+    });
+  }
+
+  /**
+   * Mark an event failed (never throws, so the webhook can still respond)
+   * @param {string} eventId
+   * @param {Error} error
+   */
+  async fail(eventId, error) {
+    try {
+      await this.db.collection(COLLECTION).doc(eventId).update({
+        status: 'failed',
+        failedAt: new Date(),
+        error: error.message
+      });
+    } catch (ledgerError) {
+      console.error(`❌ [WebhookLedger] Could not mark ${eventId} failed:`, ledgerError.message);
+    }
+  }
+
+  /**
+   * Load a stored event for replay and record who replayed it
+   * @param {string} eventId
+   * @param {string} replayedBy - Admin id
+   * @returns {Promise<Object|null>} - Stripe event, or null when not in the ledger
+   */
+  async startReplay(eventId, replayedBy) {
+    const ref = this.db.collection(COLLECTION).doc(eventId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    await ref.update({
+      status: 'processing',
+      startedAt: new Date(),
+      attempts: FieldValue.increment(1),
+      replays: FieldValue.arrayUnion({ replayedAt: new Date(), replayedBy })
+    });
+
+    return JSON.parse(doc.data().payload);
+  }
+
+  static toMillis(value) {
+    if (!value) return 0;
+    return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+  }
+}
+
+module.exports = WebhookLedger;
@@ -0,0 +1,37 @@
+// services/tickets/canonicalTicket.js
+const { TICKET_SCHEMA, section } = require('../extraction/ticketSchema');
+
+/**
+ * Canonical Ticket Schema
+ * The one shape stored in tickets/{id}.extractedData, whatever the intake source.
+ * It is the extraction schema plus the sections only the manual form collects
+ * (officer, court) and the user-supplied fields (email, is_jp, precinct_number),
+ * all of which are always present.
+ */
+
+const violationFields = [...TICKET_SCHEMA.properties.violation.required, 'financial_responsibility'];
+
+const CANONICAL_TICKET_SCHEMA = {
+  ...TICKET_SCHEMA,
+  $id: 'ticket-canonical',
+  title: 'Canonical ticket',
+  properties: {
+    ...TICKET_SCHEMA.properties,
+    violation: section(violationFields),
+    officer_information: section(['name', 'id']),
+    court_information: section(['name', 'hours', 'issuing_authority'])
+  },
+  required: [
+    ...TICKET_SCHEMA.required,
+    'officer_information',
+    'court_information',
+    'email',
+    'is_jp',
+    'precinct_number'
+  ]
+};
+
+// Canonical schema version stored on every ticket as extractedDataVersion
+const CANONICAL_TICKET_VERSION = 1;
+
+module.exports = { CANONICAL_TICKET_SCHEMA, CANONICAL_TICKET_VERSION };
@@ -0,0 +1,269 @@
+// services/tickets/casePortal.js
+const { CASE_STATUSES } = require('../../config/caseStatuses');
+const { PAYMENT_STATES, TIMELINE_EVENTS, NEXT_ACTIONS, OPEN_DOCUMENT_STATUSES } = require('../../config/clientPortal');
+const RequiredFields = require('../../utils/requiredFields');
+const PaymentTemplates = require('../../templates/paymentTemplates');
+const { TicketMapper } = require('./ticketMapper');
+const { CaseStateMachine } = require('./caseStateMachine');
+
+/**
+ * Case Portal
+ * The client's view of their cases for the portal page: current status with
+ * its client message, a timeline built from statusHistory, payment state,
+ * requested documents and what the client should do next.
+ *
+ * Only client-safe values leave this class: no status reasons or notes,
+ * staff ids, assignment, internal notes or alerts.
+ */
+class CasePortal {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  /**
+   * A user's cases, newest first
+   * @param {string} userId - Firebase uid (tickets.userId)
+   * @returns {Promise<Object>} - { success, cases }
+   */
+  async list(userId) {
+    const snapshot = await this.db.collection('tickets').where('userId', '==', userId).get();
+
+    const cases = snapshot.docs
+      .map(doc => CasePortal.summarize(doc.id, doc.data()))
+      .sort((a, b) => CasePortal.toMillis(b.createdAt) - CasePortal.toMillis(a.createdAt));
+
+    return { success: true, cases };
+  }
+
+  /**
+   * One case as the client portal shows it
+   * @param {string} sessionId - Ticket id
+   * @returns {Promise<Object>} - { success, case } or { success: false, error, statusCode }
+   */
+  async get(sessionId) {
+    const ticketDoc = await this.db.collection('tickets').doc(sessionId).get();
+    if (!ticketDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Case not found' };
+    }
+
+    const ticketData = ticketDoc.data();
+    const intake = CasePortal.intake(ticketData);
+    const payment = CasePortal.payment(ticketData);
+    const documents = CasePortal.documents(ticketData);
+
+    return {
+      success: true,
+      case: {
+        ...CasePortal.summarize(ticketDoc.id, ticketData),
+        status: CasePortal.status(ticketData),
+        timeline: CasePortal.timeline(ticketData),
+        intake,
+        payment,
+        documents,
+        nextActions: CasePortal.nextActions(ticketDoc.id, ticketData, { intake, payment, documents }),
+        support: {
+          phone: process.env.SUPPORT_PHONE || null,
+          hours: process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm'
+        }
+      }
+    };
+  }
+
+  /**
+   * Fields shown on the case list and at the top of a case
+   * @param {string} sessionId
+   * @param {Object} ticketData
+   * @returns {Object}
+   */
+  static summarize(sessionId, ticketData) {
+    const extractedData = TicketMapper.toCanonical(ticketData.extractedData);
+    const caseStatus = CaseStateMachine.currentStatus(ticketData);
+
+    return {
+      sessionId,
+      parentSessionId: ticketData.parentSessionId || null,
+      citationNumber: extractedData.ticket_header?.citation_number || null,
+      violation: extractedData.violation?.citation || null,
+      county: ticketData.jurisdiction?.county || extractedData.ticket_header?.county || null,
+      caseStatus,
+      caseStatusLabel: CASE_STATUSES[caseStatus]?.label || caseStatus,
+      paymentStatus: ticketData.paymentStatus || 'unpaid',
+      createdAt: CasePortal.toDate(ticketData.createdAt),
+      lastUpdated: CasePortal.toDate(ticketData.lastUpdated)
+    };
+  }
+
+  /**
+   * Current case status with the client message stored on the ticket
+   * (falls back to config/caseStatuses.js for tickets saved without one)
+   * @param {Object} ticketData
+   * @returns {Object} - { code, label, message, final, updatedAt }
+   */
+  static status(ticketData) {
+    const caseStatus = CaseStateMachine.currentStatus(ticketData);
+    const definition = CASE_STATUSES[caseStatus] || {};
+    const entered = [...(ticketData.statusHistory || [])].reverse().find(entry => entry.status === caseStatus);
+
+    return {
+      code: caseStatus,
+      label: definition.label || caseStatus,
+      message: ticketData.clientMessages?.[caseStatus] || definition.clientMessage || null,
+      final: !!definition.final,
+      updatedAt: CasePortal.toDate(ticketData.caseStatusUpdatedAt || entered?.timestamp || ticketData.createdAt)
+    };
+  }
+
+  /**
+   * statusHistory reduced to case statuses and client-facing payment events, oldest first
+   * @param {Object} ticketData
+   * @returns {Array<Object>} - [{ type, status, label, timestamp }]
+   */
+  static timeline(ticketData) {
+    return (ticketData.statusHistory || [])
+      .map(entry => {
+        if (CASE_STATUSES[entry.status]) {
+          return { type: 'case', status: entry.status, label: CASE_STATUSES[entry.status].label, timestamp: CasePortal.toDate(entry.timestamp) };
+        }
+        if (TIMELINE_EVENTS[entry.status]) {
+          return { type: 'payment', status: entry.status, label: TIMELINE_EVENTS[entry.status], timestamp: CasePortal.toDate(entry.timestamp) };
+        }
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => CasePortal.toMillis(a.timestamp) - CasePortal.toMillis(b.timestamp));
+  }
+
+  /**
+   * Whether the client still has ticket details to fill in
+   * @param {Object} ticketData
+   * @returns {Object} - { status, isComplete, missingFields, invalidFields }
+   */
+  static intake(ticketData) {
+    const requirements = RequiredFields.check(TicketMapper.toCanonical(ticketData.extractedData), {
+      ruleSet: RequiredFields.ruleSetFor(ticketData.dataSource),
+      context: { email: ticketData.email || '' }
+    });
+
+    return {
+      status: ticketData.status || null,
+      isComplete: requirements.isComplete,
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields
+    };
+  }
+
+  /**
+   * Payment state in client wording, with installment progress for payment plans
+   * @param {Object} ticketData
+   * @returns {Object}
+   */
+  static payment(ticketData) {
+    const paymentStatus = ticketData.paymentStatus || 'unpaid';
+    const state = PAYMENT_STATES[paymentStatus] || { label: paymentStatus, message: null };
+    const plan = ticketData.paymentPlan;
+
+    return {
+      status: paymentStatus,
+      label: state.label,
+      message: state.message,
+      amount: ticketData.paymentAmount || null,
+      paidAt: CasePortal.toDate(ticketData.paidAt),
+      // Linked citations from the same stop are paid through the first ticket
+      payThroughSessionId: ticketData.parentSessionId || null,
+      plan: plan
+        ? {
+          label: plan.label,
+          status: plan.status,
+          installmentCount: plan.installmentCount,
+          paidCount: plan.paidCount || 0,
+          installments: (plan.installments || []).map(installment => ({
+            number: installment.number,
+            amountCents: installment.amountCents,
+            status: installment.status,
+            paidAt: CasePortal.toDate(installment.paidAt),
+            nextAttemptAt: CasePortal.toDate(installment.nextAttemptAt)
+          }))
+        }
+        : null
+    };
+  }
+
+  /**
+   * Documents staff asked the client for (requiredDocuments entries may be names or objects)
+   * @param {Object} ticketData
+   * @returns {Array<Object>} - [{ name, description, status, dueAt, uploadedAt }]
+   */
+  static documents(ticketData) {
+    return (ticketData.requiredDocuments || []).map(document => {
+      const entry = typeof document === 'string' ? { name: document } : document;
+      return {
+        name: entry.name || entry.type || 'Document',
+        description: entry.description || null,
+        status: entry.status || 'requested',
+        dueAt: CasePortal.toDate(entry.dueAt),
+        uploadedAt: CasePortal.toDate(entry.uploadedAt)
+      };
+    });
+  }
+
+  /**
+   * What the client should do next, most pressing first
+   * @param {string} sessionId
+   * @param {Object} ticketData
+   * @param {Object} parts - { intake, payment, documents } built by the methods above
+   * @returns {Array<Object>} - [{ type, label, description, ... }]
+   */
+  static nextActions(sessionId, ticketData, { intake, payment, documents }) {
+    const actions = [];
+    const action = (type, extra = {}) => actions.push({ type, ...NEXT_ACTIONS[type], ...extra });
+
+    if (CASE_STATUSES[CaseStateMachine.currentStatus(ticketData)]?.final) {
+      return actions;
+    }
+
+    if (ticketData.status !== 'completed' && !intake.isComplete) {
+      action('complete_intake', { fields: [...intake.missingFields, ...intake.invalidFields.map(entry => entry.field)] });
+    }
+
+    const openDocuments = documents.filter(document => OPEN_DOCUMENT_STATUSES.includes(document.status));
+    if (openDocuments.length > 0) {
+      action('upload_documents', { documents: openDocuments.map(document => document.name) });
+    }
+
+    const paymentAction = PAYMENT_STATES[payment.status]?.action;
+    if (paymentAction === 'make_payment') {
+      action('make_payment', { sessionId: ticketData.parentSessionId || sessionId });
+    } else if (paymentAction === 'update_payment_method') {
+      action('update_payment_method', { url: PaymentTemplates.buildPaymentUpdateUrl(ticketData.parentSessionId || sessionId) });
+    } else if (paymentAction) {
+      action(paymentAction);
+    }
+
+    return actions;
+  }
+
+  /**
+   * Firestore Timestamp / Date / string as a Date (null when missing)
+   * @param {*} value
+   * @returns {Date|null}
+   */
+  static toDate(value) {
+    if (!value) return null;
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+
+  /**
+   * Date (from toDate) as milliseconds for sorting
+   * @param {Date|null} value
+   * @returns {number}
+   */
+  static toMillis(value) {
+    return value ? value.getTime() : 0;
+  }
+}
+
+module.exports = CasePortal;
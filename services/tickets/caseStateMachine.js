@@ -0,0 +1,223 @@
+// services/tickets/caseStateMachine.js
+const { FieldValue } = require('firebase-admin/firestore');
+const { INITIAL_CASE_STATUS, PAID_PAYMENT_STATUSES, CASE_STATUSES, CASE_TRANSITIONS } = require('../../config/caseStatuses');
+const RequiredFields = require('../../utils/requiredFields');
+const AlertService = require('../../utils/alertService');
+const ClientNotifier = require('../../utils/clientNotifier');
+const CaseTemplates = require('../../templates/caseTemplates');
+const { TicketMapper } = require('./ticketMapper');
+
+// Guard checks named in config/caseStatuses.js; each returns an error message or null
+const GUARDS = {
+  paid: ticketData => (PAID_PAYMENT_STATUSES.includes(ticketData.paymentStatus)
+    ? null
+    : `Case is not paid (paymentStatus: ${ticketData.paymentStatus || 'none'})`),
+
+  intakeComplete: ticketData => {
+    const requirements = RequiredFields.check(TicketMapper.toCanonical(ticketData.extractedData), {
+      ruleSet: RequiredFields.ruleSetFor(ticketData.dataSource),
+      context: { email: ticketData.email || '' }
+    });
+    return requirements.isComplete
+      ? null
+      : `Ticket is missing required fields: ${[...requirements.missingFields, ...requirements.invalidFields.map(entry => entry.field)].join(', ')}`;
+  },
+
+  reason: (ticketData, { reason }) => (reason && reason.trim() ? null : 'A reason is required for this change'),
+
+  resume: (ticketData, context, to) => {
+    const flagged = [...(ticketData.statusHistory || [])].reverse().find(entry => entry.status === 'case_requires_attention');
+    const previous = flagged?.from || INITIAL_CASE_STATUS;
+    return previous === to ? null : `Case can only return to ${previous} (its status before it was flagged)`;
+  }
+};
+
+/**
+ * Case State Machine
+ * Moves tickets between the case statuses in config/caseStatuses.js.
+ * Every move is checked against the transition table and its guards inside a
+ * transaction, recorded in statusHistory and audit-logs, and then notifies the
+ * client and raises admin alerts as the target status asks.
+ */
+class CaseStateMachine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {Object} options.brevoService - Email / SMS sender
+   */
+  constructor({ db, brevoService }) {
+    this.db = db;
+    this.brevoService = brevoService;
+  }
+
+  /**
+   * Move a case to a new status
+   * @param {string} sessionId - Ticket id
+   * @param {string} to - Target case status
+   * @param {Object} [options]
+   * @param {string} [options.actor] - Who made the change (admin id or 'system')
+   * @param {string} [options.reason] - Why (required by some transitions)
+   * @param {string} [options.note] - Internal note stored in statusHistory
+   * @param {boolean} [options.notify] - Set false to skip the client email / SMS
+   * @returns {Promise<Object>} - { success, from, to } or { success: false, error, statusCode }
+   */
+  async transition(sessionId, to, { actor = 'system', reason = null, note = null, notify = true } = {}) {
+    if (!CASE_STATUSES[to]) {
+      return { success: false, statusCode: 400, error: `Unknown case status: ${to}` };
+    }
+
+    const ticketRef = this.db.collection('tickets').doc(sessionId);
+    const result = await this.db.runTransaction(async transaction => {
+      const ticketDoc = await transaction.get(ticketRef);
+      if (!ticketDoc.exists) {
+        return { success: false, statusCode: 404, error: 'Ticket not found' };
+      }
+
+      const ticketData = ticketDoc.data();
+      const from = CaseStateMachine.currentStatus(ticketData);
+      const check = CaseStateMachine.check(ticketData, to, { reason });
+      if (!check.allowed) {
+        return { success: false, statusCode: 409, error: check.error, from, to };
+      }
+
+      transaction.update(ticketRef, {
+        caseStatus: to,
+        caseStatusUpdatedAt: new Date(),
+        lastUpdated: new Date(),
+        statusHistory: FieldValue.arrayUnion({
+          status: to,
+          from,
+          timestamp: new Date(),
+          updatedBy: actor,
+          reason: reason || null,
+          notes: note || reason || `Case moved to ${CASE_STATUSES[to].label}`
+        })
+      });
+
+      return { success: true, from, to, ticketData: { ...ticketData, caseStatus: to } };
+    });
+
+    if (!result.success) {
+      console.log(`⛔ [CaseState] ${sessionId}: ${result.error}`);
+      return result;
+    }
+
+    console.log(`🔀 [CaseState] ${sessionId}: ${result.from} → ${to} by ${actor}`);
+    await this.afterTransition(ticketRef, result.ticketData, { from: result.from, to, actor, reason, notify });
+
+    return { success: true, from: result.from, to };
+  }
+
+  /**
+   * Side effects of a move: audit entry, client notification, admin alert
+   * @param {Object} ticketRef - Firestore ticket reference
+   * @param {Object} ticketData - Ticket data after the move
+   * @param {Object} change - { from, to, actor, reason, notify }
+   */
+  async afterTransition(ticketRef, ticketData, { from, to, actor, reason, notify }) {
+    const definition = CASE_STATUSES[to];
+
+    await this.db.collection('audit-logs').add({
+      action: 'case_status_changed',
+      timestamp: new Date(),
+      sessionId: ticketRef.id,
+      from,
+      to,
+      reason: reason || null,
+      updatedBy: actor,
+      status: 'success'
+    });
+
+    if (definition.notifyClient && notify) {
+      await ClientNotifier.send(this.brevoService, ticketRef, ticketData, {
+        type: to,
+        subject: CaseTemplates.getCaseStatusSubject(to),
+        html: CaseTemplates.getCaseStatusEmail(ticketData, to),
+        sms: CaseTemplates.getCaseStatusSms(ticketData, to)
+      });
+    }
+
+    if (definition.alertPriority) {
+      await AlertService.createCaseAttentionAlert(ticketData, reason, definition.alertPriority);
+    }
+  }
+
+  /**
+   * Check whether a case may move to a status
+   * @param {Object} ticketData - Ticket document data
+   * @param {string} to - Target case status
+   * @param {Object} [context] - { reason, system } (system: the payment webhook is moving the case)
+   * @returns {Object} - { allowed, error, failedGuards }
+   */
+  static check(ticketData, to, { reason = null, system = false } = {}) {
+    const from = this.currentStatus(ticketData);
+
+    if (from === to) {
+      return { allowed: false, error: `Case is already ${CASE_STATUSES[to].label}`, failedGuards: [] };
+    }
+    if (CASE_STATUSES[from]?.final) {
+      return { allowed: false, error: `Case is ${CASE_STATUSES[from].label}; no further changes are allowed`, failedGuards: [] };
+    }
+
+    const candidates = CASE_TRANSITIONS.filter(candidate => candidate.to === to && candidate.from.includes(from));
+    if (candidates.length === 0) {
+      return { allowed: false, error: `Cannot move a case from ${from} to ${to}`, failedGuards: [] };
+    }
+    const transition = candidates.find(candidate => system || !candidate.system);
+    if (!transition) {
+      return { allowed: false, error: `Cases move to ${to} when payment is received`, failedGuards: [] };
+    }
+
+    const failures = transition.guards
+      .map(guard => ({ guard, error: GUARDS[guard](ticketData, { reason }, to) }))
+      .filter(result => result.error);
+
+    return {
+      allowed: failures.length === 0,
+      error: failures.map(result => result.error).join('; ') || null,
+      failedGuards: failures.map(result => result.guard)
+    };
+  }
+
+  /**
+   * Moves staff can request from the case's current status
+   * @param {Object} ticketData - Ticket document data
+   * @returns {Array<Object>} - [{ to, label, allowed, error, requiresReason }]
+   */
+  static availableTransitions(ticketData) {
+    const from = this.currentStatus(ticketData);
+
+    return CASE_TRANSITIONS
+      .filter(transition => transition.from.includes(from) && !transition.system)
+      .map(transition => {
+        // The reason is supplied with the request, so only the other guards decide availability
+        const check = this.check(ticketData, transition.to, { reason: 'pending' });
+        return {
+          to: transition.to,
+          label: CASE_STATUSES[transition.to].label,
+          allowed: check.allowed,
+          error: check.error,
+          requiresReason: transition.guards.includes('reason')
+        };
+      });
+  }
+
+  /**
+   * Case status of a ticket (tickets without one are at the start of the lifecycle)
+   * @param {Object} ticketData
+   * @returns {string}
+   */
+  static currentStatus(ticketData) {
+    return ticketData.caseStatus || INITIAL_CASE_STATUS;
+  }
+
+  /**
+   * Client dashboard messages per case status (stored on new tickets)
+   * @returns {Object} - { caseStatus: message }
+   */
+  static clientMessages() {
+    return Object.fromEntries(Object.entries(CASE_STATUSES).map(([status, definition]) => [status, definition.clientMessage]));
+  }
+}
+
+module.exports = { CaseStateMachine, INITIAL_CASE_STATUS };
@@ -0,0 +1,88 @@
+// services/tickets/speedingAnalytics.js
+
+// mph over the posted limit → bracket, lowest first
+const SPEED_BRACKETS = [
+  { bracket: '1-9', min: 1 },
+  { bracket: '10-14', min: 10 },
+  { bracket: '15-19', min: 15 },
+  { bracket: '20-24', min: 20 },
+  { bracket: '25-29', min: 25 },
+  { bracket: '30+', min: 30 }
+];
+
+const RISK_TIERS = ['low', 'medium', 'high', 'severe'];
+
+// Base tier by mph over: under 10 low, 10-19 medium, 20-29 high, 30+ severe
+const TIER_THRESHOLDS = [
+  { min: 30, tier: 'severe' },
+  { min: 20, tier: 'high' },
+  { min: 10, tier: 'medium' },
+  { min: 0, tier: 'low' }
+];
+
+// Speeds this high are severe regardless of the posted limit
+const SEVERE_SPEED_MPH = 100;
+
+/**
+ * Speeding Analytics
+ * Derives severity data for speeding cases from alleged vs posted speed,
+ * so intake staff can sort speeding cases. School zones and construction
+ * zones with workers present (fines double, Transp. Code §542.404), CDL
+ * holders and accidents each raise the risk tier one step.
+ */
+class SpeedingAnalytics {
+  /**
+   * Analyze a canonical ticket
+   * @param {Object} ticket - Canonical ticket
+   * @param {Object} [derived] - { normalizedData, offense } from TicketEnrichment
+   * @returns {Object|null} - speeding analytics, or null when either speed is missing
+   */
+  static analyze(ticket, { normalizedData = {}, offense = null } = {}) {
+    const alleged = this.parseSpeed(ticket.violation?.alleged_speed_mph);
+    const posted = this.parseSpeed(ticket.violation?.posted_speed_mph);
+    if (alleged === null || posted === null || posted === 0) {
+      return null;
+    }
+
+    const flag = (section, field) => normalizedData[section]?.[field]?.value === true;
+    const mphOver = alleged - posted;
+    const schoolZone = flag('violation', 'school_zone') || offense?.code === 'SPEED_SCHOOL_ZONE';
+    const constructionZone = flag('violation', 'constr_zone_workers_present') || offense?.code === 'SPEED_CONSTRUCTION_ZONE';
+
+    const enhancements = [];
+    if (schoolZone) enhancements.push('school_zone');
+    if (constructionZone) enhancements.push('construction_zone');
+    if (flag('violator_information', 'cdl')) enhancements.push('cdl_holder');
+    if (flag('violation', 'accident')) enhancements.push('accident');
+
+    const base = alleged >= SEVERE_SPEED_MPH
+      ? 'severe'
+      : TIER_THRESHOLDS.find(threshold => mphOver >= threshold.min)?.tier || 'low';
+    const rank = Math.min(RISK_TIERS.indexOf(base) + enhancements.length, RISK_TIERS.length - 1);
+
+    return {
+      allegedSpeedMph: alleged,
+      postedSpeedMph: posted,
+      mphOver,
+      percentOver: Math.round((mphOver / posted) * 100),
+      bracket: mphOver > 0 ? [...SPEED_BRACKETS].reverse().find(entry => mphOver >= entry.min).bracket : 'not_over',
+      schoolZone,
+      constructionZone,
+      enhancements,
+      riskTier: RISK_TIERS[rank],
+      riskRank: rank + 1 // ✅ 1 (low) - 4 (severe), for sorting
+    };
+  }
+
+  /**
+   * "44", "44 MPH", "44mph" → 44
+   * @param {string} value
+   * @returns {number|null}
+   */
+  static parseSpeed(value) {
+    const found = (value || '').toString().match(/\d{1,3}/);
+    return found ? parseInt(found[0], 10) : null;
+  }
+}
+
+module.exports = SpeedingAnalytics;
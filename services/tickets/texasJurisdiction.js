@@ -0,0 +1,171 @@
+// services/tickets/texasJurisdiction.js
+const { TEXAS_COUNTIES, JP_PRECINCTS, MAX_JP_PRECINCTS } = require('../../config/texasCounties');
+
+const COUNTY_KEYS = TEXAS_COUNTIES.map(county => ({ county, key: normalizeCounty(county) }));
+
+function normalizeCounty(text) {
+  return (text || '').toString().toUpperCase()
+    .replace(/\bCOUNTY\b|\bCNTY\b|\bCO\b\.?/g, '')
+    .replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Texas Jurisdiction
+ * Matches the extracted county against the Texas county list (tolerating OCR
+ * typos such as "BEXR"), checks the JP precinct, and fills is_jp,
+ * precinct_number and the court name when the ticket makes them clear.
+ * Values the user already entered are never overwritten.
+ */
+class TexasJurisdiction {
+  /**
+   * Resolve county, precinct and court for a canonical ticket
+   * @param {Object} ticket - Canonical ticket
+   * @returns {Object} - { extractedData (with matched/derived values), jurisdiction }
+   */
+  static resolve(ticket) {
+    const header = ticket.ticket_header || {};
+    const court = ticket.court_information || {};
+    const countyMatch = this.matchCounty(header.county);
+    const county = countyMatch ? countyMatch.county : null;
+    const courtText = `${court.name || ''} ${court.issuing_authority || ''}`.toUpperCase();
+
+    // Precinct from the header, else from the court text ("JP PCT 3", "Precinct 2")
+    const courtPrecinct = courtText.match(/\b(?:PCT|PRECINCT|PREC)\.?\s*#?\s*(\d{1,2})\b/);
+    const precinctText = this.isBlank(header.precinct) ? (courtPrecinct ? courtPrecinct[1] : '') : header.precinct;
+    const precinct = county ? this.validatePrecinct(county, precinctText) : null;
+
+    // JP when the court text says so or the header carries a valid precinct; municipal court when it says so
+    let isJp = null;
+    if (/MUNICIPAL|CITY OF/.test(courtText)) {
+      isJp = 'N';
+    } else if (/JUSTICE|\bJ\.?P\.?\b/.test(courtText) || (precinct && precinct.valid)) {
+      isJp = 'Y';
+    }
+
+    const courtName = county && isJp === 'Y' && precinct && precinct.valid
+      ? this.courtName(county, precinct.precinct)
+      : null;
+
+    const derived = [];
+    const extractedData = {
+      ...ticket,
+      ticket_header: { ...header },
+      court_information: { ...court }
+    };
+
+    if (county && county !== header.county) {
+      extractedData.ticket_header.county = county;
+      derived.push('ticket_header.county');
+    }
+    if (isJp && this.isBlank(ticket.is_jp)) {
+      extractedData.is_jp = isJp;
+      derived.push('is_jp');
+    }
+    if (isJp === 'Y' && precinct && precinct.valid && this.isBlank(ticket.precinct_number)) {
+      extractedData.precinct_number = precinct.precinct.toString();
+      derived.push('precinct_number');
+    }
+    if (courtName && this.isBlank(court.name)) {
+      extractedData.court_information.name = courtName;
+      derived.push('court_information.name');
+    }
+
+    return {
+      extractedData,
+      jurisdiction: {
+        countyRaw: header.county || '',
+        county,
+        countyMatch: countyMatch ? countyMatch.match : 'none',
+        countyDistance: countyMatch ? countyMatch.distance : null,
+        precinct: precinct ? precinct.precinct : null,
+        precinctValid: precinct ? precinct.valid : false,
+        precinctVerified: precinct ? precinct.verified : false,
+        isJp,
+        courtName: courtName || court.name || null,
+        derived
+      }
+    };
+  }
+
+  /**
+   * Match free text to a Texas county
+   * @param {string} text - e.g. "BEXR", "Fort Bend Co.", "san pat"
+   * @returns {Object|null} - { county, match: 'exact'|'prefix'|'fuzzy', distance }
+   */
+  static matchCounty(text) {
+    const key = normalizeCounty(text);
+    if (key.length < 3) return null;
+
+    const exact = COUNTY_KEYS.find(entry => entry.key === key);
+    if (exact) return { county: exact.county, match: 'exact', distance: 0 };
+
+    // Truncated names ("SANPAT") must be a unique prefix
+    const prefixed = COUNTY_KEYS.filter(entry => key.length >= 4 && entry.key.startsWith(key));
+    if (prefixed.length === 1) return { county: prefixed[0].county, match: 'prefix', distance: 0 };
+
+    // Typos: the single closest county within the allowed edit distance
+    const allowed = key.length <= 5 ? 1 : 2;
+    const scored = COUNTY_KEYS
+      .map(entry => ({ county: entry.county, distance: this.editDistance(key, entry.key) }))
+      .filter(entry => entry.distance <= allowed)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (scored.length === 0 || (scored.length > 1 && scored[1].distance === scored[0].distance)) {
+      return null;
+    }
+    return { county: scored[0].county, match: 'fuzzy', distance: scored[0].distance };
+  }
+
+  /**
+   * Check that a JP precinct exists in a county
+   * @param {string} county - Matched county name
+   * @param {string} precinctText - e.g. "3", "Pct 3", "3-1" (precinct 3, place 1)
+   * @returns {Object|null} - { precinct, valid, verified }, or null when there is no precinct
+   */
+  static validatePrecinct(county, precinctText) {
+    const found = (precinctText || '').toString().match(/\d+/);
+    if (!found) return null;
+
+    const precinct = parseInt(found[0], 10);
+    const known = JP_PRECINCTS[county];
+    const limit = known || MAX_JP_PRECINCTS;
+    return {
+      precinct,
+      valid: precinct >= 1 && precinct <= limit,
+      verified: !!known
+    };
+  }
+
+  /**
+   * Court name for a JP precinct
+   * @param {string} county
+   * @param {number} precinct
+   * @returns {string}
+   */
+  static courtName(county, precinct) {
+    return `Justice of the Peace Court, Precinct ${precinct}, ${county} County`;
+  }
+
+  // Damerau-Levenshtein (optimal string alignment) distance
+  static editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  static isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+  }
+}
+
+module.exports = TexasJurisdiction;
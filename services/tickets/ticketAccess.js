@@ -0,0 +1,123 @@
+// services/tickets/ticketAccess.js
+const {
+  STAFF_ROLES,
+  PUBLIC_TICKET_FIELDS,
+  SENSITIVE_EXTRACTED_FIELDS,
+  STAFF_ONLY_TICKET_FIELDS,
+  CLIENT_STATUS_HISTORY_FIELDS
+} = require('../../config/ticketAccess');
+const { FieldConfidence } = require('../extraction/fieldConfidence');
+const { TicketMapper } = require('./ticketMapper');
+
+/**
+ * Ticket Access
+ * Ownership checks and the per-caller views of a ticket document
+ * (config/ticketAccess.js lists the fields):
+ *   staff - the whole document
+ *   owner - everything except internal case-handling fields
+ *   public - status fields and the ticket with personal details blanked out
+ */
+class TicketAccess {
+  /**
+   * Whether a signed-in user has a staff role claim
+   * @param {Object|null} user - req.user from utils/auth.js
+   * @returns {boolean}
+   */
+  static isStaff(user) {
+    return Boolean(user && STAFF_ROLES.includes(user.role));
+  }
+
+  /**
+   * Whether a signed-in user owns the ticket
+   * @param {Object|null} user - req.user from utils/auth.js
+   * @param {Object} ticketData - Firestore ticket document
+   * @returns {boolean}
+   */
+  static isOwner(user, ticketData) {
+    return Boolean(user && ticketData && ticketData.userId && ticketData.userId === user.uid);
+  }
+
+  /**
+   * Whether a signed-in user may read and change the ticket
+   * @param {Object|null} user
+   * @param {Object} ticketData
+   * @returns {boolean}
+   */
+  static canAccess(user, ticketData) {
+    return this.isStaff(user) || this.isOwner(user, ticketData);
+  }
+
+  /**
+   * The view of a ticket this caller is allowed to see
+   * @param {Object} ticketData - Firestore ticket document
+   * @param {Object|null} user - req.user (null when not signed in)
+   * @returns {Object} - { scope: 'staff' | 'owner' | 'public', ticket }
+   */
+  static viewFor(ticketData, user) {
+    if (this.isStaff(user)) {
+      return { scope: 'staff', ticket: ticketData };
+    }
+    if (this.isOwner(user, ticketData)) {
+      return { scope: 'owner', ticket: this.ownerView(ticketData) };
+    }
+    return { scope: 'public', ticket: this.publicView(ticketData) };
+  }
+
+  /**
+   * Ticket without internal case-handling fields
+   * @param {Object} ticketData
+   * @returns {Object}
+   */
+  static ownerView(ticketData) {
+    const view = { ...ticketData };
+    STAFF_ONLY_TICKET_FIELDS.forEach(field => delete view[field]);
+    if (Array.isArray(ticketData.statusHistory)) {
+      view.statusHistory = this.clientStatusHistory(ticketData.statusHistory);
+    }
+    return view;
+  }
+
+  /**
+   * Status fields plus the canonical ticket with sensitive values blanked out
+   * @param {Object} ticketData
+   * @returns {Object}
+   */
+  static publicView(ticketData) {
+    const view = {};
+    PUBLIC_TICKET_FIELDS.forEach(field => {
+      if (ticketData[field] !== undefined) {
+        view[field] = ticketData[field];
+      }
+    });
+    view.extractedData = this.redactExtractedData(ticketData.extractedData);
+    return view;
+  }
+
+  /**
+   * Canonical ticket with every sensitive field that has a value replaced by ''
+   * @param {Object} extractedData - Stored extractedData (any version)
+   * @returns {Object}
+   */
+  static redactExtractedData(extractedData) {
+    const redacted = JSON.parse(JSON.stringify(TicketMapper.toCanonical(extractedData) || {}));
+    SENSITIVE_EXTRACTED_FIELDS.forEach(fieldPath => {
+      if (FieldConfidence.getPath(redacted, fieldPath)) {
+        FieldConfidence.setPath(redacted, fieldPath, '');
+      }
+    });
+    return redacted;
+  }
+
+  /**
+   * statusHistory entries reduced to what the client sees
+   * @param {Array<Object>} statusHistory
+   * @returns {Array<Object>}
+   */
+  static clientStatusHistory(statusHistory) {
+    return statusHistory.map(entry => Object.fromEntries(
+      CLIENT_STATUS_HISTORY_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]])
+    ));
+  }
+}
+
+module.exports = TicketAccess;
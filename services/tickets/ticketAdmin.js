@@ -0,0 +1,399 @@
+// services/tickets/ticketAdmin.js
+const { FieldValue } = require('firebase-admin/firestore');
+const RequiredFields = require('../../utils/requiredFields');
+const { FieldConfidence, DEFAULT_REVIEW_FIELDS } = require('../extraction/fieldConfidence');
+const { TicketMapper } = require('./ticketMapper');
+const { CANONICAL_TICKET_VERSION } = require('./canonicalTicket');
+const TicketEnrichment = require('./ticketEnrichment');
+const TexasJurisdiction = require('./texasJurisdiction');
+const { CaseStateMachine } = require('./caseStateMachine');
+
+const MAX_PAGE_SIZE = 100;
+const ASSIGNEE_ROLES = ['attorney', 'staff'];
+
+/**
+ * Ticket Admin
+ * Case management for staff: filtered ticket lists, the full case view
+ * (ticket, status history, audit trail, alerts), audited edits of extracted
+ * fields, assignment and internal notes.
+ *
+ * Internal notes live in tickets/{id}/internal-notes so they never travel
+ * with the ticket document to client-facing endpoints.
+ */
+class TicketAdmin {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {number} [options.reviewThreshold] - Same review threshold as the extraction pipeline
+   * @param {string[]} [options.reviewFields] - Same review fields as the extraction pipeline
+   */
+  constructor({ db, reviewThreshold = 0.7, reviewFields = DEFAULT_REVIEW_FIELDS }) {
+    this.db = db;
+    this.reviewThreshold = reviewThreshold;
+    this.reviewFields = reviewFields;
+  }
+
+  /**
+   * List tickets, newest first
+   * Combining filters needs a Firestore composite index on those fields plus
+   * createdAt; Firestore's error message links to create it.
+   * @param {Object} [filters]
+   * @param {string} [filters.caseStatus]
+   * @param {string} [filters.paymentStatus]
+   * @param {string} [filters.county] - Texas county (typos and "County" suffix tolerated)
+   * @param {string} [filters.assignedTo] - Assignee id
+   * @param {string} [filters.from] - Created on or after (ISO date)
+   * @param {string} [filters.to] - Created on or before (ISO date)
+   * @param {string} [filters.search] - Exact ticket id, email or citation number
+   * @param {number} [filters.limit] - Page size (max 100)
+   * @param {string} [filters.startAfter] - Ticket id from the previous page's nextCursor
+   * @returns {Promise<Object>} - { success, tickets, nextCursor } or { success: false, error, statusCode }
+   */
+  async list(filters = {}) {
+    const parsed = TicketAdmin.parseFilters(filters);
+    if (parsed.error) {
+      return { success: false, statusCode: 400, error: parsed.error };
+    }
+
+    if (filters.search) {
+      const docs = await this.search(filters.search.trim());
+      const tickets = docs
+        .filter(doc => TicketAdmin.matchesFilters(doc.data(), parsed))
+        .map(doc => TicketAdmin.summarize(doc));
+      return { success: true, tickets, nextCursor: null };
+    }
+
+    let query = this.db.collection('tickets');
+    if (parsed.caseStatus) query = query.where('caseStatus', '==', parsed.caseStatus);
+    if (parsed.paymentStatus) query = query.where('paymentStatus', '==', parsed.paymentStatus);
+    if (parsed.county) query = query.where('jurisdiction.county', '==', parsed.county);
+    if (parsed.assignedTo) query = query.where('assignedTo.id', '==', parsed.assignedTo);
+    if (parsed.from) query = query.where('createdAt', '>=', parsed.from);
+    if (parsed.to) query = query.where('createdAt', '<=', parsed.to);
+    query = query.orderBy('createdAt', 'desc').limit(parsed.limit);
+
+    if (filters.startAfter) {
+      const cursorDoc = await this.db.collection('tickets').doc(filters.startAfter).get();
+      if (!cursorDoc.exists) {
+        return { success: false, statusCode: 400, error: 'Unknown startAfter cursor' };
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.get();
+    return {
+      success: true,
+      tickets: snapshot.docs.map(doc => TicketAdmin.summarize(doc)),
+      nextCursor: snapshot.docs.length === parsed.limit ? snapshot.docs[snapshot.docs.length - 1].id : null
+    };
+  }
+
+  /**
+   * Tickets matching an id, email or citation number exactly
+   * @param {string} term
+   * @returns {Promise<Array<Object>>} - Document snapshots
+   */
+  async search(term) {
+    if (!term) return [];
+
+    const tickets = this.db.collection('tickets');
+    const [byId, byEmail, byCitation] = await Promise.all([
+      term.includes('/') ? null : tickets.doc(term).get(),
+      tickets.where('email', 'in', [...new Set([term, term.toLowerCase()])]).limit(MAX_PAGE_SIZE).get(),
+      tickets.where('extractedData.ticket_header.citation_number', '==', term).limit(MAX_PAGE_SIZE).get()
+    ]);
+
+    const docs = new Map();
+    if (byId && byId.exists) docs.set(byId.id, byId);
+    [...byEmail.docs, ...byCitation.docs].forEach(doc => docs.set(doc.id, doc));
+    return [...docs.values()];
+  }
+
+  /**
+   * Everything staff need about one case
+   * @param {string} sessionId
+   * @returns {Promise<Object>} - { success, ticket, statusHistory, auditLog, alerts, notes, transitions }
+   */
+  async get(sessionId) {
+    const ticketRef = this.db.collection('tickets').doc(sessionId);
+    const ticketDoc = await ticketRef.get();
+    if (!ticketDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Ticket not found' };
+    }
+
+    const ticketData = ticketDoc.data();
+    const [auditSnapshot, alertSnapshot, notes] = await Promise.all([
+      this.db.collection('audit-logs').where('sessionId', '==', sessionId).get(),
+      this.db.collection('admin_alerts').where('caseInfo.sessionId', '==', sessionId).get(),
+      this.listNotes(sessionId)
+    ]);
+
+    const byTime = field => (a, b) => TicketAdmin.toMillis(b[field]) - TicketAdmin.toMillis(a[field]);
+
+    return {
+      success: true,
+      ticket: { id: ticketDoc.id, ...ticketData },
+      statusHistory: [...(ticketData.statusHistory || [])].sort(byTime('timestamp')),
+      auditLog: auditSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort(byTime('timestamp')),
+      alerts: alertSnapshot.docs.map(doc => doc.data()).sort(byTime('createdAt')),
+      notes,
+      transitions: CaseStateMachine.availableTransitions(ticketData)
+    };
+  }
+
+  /**
+   * Edit extracted fields and record what changed
+   * @param {string} sessionId
+   * @param {Object} fields - { fieldName or canonical path: value }
+   * @param {Object} options - { actor, reason }
+   * @returns {Promise<Object>} - { success, changes, missingFields, invalidFields, isComplete }
+   */
+  async updateFields(sessionId, fields, { actor, reason = null }) {
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+      return { success: false, statusCode: 400, error: 'No fields to update' };
+    }
+
+    const blank = TicketMapper.toCanonical({});
+    const unknown = Object.keys(fields).filter(field => typeof TicketMapper.get(blank, TicketMapper.pathForField(field)) !== 'string');
+    if (unknown.length > 0) {
+      return { success: false, statusCode: 400, error: `Unknown ticket fields: ${unknown.join(', ')}` };
+    }
+
+    const ticketRef = this.db.collection('tickets').doc(sessionId);
+    const ticketDoc = await ticketRef.get();
+    if (!ticketDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Ticket not found' };
+    }
+
+    const ticketData = ticketDoc.data();
+    const extractedData = TicketMapper.toCanonical(ticketData.extractedData);
+    const fieldConfidence = { ...(ticketData.fieldConfidence || {}) };
+    const updateData = {};
+    const changes = [];
+
+    Object.keys(fields).forEach(field => {
+      const fieldPath = TicketMapper.pathForField(field);
+      const from = TicketMapper.get(extractedData, fieldPath);
+      const to = fields[field] === null || fields[field] === undefined ? '' : fields[field].toString().trim();
+      if (from === to) return;
+
+      FieldConfidence.setPath(extractedData, fieldPath, to);
+      const entry = { ...FieldConfidence.userEntered(), source: 'admin', editedBy: actor };
+      updateData[`fieldConfidence.${fieldPath}`] = entry;
+      FieldConfidence.setPath(fieldConfidence, fieldPath, entry);
+      changes.push({ field: fieldPath, from, to });
+    });
+
+    if (changes.length === 0) {
+      return { success: true, changes, unchanged: true };
+    }
+
+    // Same derived fields and completeness rules as every other save
+    const enrichment = TicketEnrichment.apply(extractedData);
+    const requirements = RequiredFields.check(enrichment.extractedData, {
+      ruleSet: RequiredFields.ruleSetFor(ticketData.dataSource),
+      context: { email: ticketData.email || '' }
+    });
+
+    if (ticketData.fieldConfidence) {
+      const review = FieldConfidence.review(fieldConfidence, { threshold: this.reviewThreshold, fields: this.reviewFields });
+      updateData.needsHumanReview = review.needsHumanReview;
+      updateData.lowConfidenceFields = review.lowConfidenceFields;
+    }
+    if (requirements.isComplete && ticketData.status !== 'completed') {
+      updateData.status = 'completed';
+      updateData.completedAt = new Date();
+    }
+
+    const edit = { changes, editedBy: actor, editedAt: new Date(), reason };
+    await ticketRef.update({
+      ...updateData,
+      extractedData: enrichment.extractedData,
+      extractedDataVersion: CANONICAL_TICKET_VERSION,
+      ...enrichment.fields,
+      fieldEdits: FieldValue.arrayUnion(edit),
+      lastUpdated: new Date()
+    });
+
+    await this.audit('ticket_fields_edited', sessionId, actor, { changes, reason });
+    console.log(`✏️ [Admin] ${actor} edited ${changes.length} field(s) on ${sessionId}`);
+
+    return {
+      success: true,
+      changes,
+      missingFields: requirements.missingFields,
+      invalidFields: requirements.invalidFields,
+      isComplete: requirements.isComplete
+    };
+  }
+
+  /**
+   * Assign a case to an attorney or staff member (assignee null unassigns)
+   * @param {string} sessionId
+   * @param {Object|null} assignee - { id, name, role: 'attorney'|'staff' }
+   * @param {Object} options - { actor }
+   * @returns {Promise<Object>} - { success, assignedTo }
+   */
+  async assign(sessionId, assignee, { actor }) {
+    if (assignee && (!assignee.id || !ASSIGNEE_ROLES.includes(assignee.role))) {
+      return { success: false, statusCode: 400, error: `Assignee needs an id and a role (${ASSIGNEE_ROLES.join(', ')})` };
+    }
+
+    const ticketRef = this.db.collection('tickets').doc(sessionId);
+    const ticketDoc = await ticketRef.get();
+    if (!ticketDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Ticket not found' };
+    }
+
+    const previous = ticketDoc.data().assignedTo || null;
+    const assignedTo = assignee
+      ? { id: assignee.id, name: assignee.name || null, role: assignee.role, assignedAt: new Date(), assignedBy: actor }
+      : null;
+
+    await ticketRef.update({
+      assignedTo,
+      assignmentHistory: FieldValue.arrayUnion({
+        from: previous ? previous.id : null,
+        to: assignedTo ? assignedTo.id : null,
+        role: assignedTo ? assignedTo.role : null,
+        changedAt: new Date(),
+        changedBy: actor
+      }),
+      lastUpdated: new Date()
+    });
+
+    await this.audit(assignedTo ? 'ticket_assigned' : 'ticket_unassigned', sessionId, actor, {
+      from: previous ? previous.id : null,
+      to: assignedTo ? assignedTo.id : null,
+      role: assignedTo ? assignedTo.role : null
+    });
+    console.log(`👤 [Admin] ${sessionId} ${assignedTo ? `assigned to ${assignedTo.id} (${assignedTo.role})` : 'unassigned'} by ${actor}`);
+
+    return { success: true, assignedTo };
+  }
+
+  /**
+   * Add an internal (staff-only) note to a case
+   * @param {string} sessionId
+   * @param {string} text
+   * @param {Object} options - { actor }
+   * @returns {Promise<Object>} - { success, note }
+   */
+  async addNote(sessionId, text, { actor }) {
+    if (!text || !text.trim()) {
+      return { success: false, statusCode: 400, error: 'Note text is required' };
+    }
+
+    const ticketRef = this.db.collection('tickets').doc(sessionId);
+    const ticketDoc = await ticketRef.get();
+    if (!ticketDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Ticket not found' };
+    }
+
+    const note = { text: text.trim(), author: actor, createdAt: new Date() };
+    const noteRef = await ticketRef.collection('internal-notes').add(note);
+    await ticketRef.update({ internalNoteCount: FieldValue.increment(1), lastUpdated: new Date() });
+    await this.audit('internal_note_added', sessionId, actor, { noteId: noteRef.id });
+
+    return { success: true, note: { id: noteRef.id, ...note } };
+  }
+
+  /**
+   * Internal notes on a case, newest first
+   * @param {string} sessionId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listNotes(sessionId) {
+    const snapshot = await this.db.collection('tickets').doc(sessionId).collection('internal-notes').get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => TicketAdmin.toMillis(b.createdAt) - TicketAdmin.toMillis(a.createdAt));
+  }
+
+  async audit(action, sessionId, actor, metadata) {
+    await this.db.collection('audit-logs').add({
+      action,
+      timestamp: new Date(),
+      sessionId,
+      updatedBy: actor,
+      ...metadata,
+      status: 'success'
+    });
+  }
+
+  /**
+   * Validate list filters from a query string
+   * @param {Object} filters
+   * @returns {Object} - Parsed filters, or { error }
+   */
+  static parseFilters(filters) {
+    const parsed = {
+      caseStatus: filters.caseStatus || null,
+      paymentStatus: filters.paymentStatus || null,
+      assignedTo: filters.assignedTo || null,
+      county: null,
+      from: null,
+      to: null,
+      limit: Math.min(parseInt(filters.limit, 10) || 50, MAX_PAGE_SIZE)
+    };
+
+    if (filters.county) {
+      const match = TexasJurisdiction.matchCounty(filters.county);
+      if (!match) return { error: `Unknown county: ${filters.county}` };
+      parsed.county = match.county;
+    }
+
+    for (const key of ['from', 'to']) {
+      if (!filters[key]) continue;
+      const date = new Date(filters[key]);
+      if (isNaN(date.getTime())) return { error: `Invalid ${key} date: ${filters[key]}` };
+      parsed[key] = date;
+    }
+
+    return parsed;
+  }
+
+  static matchesFilters(ticketData, parsed) {
+    const createdAt = TicketAdmin.toMillis(ticketData.createdAt);
+    return (!parsed.caseStatus || ticketData.caseStatus === parsed.caseStatus) &&
+      (!parsed.paymentStatus || ticketData.paymentStatus === parsed.paymentStatus) &&
+      (!parsed.county || ticketData.jurisdiction?.county === parsed.county) &&
+      (!parsed.assignedTo || ticketData.assignedTo?.id === parsed.assignedTo) &&
+      (!parsed.from || createdAt >= parsed.from.getTime()) &&
+      (!parsed.to || createdAt <= parsed.to.getTime());
+  }
+
+  /**
+   * List row for a ticket
+   * @param {Object} doc - Ticket document snapshot
+   * @returns {Object}
+   */
+  static summarize(doc) {
+    const ticketData = doc.data();
+    const ticket = TicketMapper.toCanonical(ticketData.extractedData);
+    const violator = ticket.violator_information || {};
+
+    return {
+      sessionId: doc.id,
+      email: ticketData.email || null,
+      name: [violator.first, violator.last_name].filter(Boolean).join(' ') || null,
+      citationNumber: ticket.ticket_header?.citation_number || null,
+      county: ticketData.jurisdiction?.county || ticket.ticket_header?.county || null,
+      status: ticketData.status || null,
+      caseStatus: CaseStateMachine.currentStatus(ticketData),
+      paymentStatus: ticketData.paymentStatus || null,
+      paymentAmount: ticketData.paymentAmount || null,
+      assignedTo: ticketData.assignedTo || null,
+      needsHumanReview: !!ticketData.needsHumanReview,
+      createdAt: ticketData.createdAt || null,
+      lastUpdated: ticketData.lastUpdated || null
+    };
+  }
+
+  static toMillis(value) {
+    if (!value) return 0;
+    return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+  }
+}
+
+module.exports = TicketAdmin;
@@ -0,0 +1,51 @@
+// services/tickets/ticketEnrichment.js
+const { TicketNormalizer } = require('./ticketNormalizer');
+const VinDecoder = require('./vinDecoder');
+const TexasJurisdiction = require('./texasJurisdiction');
+const ViolationMatcher = require('./violationMatcher');
+const SpeedingAnalytics = require('./speedingAnalytics');
+
+/**
+ * Ticket Enrichment
+ * Everything derived from a canonical ticket before it is stored: typed
+ * values, county/precinct/court matching, offense lookup, speeding
+ * severity, VIN validation and corrections.
+ * Run on every save so all intake sources get the same derived fields.
+ */
+class TicketEnrichment {
+  /**
+   * Enrich a canonical ticket
+   * @param {Object} extractedData - Canonical ticket
+   * @returns {Object} - { extractedData (with safe corrections applied), fields (root-level ticket fields) }
+   */
+  static apply(extractedData) {
+    // ✅ COUNTY, JP PRECINCT AND COURT (fills is_jp/precinct_number/court name when clear)
+    const { extractedData: matched, jurisdiction } = TexasJurisdiction.resolve(extractedData);
+    let ticket = matched;
+
+    // ✅ VIN: apply the OCR correction only when it produces a valid VIN
+    const vinCheck = VinDecoder.check(ticket.vehicle_information);
+    if (vinCheck && vinCheck.corrected && vinCheck.valid) {
+      ticket = {
+        ...ticket,
+        vehicle_information: { ...ticket.vehicle_information, vin: vinCheck.vin }
+      };
+    }
+
+    const normalizedData = TicketNormalizer.normalize(ticket);
+    const offense = ViolationMatcher.match(ticket.violation?.citation);
+
+    return {
+      extractedData: ticket,
+      fields: {
+        normalizedData, // ✅ Typed values beside the raw text
+        jurisdiction, // ✅ { county, countyMatch, precinct, precinctValid, isJp, courtName, derived }
+        offense, // ✅ { code, statute, category, moving, offenses } or null
+        speeding: SpeedingAnalytics.analyze(ticket, { normalizedData, offense }), // ✅ { mphOver, bracket, riskTier, riskRank } or null
+        vinCheck // ✅ { valid, corrected, decoded, mismatches, needsReview } or null
+      }
+    };
+  }
+}
+
+module.exports = TicketEnrichment;
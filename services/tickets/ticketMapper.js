@@ -0,0 +1,236 @@
+// services/tickets/ticketMapper.js
+const { TicketSchema } = require('../extraction/ticketSchema');
+const { CANONICAL_TICKET_SCHEMA } = require('./canonicalTicket');
+
+// Flat field names (no-ticket form, missing-fields form, legacy manual-form tickets)
+// mapped to their canonical path
+const FLAT_FIELD_PATHS = {
+  // Personal Information
+  email: 'email',
+  first_name: 'violator_information.first',
+  middle_name: 'violator_information.middle',
+  last_name: 'violator_information.last_name',
+  phone_number: 'violator_information.phone',
+  is_jp: 'is_jp',
+  precinct_number: 'precinct_number',
+
+  // Address
+  residence_address: 'violator_information.residence_address',
+  state: 'violator_information.state',
+  city: 'violator_information.city',
+  zip_code: 'violator_information.zip_code',
+
+  // Driver Info
+  driving_license_no: 'violator_information.inter_license_number',
+  dl_class: 'violator_information.dl_class',
+  cdl: 'violator_information.cdl',
+  date_of_birth: 'violator_information.date_of_birth',
+  sex: 'violator_information.sex',
+  height: 'violator_information.height',
+  weight: 'violator_information.weight',
+  race: 'violator_information.race',
+  eye_color: 'violator_information.eye_color',
+  hair_color: 'violator_information.hair_color',
+
+  // Vehicle Info
+  license_plate: 'vehicle_information.license_plate',
+  vehicle_state: 'vehicle_information.state',
+  vehicle_regexp: 'vehicle_information.reg_exp',
+  vehicle_color: 'vehicle_information.color',
+  vehicle_make: 'vehicle_information.make',
+  vehicle_model: 'vehicle_information.model',
+  vehicle_type: 'vehicle_information.type',
+  vehicle_year: 'vehicle_information.year',
+  vin: 'vehicle_information.vin',
+  trailer_plate: 'vehicle_information.trailer_plate',
+  trailer_state: 'vehicle_information.trailer_state',
+  dot: 'vehicle_information.dot_number',
+  cmv: 'vehicle_information.c_w',
+  hazmat: 'vehicle_information.maxiat',
+  towed: 'vehicle_information.towed',
+
+  // Citation Info
+  county: 'ticket_header.county',
+  citation_number: 'ticket_header.citation_number',
+  issue_date_time: 'ticket_header.issue_date_and_time',
+  infraction_violation: 'violation.citation',
+  citation_type: 'violation.citation',
+  alleged_speed: 'violation.alleged_speed_mph',
+  posted_speed: 'violation.posted_speed_mph',
+  case_no: 'violation.case_no',
+
+  // Violation Details
+  construction_zone: 'violation.constr_zone_workers_present',
+  school_zone: 'violation.school_zone',
+  accident: 'violation.accident',
+  knew_race: 'violation.knewrace',
+  search: 'violation.search',
+  contraband: 'violation.contraband',
+  financial: 'violation.financial_responsibility',
+
+  // Officer & Court
+  officer_name: 'officer_information.name',
+  officer_id: 'officer_information.id',
+  court_information: 'court_information.name',
+  court_hours: 'court_information.hours',
+  issuing_authority: 'court_information.issuing_authority'
+};
+
+// Raw field names posted by the manual ticket form mapped to their canonical path
+const MANUAL_FORM_PATHS = {
+  email: 'email',
+  firstname: 'violator_information.first',
+  middlename: 'violator_information.middle',
+  lastname: 'violator_information.last_name',
+  mobileno: 'violator_information.phone',
+
+  residenceaddress: 'violator_information.residence_address',
+  state: 'violator_information.state',
+  city: 'violator_information.city',
+  zipcodeno: 'violator_information.zip_code',
+
+  drivingllicenseno: 'violator_information.inter_license_number',
+  dlClass: 'violator_information.dl_class',
+  cdl: 'violator_information.cdl',
+  dob: 'violator_information.date_of_birth',
+  sex: 'violator_information.sex',
+  height: 'violator_information.height',
+  weight: 'violator_information.weight',
+  race: 'violator_information.race',
+  eyeColor: 'violator_information.eye_color',
+  hairColor: 'violator_information.hair_color',
+
+  licenseplate: 'vehicle_information.license_plate',
+  regexp: 'vehicle_information.reg_exp',
+  colorvehicle: 'vehicle_information.color',
+  make: 'vehicle_information.make',
+  model: 'vehicle_information.model',
+  type: 'vehicle_information.type',
+  carYear: 'vehicle_information.year',
+  vin: 'vehicle_information.vin',
+  trailerplate: 'vehicle_information.trailer_plate',
+  dot: 'vehicle_information.dot_number',
+  trailerState: 'vehicle_information.trailer_state',
+  cmv: 'vehicle_information.c_w',
+  hazmat: 'vehicle_information.maxiat',
+  towed: 'vehicle_information.towed',
+
+  citationnumber: 'ticket_header.citation_number',
+  issuingauthority: 'court_information.issuing_authority',
+  'issue-datetime': 'ticket_header.issue_date_and_time',
+  citation: 'violation.citation',
+  allegedspeed: 'violation.alleged_speed_mph',
+  postedspeed: 'violation.posted_speed_mph',
+  caseno: 'violation.case_no',
+
+  constrzone: 'violation.constr_zone_workers_present',
+  schoolzone: 'violation.school_zone',
+  accident: 'violation.accident',
+  knewrace: 'violation.knewrace',
+  search: 'violation.search',
+  contraband: 'violation.contraband',
+  financial: 'violation.financial_responsibility',
+
+  officername: 'officer_information.name',
+  officerid: 'officer_information.id',
+  courtinformation: 'court_information.name',
+  courtHours: 'court_information.hours'
+};
+
+/**
+ * Ticket Mapper
+ * Converts every intake source into the canonical ticket shape
+ * (services/tickets/canonicalTicket.js)
+ */
+class TicketMapper {
+  /**
+   * AI extraction (desktop upload or URL upload)
+   * @param {Object} data - Extraction-schema ticket from the pipeline
+   * @param {Object} [extra] - User-supplied values, e.g. { email }
+   * @returns {Object} - Canonical ticket
+   */
+  static fromAiExtraction(data, extra = {}) {
+    return this.applyFlat(TicketSchema.repair(data, CANONICAL_TICKET_SCHEMA).data, extra);
+  }
+
+  /**
+   * Manual ticket form (/submit-manual-form)
+   * @param {Object} formData - Raw request body
+   * @returns {Object} - Canonical ticket
+   */
+  static fromManualForm(formData) {
+    const ticket = TicketSchema.createEmptyTicket(CANONICAL_TICKET_SCHEMA);
+    Object.keys(MANUAL_FORM_PATHS).forEach(key => {
+      this.assign(ticket, MANUAL_FORM_PATHS[key], formData[key]);
+    });
+    // The form has one state field; it is used for both the address and the vehicle
+    this.assign(ticket, 'vehicle_information.state', formData.state);
+    return ticket;
+  }
+
+  /**
+   * No-ticket form (/submit-no-ticket-form)
+   * @param {Object} formData - Raw request body
+   * @returns {Object} - Canonical ticket
+   */
+  static fromNoTicketForm(formData) {
+    return this.applyFlat(TicketSchema.createEmptyTicket(CANONICAL_TICKET_SCHEMA), formData);
+  }
+
+  /**
+   * Any stored extractedData (canonical, nested AI, flat manual form, flat no-ticket form,
+   * or nested with flat keys added later by /update-ticket)
+   * @param {Object} extractedData - tickets/{id}.extractedData
+   * @returns {Object} - Canonical ticket
+   */
+  static toCanonical(extractedData = {}) {
+    const source = extractedData || {};
+    const nested = Object.keys(source)
+      .filter(key => CANONICAL_TICKET_SCHEMA.properties[key] && typeof source[key] === 'object' && source[key] !== null)
+      .reduce((result, key) => ({ ...result, [key]: source[key] }), {});
+
+    const ticket = TicketSchema.repair(nested, CANONICAL_TICKET_SCHEMA).data;
+    return this.applyFlat(ticket, source);
+  }
+
+  /**
+   * Canonical path for a flat field name (e.g. "first_name" from the missing-fields form)
+   * Dotted paths and unknown names are returned unchanged.
+   * @param {string} field
+   * @returns {string}
+   */
+  static pathForField(field) {
+    return FLAT_FIELD_PATHS[field] || field;
+  }
+
+  static applyFlat(ticket, flatData = {}) {
+    Object.keys(flatData).forEach(key => {
+      if (FLAT_FIELD_PATHS[key]) {
+        this.assign(ticket, FLAT_FIELD_PATHS[key], flatData[key]);
+      }
+    });
+    return ticket;
+  }
+
+  // Set a canonical field from a non-blank scalar value
+  static assign(ticket, fieldPath, value) {
+    if (value === undefined || value === null || typeof value === 'object' || value.toString().trim() === '') {
+      return;
+    }
+    const keys = fieldPath.split('.');
+    const node = keys.slice(0, -1).reduce((parent, key) => parent[key], ticket);
+    node[keys[keys.length - 1]] = value.toString();
+  }
+
+  /**
+   * Read a canonical field
+   * @param {Object} ticket - Canonical ticket
+   * @param {string} fieldPath - Dotted path
+   * @returns {string}
+   */
+  static get(ticket, fieldPath) {
+    return fieldPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), ticket);
+  }
+}
+
+module.exports = { TicketMapper, FLAT_FIELD_PATHS, MANUAL_FORM_PATHS };
@@ -0,0 +1,229 @@
+// services/tickets/ticketMigration.js
+const { FieldPath } = require('firebase-admin/firestore');
+const { TicketMapper } = require('./ticketMapper');
+const { CANONICAL_TICKET_VERSION } = require('./canonicalTicket');
+const TicketEnrichment = require('./ticketEnrichment');
+
+// Metadata older form routes stored inside extractedData; it now lives on the ticket root
+const ROOT_METADATA_FIELDS = ['dataSource', 'manuallyEntered', 'submissionDate', 'hasPhysicalTicket'];
+
+/**
+ * Ticket Migration
+ * Rewrites tickets/{id}.extractedData into the canonical shape, in batches
+ * ordered by document id. Each migrated ticket gets a backup in
+ * tickets-backup and an audit-logs entry; progress is stored in
+ * migrations/{migrationId} so an interrupted run can resume from its cursor.
+ */
+class TicketMigration {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Firestore instance
+   * @param {string} options.migrationId - Id of the migrations/{id} progress document
+   * @param {boolean} [options.dryRun] - Report changes without writing anything
+   * @param {number} [options.batchSize] - Tickets read per query
+   */
+  constructor({ db, migrationId, dryRun = false, batchSize = 100 }) {
+    this.db = db;
+    this.migrationId = migrationId;
+    this.dryRun = dryRun;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * Run the migration
+   * @param {Object} [options]
+   * @param {string} [options.startAfter] - Document id to start after (overrides the stored cursor)
+   * @param {boolean} [options.resume] - Continue from the cursor stored for this migrationId
+   * @param {number} [options.limit] - Stop after this many tickets have been scanned
+   * @returns {Promise<Object>} - { success, migrationId, dryRun, cursor, stats, report }
+   */
+  async run({ startAfter = null, resume = false, limit = Infinity } = {}) {
+    const progressRef = this.db.collection('migrations').doc(this.migrationId);
+    const stats = { scanned: 0, migrated: 0, skipped: 0, failed: 0 };
+    const report = [];
+    let cursor = startAfter;
+
+    if (resume && !cursor) {
+      const progress = await progressRef.get();
+      if (progress.exists) {
+        cursor = progress.data().cursor || null;
+        console.log(`🔄 [Migration] Resuming ${this.migrationId} after ticket ${cursor}`);
+      }
+    }
+
+    console.log(`🔄 [Migration] ${this.dryRun ? 'Dry run' : 'Migrating'} tickets to canonical v${CANONICAL_TICKET_VERSION}`);
+
+    while (stats.scanned < limit) {
+      let query = this.db.collection('tickets')
+        .orderBy(FieldPath.documentId())
+        .limit(Math.min(this.batchSize, limit - stats.scanned));
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
+
+      for (const doc of snapshot.docs) {
+        stats.scanned++;
+        const plan = TicketMigration.plan(doc.data());
+
+        if (!plan) {
+          stats.skipped++;
+          continue;
+        }
+
+        report.push({ ticketId: doc.id, changes: plan.changes });
+
+        if (this.dryRun) {
+          stats.migrated++;
+          continue;
+        }
+
+        const result = await this.apply(doc, plan);
+        if (result.success) {
+          stats.migrated++;
+        } else {
+          stats.failed++;
+          console.error(`❌ [Migration] Ticket ${doc.id} failed:`, result.error);
+        }
+      }
+
+      cursor = snapshot.docs[snapshot.docs.length - 1].id;
+
+      if (!this.dryRun) {
+        await progressRef.set({
+          cursor,
+          stats,
+          status: 'running',
+          canonicalVersion: CANONICAL_TICKET_VERSION,
+          updatedAt: new Date()
+        }, { merge: true });
+      }
+      console.log(`📦 [Migration] ${stats.scanned} scanned, ${stats.migrated} ${this.dryRun ? 'to migrate' : 'migrated'}, cursor ${cursor}`);
+    }
+
+    if (!this.dryRun) {
+      await progressRef.set({
+        cursor,
+        stats,
+        status: stats.scanned < limit ? 'completed' : 'paused',
+        updatedAt: new Date()
+      }, { merge: true });
+    }
+
+    console.log(`✅ [Migration] Done: ${JSON.stringify(stats)}`);
+    return { success: stats.failed === 0, migrationId: this.migrationId, dryRun: this.dryRun, cursor, stats, report };
+  }
+
+  /**
+   * Back up, rewrite and audit one ticket in a single batch
+   * @param {Object} doc - Ticket document snapshot
+   * @param {Object} plan - Result of TicketMigration.plan
+   * @returns {Promise<Object>} - { success, error }
+   */
+  async apply(doc, plan) {
+    try {
+      const batch = this.db.batch();
+
+      batch.set(this.db.collection('tickets-backup').doc(`${doc.id}_${this.migrationId}`), {
+        ticketId: doc.id,
+        migrationId: this.migrationId,
+        original: doc.data(),
+        backedUpAt: new Date()
+      });
+
+      batch.update(doc.ref, {
+        ...plan.update,
+        migratedAt: new Date(),
+        migrationId: this.migrationId
+      });
+
+      batch.set(this.db.collection('audit-logs').doc(), {
+        action: 'ticket_migrated_to_canonical',
+        timestamp: new Date(),
+        sessionId: doc.id,
+        migrationId: this.migrationId,
+        fromVersion: doc.data().extractedDataVersion || 0,
+        toVersion: CANONICAL_TICKET_VERSION,
+        changes: plan.changes,
+        status: 'success'
+      });
+
+      await batch.commit();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Work out the update for one ticket
+   * @param {Object} ticketData - Ticket document data
+   * @returns {Object|null} - { update, changes }, or null when already canonical
+   */
+  static plan(ticketData) {
+    if ((ticketData.extractedDataVersion || 0) >= CANONICAL_TICKET_VERSION) {
+      return null;
+    }
+
+    const original = ticketData.extractedData || {};
+    const enrichment = TicketEnrichment.apply(TicketMapper.toCanonical(original));
+    const canonical = enrichment.extractedData;
+    const update = {
+      extractedData: canonical,
+      extractedDataVersion: CANONICAL_TICKET_VERSION,
+      ...enrichment.fields
+    };
+
+    ROOT_METADATA_FIELDS.forEach(field => {
+      if (original[field] !== undefined && ticketData[field] === undefined) {
+        update[field] = original[field];
+      }
+    });
+
+    return { update, changes: this.diff(original, canonical) };
+  }
+
+  /**
+   * List field-level differences between the stored and canonical extractedData.
+   * Fields the canonical shape only adds as empty strings are left out.
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Array<Object>} - [{ path, from, to }]
+   */
+  static diff(before, after) {
+    const beforeFields = this.flatten(before);
+    const afterFields = this.flatten(after);
+    const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+    return paths
+      .filter(fieldPath => beforeFields[fieldPath] !== afterFields[fieldPath])
+      .filter(fieldPath => !(beforeFields[fieldPath] === undefined && afterFields[fieldPath] === ''))
+      // Firestore rejects undefined, so absent sides are reported as null
+      .map(fieldPath => ({
+        path: fieldPath,
+        from: beforeFields[fieldPath] === undefined ? null : beforeFields[fieldPath],
+        to: afterFields[fieldPath] === undefined ? null : afterFields[fieldPath]
+      }));
+  }
+
+  static flatten(value, basePath = '', result = {}) {
+    Object.keys(value || {}).forEach(key => {
+      const fieldPath = basePath ? `${basePath}.${key}` : key;
+      const child = value[key];
+      if (child !== null && typeof child === 'object' && Object.getPrototypeOf(child) === Object.prototype) {
+        this.flatten(child, fieldPath, result);
+      } else {
+        result[fieldPath] = child instanceof Date || typeof child?.toDate === 'function'
+          ? (child.toDate ? child.toDate() : child).toISOString()
+          : child;
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = TicketMigration;
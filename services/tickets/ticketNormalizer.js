@@ -0,0 +1,246 @@
+// services/tickets/ticketNormalizer.js
+const PhoneHelper = require('../../utils/phoneHelper');
+const { USPS_STATES, STATE_ALIASES } = require('../../config/usStates');
+
+// Texas citations are written in local time
+const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+// Canonical field path → normalizer name
+const FIELD_NORMALIZERS = {
+  'ticket_header.issue_date_and_time': 'dateTime',
+  'ticket_header.violation_date_and_time': 'dateTime',
+  'violator_information.date_of_birth': 'date',
+  'violator_information.phone': 'phone',
+  'additional_information_business.phone': 'phone',
+  'violator_information.height': 'height',
+  'violator_information.state': 'state',
+  'violator_information.dl_state': 'state',
+  'additional_information_business.state': 'state',
+  'vehicle_information.state': 'state',
+  'vehicle_information.trailer_state': 'state',
+  'violator_information.cdl': 'yesNo',
+  'vehicle_information.c_w': 'yesNo',
+  'vehicle_information.maxiat': 'yesNo',
+  'vehicle_information.towed': 'yesNo',
+  'violation.constr_zone_workers_present': 'yesNo',
+  'violation.school_zone': 'yesNo',
+  'violation.accident': 'yesNo',
+  'violation.knewrace': 'yesNo',
+  'violation.search': 'yesNo',
+  'violation.contraband': 'yesNo',
+  'violation.financial_responsibility': 'yesNo',
+  'is_jp': 'yesNo',
+  'vehicle_information.license_plate': 'plate',
+  'vehicle_information.trailer_plate': 'plate'
+};
+
+const STATE_NAMES = Object.keys(USPS_STATES).reduce((names, code) => ({
+  ...names,
+  [USPS_STATES[code].toUpperCase().replace(/\./g, '')]: code
+}), {});
+
+/**
+ * Ticket Normalizer
+ * Turns the free text on a canonical ticket into typed values: ISO dates,
+ * E.164 phones, height in inches, USPS state codes, yes/no booleans and
+ * uppercase plates. extractedData keeps the text as written; the result is
+ * stored beside it as normalizedData, each field as { value, raw }.
+ * value is null when the text could not be understood.
+ */
+class TicketNormalizer {
+  /**
+   * Normalize every known field of a canonical ticket
+   * @param {Object} ticket - Canonical ticket (extractedData)
+   * @param {Object} [options]
+   * @param {string} [options.timeZone] - IANA zone the ticket times were written in
+   * @returns {Object} - { section: { field: { value, raw } } } for non-blank fields
+   */
+  static normalize(ticket, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const normalized = {};
+
+    Object.keys(FIELD_NORMALIZERS).forEach(fieldPath => {
+      const raw = fieldPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), ticket);
+      if (raw === undefined || raw === null || raw.toString().trim() === '') {
+        return;
+      }
+
+      const value = this[FIELD_NORMALIZERS[fieldPath]](raw.toString(), { timeZone });
+      const keys = fieldPath.split('.');
+      const parent = keys.slice(0, -1).reduce((node, key) => {
+        node[key] = node[key] || {};
+        return node[key];
+      }, normalized);
+      parent[keys[keys.length - 1]] = { value, raw: raw.toString() };
+    });
+
+    return normalized;
+  }
+
+  /**
+   * "09/19/2025 at 07:58 AM" → "2025-09-19T07:58:00-05:00"
+   * A value without a time becomes a plain ISO date.
+   * @param {string} raw
+   * @param {Object} [options] - { timeZone }
+   * @returns {string|null}
+   */
+  static dateTime(raw, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const parts = this.parseDateParts(raw);
+    if (!parts) return null;
+
+    const date = `${parts.year}-${this.pad(parts.month)}-${this.pad(parts.day)}`;
+    if (parts.hour === undefined) return date;
+
+    const time = `${this.pad(parts.hour)}:${this.pad(parts.minute)}:00`;
+    return `${date}T${time}${this.utcOffset(parts, timeZone)}`;
+  }
+
+  /**
+   * "01/01/1980" → "1980-01-01"
+   * @param {string} raw
+   * @returns {string|null}
+   */
+  static date(raw) {
+    const parts = this.parseDateParts(raw);
+    return parts ? `${parts.year}-${this.pad(parts.month)}-${this.pad(parts.day)}` : null;
+  }
+
+  /**
+   * "(210) 555-0100" → "+12105550100"
+   * @param {string} raw
+   * @returns {string|null}
+   */
+  static phone(raw) {
+    const digits = raw.replace(/\D/g, '');
+    if (!PhoneHelper.isValidPhone(raw) || digits.length > 15) return null;
+    return PhoneHelper.formatForSms(raw);
+  }
+
+  /**
+   * "510", "5'10\"", "5-10", "5 ft 10 in" → 70 (inches)
+   * @param {string} raw
+   * @returns {number|null}
+   */
+  static height(raw) {
+    const text = raw.trim().toUpperCase();
+    let feet;
+    let inches;
+
+    const separated = text.match(/^(\d)\s*(?:'|FT|FEET|-|\s)\s*(\d{1,2})?\s*(?:"|''|IN|INCHES)?$/);
+    const packed = text.match(/^(\d)(\d{1,2})$/);
+    const inchesOnly = text.match(/^(\d{2})\s*(?:"|IN|INCHES)$/);
+
+    if (separated) {
+      feet = parseInt(separated[1], 10);
+      inches = parseInt(separated[2] || '0', 10);
+    } else if (packed) {
+      feet = parseInt(packed[1], 10);
+      inches = parseInt(packed[2], 10);
+    } else if (inchesOnly) {
+      feet = 0;
+      inches = parseInt(inchesOnly[1], 10);
+    } else {
+      return null;
+    }
+
+    const total = feet * 12 + inches;
+    if ((feet > 0 && inches > 11) || total < 36 || total > 96) return null;
+    return total;
+  }
+
+  /**
+   * "Texas", "tx", "Tex." → "TX"
+   * @param {string} raw
+   * @returns {string|null}
+   */
+  static state(raw) {
+    const text = raw.trim().toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ');
+    if (USPS_STATES[text]) return text;
+    return STATE_NAMES[text] || STATE_ALIASES[text] || null;
+  }
+
+  /**
+   * "Yes", "Y", "X" → true; "No", "N", "No Search" → false
+   * @param {string} raw
+   * @returns {boolean|null}
+   */
+  static yesNo(raw) {
+    const text = raw.trim().toUpperCase();
+    if (/^(Y|YES|TRUE|1|X)$/.test(text)) return true;
+    if (/^(N|NO|FALSE|0|NONE)$/.test(text) || /^NO\b/.test(text)) return false;
+    return null;
+  }
+
+  /**
+   * " abc-1234 " → "ABC1234"
+   * @param {string} raw
+   * @returns {string|null}
+   */
+  static plate(raw) {
+    const plate = raw.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return plate || null;
+  }
+
+  // MM/DD/YYYY, MM-DD-YY or YYYY-MM-DD, optionally followed by "at" and a 12/24-hour time
+  static parseDateParts(raw) {
+    const text = raw.trim().toUpperCase().replace(/\s+/g, ' ');
+    const time = '(?:\\s*(?:AT|@|,|T)?\\s*(\\d{1,2}):(\\d{2})(?::\\d{2})?\\s*(AM|PM|A|P)?)?';
+    const us = text.match(new RegExp(`^(\\d{1,2})[/-](\\d{1,2})[/-](\\d{2}|\\d{4})${time}$`));
+    const iso = text.match(new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${time}$`));
+
+    let year, month, day, clock;
+    if (us) {
+      [month, day, year] = us.slice(1, 4).map(Number);
+      clock = us.slice(4);
+      if (year < 100) year += year > (new Date().getFullYear() % 100) ? 1900 : 2000;
+    } else if (iso) {
+      [year, month, day] = iso.slice(1, 4).map(Number);
+      clock = iso.slice(4);
+    } else {
+      return null;
+    }
+
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+    const parts = { year, month, day };
+    if (clock[0] !== undefined) {
+      let hour = Number(clock[0]);
+      const minute = Number(clock[1]);
+      const meridiem = clock[2];
+      if (meridiem && (hour < 1 || hour > 12)) return null;
+      if (meridiem && meridiem.startsWith('P') && hour !== 12) hour += 12;
+      if (meridiem && meridiem.startsWith('A') && hour === 12) hour = 0;
+      if (hour > 23 || minute > 59) return null;
+      parts.hour = hour;
+      parts.minute = minute;
+    }
+    return parts;
+  }
+
+  // "+HH:MM" offset of a wall-clock time in the given zone (handles DST)
+  static utcOffset({ year, month, day, hour, minute }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = instant => {
+      const fields = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }).formatToParts(new Date(instant)).reduce((result, part) => ({ ...result, [part.type]: Number(part.value) }), {});
+      return (Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute) - instant) / 60000;
+    };
+
+    const offset = offsetAt(wallClock - offsetAt(wallClock) * 60000);
+    const sign = offset < 0 ? '-' : '+';
+    return `${sign}${this.pad(Math.floor(Math.abs(offset) / 60))}:${this.pad(Math.abs(offset) % 60)}`;
+  }
+
+  static pad(number) {
+    return number.toString().padStart(2, '0');
+  }
+}
+
+module.exports = { TicketNormalizer, FIELD_NORMALIZERS };
@@ -0,0 +1,221 @@
+// services/tickets/vinDecoder.js
+const { VIN_WMI, MAKE_ALIASES } = require('../../config/vinWmi');
+
+// ISO 3779 transliteration and position weights for the check digit (position 9)
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes (position 10), repeating every 30 years from 1980
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// I, O and Q never appear in a VIN, so these readings are always wrong
+const FORCED_CORRECTIONS = { I: '1', O: '0', Q: '0' };
+
+// Valid characters OCR and handwriting commonly confuse with each other
+const CONFUSABLE = {
+  '0': ['D'], D: ['0'],
+  '1': ['L'], L: ['1'],
+  '2': ['Z'], Z: ['2'],
+  '4': ['A'], A: ['4'],
+  '5': ['S'], S: ['5'],
+  '6': ['G'], G: ['6'],
+  '8': ['B'], B: ['8'],
+  U: ['V'], V: ['U']
+};
+
+/**
+ * VIN Decoder
+ * Validates vehicle_information.vin with the ISO 3779 check digit, repairs
+ * common OCR confusions when exactly one correction passes, and decodes the
+ * manufacturer (WMI) and model year offline to cross-check make and year.
+ */
+class VinDecoder {
+  /**
+   * Check the VIN of a canonical ticket's vehicle section
+   * @param {Object} vehicleInformation - extractedData.vehicle_information
+   * @param {Object} [options]
+   * @param {number} [options.currentYear] - Latest model year considered is currentYear + 1
+   * @returns {Object|null} - vinCheck, or null when the ticket has no VIN
+   */
+  static check(vehicleInformation = {}, { currentYear = new Date().getFullYear() } = {}) {
+    const raw = (vehicleInformation.vin || '').toString();
+    if (raw.trim() === '') {
+      return null;
+    }
+
+    const cleaned = raw.toUpperCase().replace(/[\s-]/g, '');
+    const result = {
+      raw,
+      vin: cleaned,
+      valid: false,
+      checkDigitValid: false,
+      checkDigitRequired: this.isNorthAmerican(cleaned),
+      corrected: false,
+      corrections: [],
+      ambiguousCorrections: [],
+      decoded: null,
+      mismatches: [],
+      needsReview: true
+    };
+
+    if (cleaned.length !== 17 || /[^A-Z0-9]/.test(cleaned)) {
+      return result;
+    }
+
+    const correction = this.correct(cleaned);
+    result.vin = correction.vin;
+    result.corrected = correction.corrections.length > 0;
+    result.corrections = correction.corrections;
+    result.ambiguousCorrections = correction.ambiguous;
+    result.checkDigitRequired = this.isNorthAmerican(correction.vin);
+    result.checkDigitValid = this.isCheckDigitValid(correction.vin);
+    result.valid = !/[IOQ]/.test(correction.vin) && (result.checkDigitValid || !result.checkDigitRequired);
+
+    if (result.valid) {
+      result.decoded = this.decode(correction.vin, { currentYear });
+      result.mismatches = this.compare(result.decoded, vehicleInformation);
+    }
+
+    result.needsReview = !result.valid || result.mismatches.length > 0 || result.ambiguousCorrections.length > 0;
+    return result;
+  }
+
+  /**
+   * Apply forced corrections, then try single confusable-character swaps
+   * when the check digit still fails
+   * @param {string} vin - 17 uppercase characters
+   * @returns {Object} - { vin, corrections: [{ position, from, to }], ambiguous: [vin] }
+   */
+  static correct(vin) {
+    const corrections = [];
+    const chars = vin.split('').map((char, index) => {
+      if (FORCED_CORRECTIONS[char]) {
+        corrections.push({ position: index + 1, from: char, to: FORCED_CORRECTIONS[char] });
+        return FORCED_CORRECTIONS[char];
+      }
+      return char;
+    });
+    const forced = chars.join('');
+
+    if (this.isCheckDigitValid(forced) || !this.isNorthAmerican(forced)) {
+      return { vin: forced, corrections, ambiguous: [] };
+    }
+
+    const candidates = [];
+    chars.forEach((char, index) => {
+      (CONFUSABLE[char] || []).forEach(replacement => {
+        const candidate = forced.slice(0, index) + replacement + forced.slice(index + 1);
+        if (this.isCheckDigitValid(candidate)) {
+          candidates.push({ vin: candidate, correction: { position: index + 1, from: char, to: replacement } });
+        }
+      });
+    });
+
+    if (candidates.length === 1) {
+      return { vin: candidates[0].vin, corrections: [...corrections, candidates[0].correction], ambiguous: [] };
+    }
+    return { vin: forced, corrections, ambiguous: candidates.map(candidate => candidate.vin) };
+  }
+
+  /**
+   * ISO 3779 check digit for a 17-character VIN
+   * @param {string} vin
+   * @returns {string|null} - "0"-"9" or "X"; null if a character cannot be transliterated
+   */
+  static computeCheckDigit(vin) {
+    let sum = 0;
+    for (let index = 0; index < 17; index++) {
+      const char = vin[index];
+      const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+      if (value === undefined) return null;
+      sum += value * WEIGHTS[index];
+    }
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : remainder.toString();
+  }
+
+  static isCheckDigitValid(vin) {
+    return vin.length === 17 && this.computeCheckDigit(vin) === vin[8];
+  }
+
+  // The check digit is mandatory for vehicles built for North America
+  static isNorthAmerican(vin) {
+    return /^[1-57]/.test(vin);
+  }
+
+  /**
+   * Decode manufacturer and model year
+   * @param {string} vin - Valid 17-character VIN
+   * @param {Object} [options] - { currentYear }
+   * @returns {Object} - { wmi, manufacturer, makes, modelYear }
+   */
+  static decode(vin, { currentYear = new Date().getFullYear() } = {}) {
+    const wmi = vin.slice(0, 3);
+    const manufacturer = VIN_WMI[wmi] || null;
+    return {
+      wmi,
+      manufacturer: manufacturer ? manufacturer.manufacturer : null,
+      makes: manufacturer ? manufacturer.makes : [],
+      modelYear: this.decodeModelYear(vin, currentYear)
+    };
+  }
+
+  static decodeModelYear(vin, currentYear) {
+    const index = YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) return null;
+
+    const years = [1980 + index, 2010 + index, 2040 + index].filter(year => year <= currentYear + 1);
+    if (years.length === 0) return null;
+
+    // North American light vehicles: a digit in position 7 means 1980-2009, a letter 2010-2039
+    if (this.isNorthAmerican(vin)) {
+      const cycle = /\d/.test(vin[6]) ? 1980 + index : 2010 + index;
+      if (years.includes(cycle)) return cycle;
+    }
+    return years[years.length - 1];
+  }
+
+  /**
+   * Compare decoded values with what the ticket says
+   * @param {Object} decoded - Result of decode
+   * @param {Object} vehicleInformation - extractedData.vehicle_information
+   * @returns {Array<Object>} - [{ field, ticketValue, decodedValue }]
+   */
+  static compare(decoded, vehicleInformation) {
+    const mismatches = [];
+
+    const make = this.normalizeMake(vehicleInformation.make);
+    if (make && decoded.makes.length > 0 && !decoded.makes.includes(make)) {
+      mismatches.push({ field: 'vehicle_information.make', ticketValue: vehicleInformation.make, decodedValue: decoded.makes.join('/') });
+    }
+
+    const year = this.normalizeYear(vehicleInformation.year);
+    if (year && decoded.modelYear && year !== decoded.modelYear) {
+      mismatches.push({ field: 'vehicle_information.year', ticketValue: vehicleInformation.year, decodedValue: decoded.modelYear });
+    }
+
+    return mismatches;
+  }
+
+  static normalizeMake(make) {
+    if (!make || make.toString().trim() === '') return null;
+    const text = make.toString().trim().toUpperCase().replace(/\./g, '');
+    return MAKE_ALIASES[text] || text;
+  }
+
+  static normalizeYear(year) {
+    const digits = (year || '').toString().replace(/\D/g, '');
+    if (digits.length === 4) return Number(digits);
+    if (digits.length === 2) {
+      const value = Number(digits);
+      return value > (new Date().getFullYear() % 100) + 1 ? 1900 + value : 2000 + value;
+    }
+    return null;
+  }
+}
+
+module.exports = VinDecoder;
@@ -0,0 +1,90 @@
+// services/tickets/violationMatcher.js
+const { VIOLATION_CATALOG } = require('../../config/violationCatalog');
+
+/**
+ * Violation Matcher
+ * Maps the free-text violation.citation to catalog offenses
+ * (config/violationCatalog.js). Text listing several offenses
+ * ("SPEEDING; NO INSURANCE") yields one offense per part.
+ */
+class ViolationMatcher {
+  /**
+   * Match citation text to offenses
+   * @param {string} text - violation.citation
+   * @returns {Object|null} - { text, matched, code, statute, description, category, moving, matchedBy, offenses }, null when blank
+   */
+  static match(text) {
+    if (text === undefined || text === null || text.toString().trim() === '') {
+      return null;
+    }
+
+    const offenses = [];
+    text.toString().split(/[;\n&]|\s\/\s|\s\+\s/).forEach(part => {
+      const offense = this.matchPart(part);
+      if (offense && !offenses.some(existing => existing.code === offense.code)) {
+        offenses.push(offense);
+      }
+    });
+
+    const primary = offenses[0] || null;
+    return {
+      text: text.toString(),
+      matched: !!primary,
+      code: primary ? primary.code : null,
+      statute: primary ? primary.statute : null,
+      description: primary ? primary.description : null,
+      category: primary ? primary.category : null,
+      moving: primary ? primary.moving : null,
+      matchedBy: primary ? primary.matchedBy : null,
+      offenses
+    };
+  }
+
+  /**
+   * Match one offense: a cited statute number first, then the catalog patterns
+   * @param {string} part
+   * @returns {Object|null} - { code, statute, description, category, moving, matchedBy }
+   */
+  static matchPart(part) {
+    const text = part.toUpperCase().replace(/\s+/g, ' ').trim();
+    if (text === '') return null;
+
+    const byPattern = VIOLATION_CATALOG.find(entry => entry.patterns.some(pattern => pattern.test(text)));
+
+    // "TC 545.351" - when several entries share the statute, prefer one whose
+    // patterns also match, else the last (most general) entry for it
+    const statute = text.match(/\b(\d{3}\.\d{3,4})\b/);
+    if (statute) {
+      const forStatute = VIOLATION_CATALOG.filter(entry => entry.statute === statute[1]);
+      if (forStatute.length > 0) {
+        const entry = forStatute.includes(byPattern) ? byPattern : forStatute[forStatute.length - 1];
+        return this.describe(entry, 'statute');
+      }
+    }
+
+    return byPattern ? this.describe(byPattern, 'pattern') : null;
+  }
+
+  /**
+   * Look up a catalog entry by code
+   * @param {string} code
+   * @returns {Object|null}
+   */
+  static byCode(code) {
+    const entry = VIOLATION_CATALOG.find(candidate => candidate.code === code);
+    return entry ? this.describe(entry, 'code') : null;
+  }
+
+  static describe(entry, matchedBy) {
+    return {
+      code: entry.code,
+      statute: entry.statute,
+      description: entry.description,
+      category: entry.category,
+      moving: entry.moving,
+      matchedBy
+    };
+  }
+}
+
+module.exports = ViolationMatcher;
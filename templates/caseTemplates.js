@@ -0,0 +1,86 @@
+// templates/caseTemplates.js
+const PaymentTemplates = require('./paymentTemplates');
+const { CASE_STATUSES } = require('../config/caseStatuses');
+
+/**
+ * Case Status Email & SMS Templates
+ * Sent when staff move a case (config/caseStatuses.js clientMessage is the body)
+ */
+class CaseTemplates {
+  /**
+   * TG_CASE_STATUS - Case Status Update Email
+   * @param {Object} ticketData - Firestore ticket document
+   * @param {string} caseStatus - New case status
+   */
+  static getCaseStatusEmail(ticketData, caseStatus) {
+    const firstName = PaymentTemplates.getFirstName(ticketData);
+    const caseId = ticketData.sessionId;
+    const citationNumber = PaymentTemplates.getTicket(ticketData).ticket_header?.citation_number || 'N/A';
+    const definition = CASE_STATUSES[caseStatus];
+    const portalUrl = PaymentTemplates.buildPortalUrl(caseId);
+    const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
+    const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Case Update - Ticket Guys</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #eee; padding-top: 15px; }
+          .button { display: inline-block; background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+          .info-box { background-color: #e7f3ff; border-left: 4px solid #007bff; padding: 15px; margin: 15px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h2>Case Update: ${definition.label}</h2>
+        </div>
+
+        <p>Hi ${firstName},</p>
+
+        <p>${definition.clientMessage}</p>
+
+        <div class="info-box">
+          <p><strong>Case ID:</strong> ${caseId}</p>
+          <p><strong>Citation:</strong> ${citationNumber}</p>
+          <p><strong>Status:</strong> ${definition.label}</p>
+        </div>
+
+        <p><a href="${portalUrl}" class="button">View Your Case</a></p>
+
+        <p>Questions? Call/text ${supportPhone}.</p>
+
+        <div class="footer">
+          <p>— Ticket Guys</p>
+          <p>${businessHours}</p>
+          <p><em>Note: This message is informational and not legal advice.</em></p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * TG_CASE_STATUS_SMS - Case Status Update SMS
+   */
+  static getCaseStatusSms(ticketData, caseStatus) {
+    const caseId = ticketData.sessionId;
+    const portalUrl = PaymentTemplates.buildPortalUrl(caseId);
+
+    return `Ticket Guys: Case ${caseId} is now "${CASE_STATUSES[caseStatus].label}". Details: ${portalUrl} Reply STOP to opt out.`;
+  }
+
+  /**
+   * Get email subject for a case status update
+   */
+  static getCaseStatusSubject(caseStatus) {
+    return `Case Update: ${CASE_STATUSES[caseStatus].label} - Ticket Guys`;
+  }
+}
+
+module.exports = CaseTemplates;
@@ -1,19 +1,29 @@
 // templates/paymentTemplates.js
+const { TicketMapper } = require('../services/tickets/ticketMapper');
+
 /**
  * Payment Email & SMS Templates
  * EXACTLY as specified in your document
  */
 
 class PaymentTemplates {
+  /**
+   * Canonical ticket fields for a template; read through the mapper so
+   * tickets stored in any older shape still fill in the email
+   * @param {Object} ticketData - Firestore ticket document
+   * @returns {Object} - Canonical ticket
+   */
+  static getTicket(ticketData) {
+    return TicketMapper.toCanonical(ticketData.extractedData);
+  }
+
   /**
    * Extract first name from ticket data
    * @param {Object} ticketData - Firestore ticket document
    * @returns {string} - First name or fallback
    */
   static getFirstName(ticketData) {
-    return ticketData.extractedData?.violator_information?.first || 
-           ticketData.extractedData?.first_name || 
-           'there';
+    return this.getTicket(ticketData).violator_information?.first || 'there';
   }
 
   /**
@@ -43,9 +53,10 @@ class PaymentTemplates {
   static getPaymentPaidEmail(ticketData) {
     const firstName = this.getFirstName(ticketData);
     const caseId = ticketData.sessionId;
-    const citationNumber = ticketData.extractedData?.ticket_header?.citation_number || 'N/A';
-    const county = ticketData.extractedData?.ticket_header?.county || 'N/A';
-    const courtName = ''; // Add if available in your data
+    const ticket = this.getTicket(ticketData);
+    const citationNumber = ticket.ticket_header?.citation_number || 'N/A';
+    const county = ticket.ticket_header?.county || 'N/A';
+    const courtName = ticket.court_information?.name || '';
     const portalUrl = this.buildPortalUrl(caseId);
     const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
     const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
@@ -108,7 +119,7 @@ class PaymentTemplates {
   static getPaymentFailedEmail(ticketData) {
     const firstName = this.getFirstName(ticketData);
     const caseId = ticketData.sessionId;
-    const citationNumber = ticketData.extractedData?.ticket_header?.citation_number || 'N/A';
+    const citationNumber = this.getTicket(ticketData).ticket_header?.citation_number || 'N/A';
     const paymentUpdateUrl = this.buildPaymentUpdateUrl(caseId);
     const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
     const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
@@ -186,6 +197,186 @@ class PaymentTemplates {
     return `Ticket Guys: Your payment didn't go through for case ${caseId}. Update here: ${paymentUpdateUrl} Need help? ${supportPhone} Reply STOP to opt out.`;
   }
 
+  /**
+   * TG_PAYMENT_REFUNDED - Refund Issued Email
+   * @param {Object} ticketData - Firestore ticket document
+   * @param {Object} refund - { amountRefundedCents, fullRefund }
+   */
+  static getRefundEmail(ticketData, refund) {
+    const firstName = this.getFirstName(ticketData);
+    const caseId = ticketData.sessionId;
+    const citationNumber = this.getTicket(ticketData).ticket_header?.citation_number || 'N/A';
+    const amount = (refund.amountRefundedCents / 100).toFixed(2);
+    const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
+    const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Refund Issued - Ticket Guys</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #eee; padding-top: 15px; }
+          .info-box { background-color: #e7f3ff; border-left: 4px solid #007bff; padding: 15px; margin: 15px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h2>Refund Issued</h2>
+        </div>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>We've issued a ${refund.fullRefund ? 'full' : 'partial'} refund of <strong>$${amount}</strong> for your Ticket Guys case. It can take 5-10 business days to appear on your statement.</p>
+        
+        <div class="info-box">
+          <p><strong>Case ID:</strong> ${caseId}</p>
+          <p><strong>Citation:</strong> ${citationNumber}</p>
+        </div>
+        
+        <p>Questions? Reply to this email or call/text ${supportPhone}.</p>
+        
+        <div class="footer">
+          <p>— Ticket Guys</p>
+          <p>${businessHours}</p>
+          <p><em>Note: This message is informational and not legal advice.</em></p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * TG_PAYMENT_REFUNDED_SMS - Refund Issued SMS
+   */
+  static getRefundSms(ticketData, refund) {
+    const caseId = ticketData.sessionId;
+    const amount = (refund.amountRefundedCents / 100).toFixed(2);
+
+    return `Ticket Guys: A refund of $${amount} was issued for case ${caseId}. Allow 5-10 business days for it to post. Reply STOP to opt out.`;
+  }
+
+  /**
+   * TG_PAYMENT_DISPUTED - Chargeback Received Email
+   * @param {Object} ticketData - Firestore ticket document
+   */
+  static getDisputeEmail(ticketData) {
+    const firstName = this.getFirstName(ticketData);
+    const caseId = ticketData.sessionId;
+    const citationNumber = this.getTicket(ticketData).ticket_header?.citation_number || 'N/A';
+    const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
+    const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Payment Disputed - Ticket Guys</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #eee; padding-top: 15px; }
+          .warning-box { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 15px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h2>Your Payment Was Disputed</h2>
+        </div>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>Your bank let us know the payment for your Ticket Guys case was disputed. While the dispute is open, work on your case may be paused.</p>
+        
+        <div class="warning-box">
+          <p>If you didn't mean to dispute this charge, or have a question about it, please contact us so we can help resolve it quickly.</p>
+          <p><strong>Case ID:</strong> ${caseId}</p>
+          <p><strong>Citation:</strong> ${citationNumber}</p>
+        </div>
+        
+        <p>Call/text ${supportPhone} or reply to this email.</p>
+        
+        <div class="footer">
+          <p>— Ticket Guys</p>
+          <p>${businessHours}</p>
+          <p><em>Note: This message is informational and not legal advice.</em></p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * TG_CHECKOUT_EXPIRED - Unfinished Checkout Email
+   * @param {Object} ticketData - Firestore ticket document
+   */
+  static getCheckoutExpiredEmail(ticketData) {
+    const firstName = this.getFirstName(ticketData);
+    const caseId = ticketData.sessionId;
+    const citationNumber = this.getTicket(ticketData).ticket_header?.citation_number || 'N/A';
+    const paymentUpdateUrl = this.buildPaymentUpdateUrl(caseId);
+    const supportPhone = process.env.SUPPORT_PHONE || 'your-support-phone';
+    const businessHours = process.env.BUSINESS_HOURS || 'Mon-Fri 9am-5pm';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Finish Your Payment - Ticket Guys</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #eee; padding-top: 15px; }
+          .button { display: inline-block; background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+          .info-box { background-color: #e7f3ff; border-left: 4px solid #007bff; padding: 15px; margin: 15px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h2>Your Case Is Almost Ready</h2>
+        </div>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>Your checkout expired before payment went through, so we haven't started on your case yet.</p>
+        
+        <div class="info-box">
+          <p><strong>Case ID:</strong> ${caseId}</p>
+          <p><strong>Citation:</strong> ${citationNumber}</p>
+        </div>
+        
+        <p><a href="${paymentUpdateUrl}" class="button">Finish Your Payment</a></p>
+        
+        <p>Questions? Call/text ${supportPhone}.</p>
+        
+        <div class="footer">
+          <p>— Ticket Guys</p>
+          <p>${businessHours}</p>
+          <p><em>Note: This message is informational and not legal advice.</em></p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * TG_CHECKOUT_EXPIRED_SMS - Unfinished Checkout SMS
+   */
+  static getCheckoutExpiredSms(ticketData) {
+    const caseId = ticketData.sessionId;
+    const paymentUpdateUrl = this.buildPaymentUpdateUrl(caseId);
+
+    return `Ticket Guys: Your checkout for case ${caseId} expired before payment. Finish here: ${paymentUpdateUrl} Reply STOP to opt out.`;
+  }
+
   /**
    * Get email subject for payment paid
    */
@@ -199,6 +390,27 @@ class PaymentTemplates {
   static getPaymentFailedSubject() {
     return '⚠️ Payment Failed - Action Required for Your Ticket';
   }
+
+  /**
+   * Get email subject for a refund
+   */
+  static getRefundSubject() {
+    return 'Refund Issued - Ticket Guys';
+  }
+
+  /**
+   * Get email subject for a disputed payment
+   */
+  static getDisputeSubject() {
+    return '⚠️ Your Payment Was Disputed - Ticket Guys';
+  }
+
+  /**
+   * Get email subject for an expired checkout
+   */
+  static getCheckoutExpiredSubject() {
+    return 'Finish Your Payment - Your Ticket Guys Case Is Waiting';
+  }
 }
 
 module.exports = PaymentTemplates;
\ No newline at end of file
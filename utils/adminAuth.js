@@ -0,0 +1,89 @@
+// utils/adminAuth.js
+const crypto = require('crypto');
+const Auth = require('./auth');
+const { STAFF_ROLES } = require('../config/ticketAccess');
+
+/**
+ * Admin Auth
+ * Guards admin routes. Callers authenticate either with the shared
+ * ADMIN_API_KEY in the x-admin-key header (the admin dashboard and scripts;
+ * treated as an admin) or with a Firebase ID token carrying a staff or admin
+ * role claim. Money operations need admin; case work accepts staff.
+ */
+class AdminAuth {
+  /**
+   * Express middleware allowing admins only
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next
+   */
+  static requireAdmin(req, res, next) {
+    return AdminAuth.requireRole(['admin'], req, res, next);
+  }
+
+  /**
+   * Express middleware allowing staff and admins
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Function} next
+   */
+  static requireStaff(req, res, next) {
+    return AdminAuth.requireRole(STAFF_ROLES, req, res, next);
+  }
+
+  /**
+   * Accept the admin key, or an ID token whose role is one of roles
+   * @param {string[]} roles - Allowed role claims
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Function} next
+   */
+  static async requireRole(roles, req, res, next) {
+    if (req.headers['x-admin-key'] !== undefined) {
+      const adminKey = process.env.ADMIN_API_KEY;
+      if (!adminKey) {
+        return res.status(503).json({ success: false, error: 'Admin API is not configured' });
+      }
+      if (!AdminAuth.keysMatch(req.headers['x-admin-key'], adminKey)) {
+        console.warn(`⚠️ [AdminAuth] Rejected ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+
+      // ✅ Who made the change, for audit logs
+      req.admin = { id: req.headers['x-admin-user'] || 'admin', role: 'admin' };
+      return next();
+    }
+
+    const result = await Auth.verifyRequest(req);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+    if (!result.user) {
+      console.warn(`⚠️ [AdminAuth] Rejected ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    if (!roles.includes(result.user.role)) {
+      console.warn(`⚠️ [AdminAuth] ${result.user.uid} (${result.user.role}) denied ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    req.user = result.user;
+    req.admin = { id: result.user.uid, role: result.user.role };
+    next();
+  }
+
+  /**
+   * Constant-time key comparison
+   * @param {string} provided
+   * @param {string} expected
+   * @returns {boolean}
+   */
+  static keysMatch(provided, expected) {
+    if (typeof provided !== 'string') return false;
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = AdminAuth;
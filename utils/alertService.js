@@ -1,21 +1,27 @@
 // utils/alertService.js
 const { FieldValue } = require('firebase-admin/firestore');
-
-let db;
-
-// Initialize Firestore if not already done
-try {
-  const { getFirestore } = require('firebase-admin/firestore');
-  db = getFirestore();
-} catch (error) {
-  console.warn('⚠️ [AlertService] Firestore not initialized');
-}
+const FirebaseAdmin = require('./firebaseAdmin');
+const PhoneHelper = require('./phoneHelper');
+const { TicketMapper } = require('../services/tickets/ticketMapper');
+const { ALERT_TYPES, ALERT_PRIORITIES, ALERT_SLA_MINUTES, OPEN_ALERT_STATUSES } = require('../config/alertTypes');
 
 /**
  * Admin Alert Service
- * Creates admin_alerts in Firestore for failed payments
+ * Creates admin_alerts in Firestore (types in config/alertTypes.js) and runs
+ * the alerts inbox: claim, assign, notes, resolve and SLA escalation.
+ *
+ * Alert status: open → in_progress (claimed or assigned) → resolved
  */
 class AlertService {
+  /**
+   * Firestore, looked up on each call because this module is loaded
+   * before the server initializes Firebase Admin
+   * @returns {Object|undefined}
+   */
+  static getDb() {
+    return FirebaseAdmin.getDb();
+  }
+
   /**
    * Create a payment failed admin alert
    * @param {Object} ticketData - The ticket document data
@@ -23,49 +29,161 @@ class AlertService {
    * @returns {Promise<Object>} - Result of creation
    */
   static async createPaymentFailedAlert(ticketData, errorReason = 'Unknown error') {
+    return this.createAlert('payment_failed', ticketData, errorReason, { priority: 'high' });
+  }
+
+  /**
+   * Create a refund admin alert
+   * @param {Object} ticketData - The ticket document data
+   * @param {Object} refund - { chargeId, amountRefundedCents, fullRefund }
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createRefundAlert(ticketData, refund) {
+    const amount = (refund.amountRefundedCents / 100).toFixed(2);
+    return this.createAlert('refund', ticketData, `${refund.fullRefund ? 'Full' : 'Partial'} refund of $${amount}`, {
+      priority: 'medium',
+      details: refund
+    });
+  }
+
+  /**
+   * Create a dispute (chargeback) admin alert
+   * @param {Object} ticketData - The ticket document data
+   * @param {Object} dispute - Dispute summary stored on the ticket
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createDisputeAlert(ticketData, dispute) {
+    const reason = dispute.status === 'won' || dispute.status === 'lost'
+      ? `Dispute ${dispute.status}: ${dispute.reason}`
+      : `Dispute opened: ${dispute.reason} (evidence due ${dispute.evidenceDueBy ? dispute.evidenceDueBy.toISOString() : 'N/A'})`;
+    return this.createAlert('dispute', ticketData, reason, {
+      priority: dispute.status === 'won' ? 'medium' : 'high',
+      details: dispute
+    });
+  }
+
+  /**
+   * Create an expired checkout admin alert (sales follow-up)
+   * @param {Object} ticketData - The ticket document data
+   * @param {string} checkoutSessionId - Expired Stripe Checkout session
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createCheckoutExpiredAlert(ticketData, checkoutSessionId) {
+    return this.createAlert('checkout_expired', ticketData, 'Checkout session expired before payment', {
+      priority: 'low',
+      details: { checkoutSessionId }
+    });
+  }
+
+  /**
+   * Create an admin alert for a case moved to case_requires_attention
+   * @param {Object} ticketData - The ticket document data
+   * @param {string} reason - Why staff flagged the case
+   * @param {string} [priority] - low, medium, high
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createCaseAttentionAlert(ticketData, reason, priority = 'high') {
+    return this.createAlert('case_requires_attention', ticketData, reason, {
+      priority,
+      details: { caseStatus: 'case_requires_attention' }
+    });
+  }
+
+  /**
+   * Create an alert for a ticket whose extraction needs human review
+   * @param {Object} ticketData - The ticket document data
+   * @param {Array<Object>} lowConfidenceFields - [{ field, confidence }] from FieldConfidence.review
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createLowConfidenceAlert(ticketData, lowConfidenceFields = []) {
+    const fields = lowConfidenceFields.map(entry => entry.field || entry);
+    return this.createAlert('low_confidence_extraction', ticketData, `Low-confidence fields: ${fields.join(', ') || 'unknown'}`, {
+      details: { lowConfidenceFields },
+      dedupe: true
+    });
+  }
+
+  /**
+   * Create an alert for a client email / SMS that could not be sent
+   * @param {Object} ticketData - The ticket document data
+   * @param {Object} failure - { channel: 'email'|'sms', type, to, error }
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createNotificationFailedAlert(ticketData, failure) {
+    return this.createAlert('notification_failed', ticketData, `${failure.channel} ${failure.type} to ${failure.to} failed: ${failure.error}`, {
+      details: failure,
+      dedupe: true
+    });
+  }
+
+  /**
+   * Create an admin alert
+   * @param {string} type - Key of ALERT_TYPES (config/alertTypes.js)
+   * @param {Object} ticketData - The ticket document data
+   * @param {string} reason - Shown as the alert reason
+   * @param {Object} [options] - { priority (defaults to the type's), details, dedupe (reuse an unresolved alert of this type for the case) }
+   * @returns {Promise<Object>} - Result of creation
+   */
+  static async createAlert(type, ticketData, reason = 'Unknown error', { priority = ALERT_TYPES[type]?.priority || 'high', details = null, dedupe = false } = {}) {
+    const db = this.getDb();
     if (!db) {
       console.error('❌ [AlertService] Firestore not available');
       return { success: false, error: 'Firestore not initialized' };
     }
 
+    // One unresolved alert per case is enough for repeating problems
+    if (dedupe) {
+      const existing = await this.findOpenAlert(type, ticketData.sessionId);
+      if (existing) {
+        console.log(`ℹ️ [AlertService] ${type} alert already open for ${ticketData.sessionId}: ${existing.id}`);
+        return { success: true, alertId: existing.id, data: existing, duplicate: true };
+      }
+    }
+
+    const createdAt = new Date();
     const alertId = `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const alertRef = db.collection('admin_alerts').doc(alertId);
+    const ticket = TicketMapper.toCanonical(ticketData.extractedData); // ✅ Any stored ticket shape
 
     const alertData = {
       id: alertId,
-      type: 'payment_failed',
+      type: type,
       status: 'open', // open, in_progress, resolved
-      priority: 'high',
+      priority: priority, // low, medium, high, urgent
+      slaDueAt: this.slaDueAt(priority, createdAt), // ✅ Escalates to the next priority when passed
+      escalationLevel: 0,
       
       // Client/Case Info
       clientInfo: {
         email: ticketData.email,
-        firstName: ticketData.extractedData?.violator_information?.first || 'Unknown',
-        lastName: ticketData.extractedData?.violator_information?.last_name || 'Unknown',
-        phone: ticketData.phoneNumber || ticketData.extractedData?.phone_number || 'Not provided'
+        firstName: ticket.violator_information?.first || 'Unknown',
+        lastName: ticket.violator_information?.last_name || 'Unknown',
+        phone: PhoneHelper.findPhoneNumber(ticketData) || 'Not provided'
       },
       
       caseInfo: {
         sessionId: ticketData.sessionId,
         caseId: ticketData.sessionId,
-        citationNumber: ticketData.extractedData?.ticket_header?.citation_number || 'N/A',
-        county: ticketData.extractedData?.ticket_header?.county || 'N/A',
+        citationNumber: ticket.ticket_header?.citation_number || 'N/A',
+        county: ticket.ticket_header?.county || 'N/A',
         amount: ticketData.paymentAmount || 'Unknown',
         paymentIntentId: ticketData.stripePaymentIntentId || 'N/A'
       },
       
       // Error Details
       errorDetails: {
-        reason: errorReason,
+        reason: reason,
         timestamp: new Date(),
         retryCount: 0
       },
+      details: details, // ✅ Event specific data (refund amounts, dispute)
       
       // Metadata
-      createdAt: new Date(),
-      updatedAt: new Date(),
+      createdAt: createdAt,
+      updatedAt: createdAt,
       assignedTo: null,
       resolvedAt: null,
+      resolution: null,
       notes: []
     };
 
@@ -75,9 +193,9 @@ class AlertService {
       console.log(`✅ [AlertService] Admin alert created: ${alertId}`);
       
       // Also log in audit logs
-      await this.logAudit('payment_failed_alert', ticketData.sessionId, {
+      await this.logAudit(`${type}_alert`, ticketData.sessionId, {
         alertId: alertId,
-        errorReason: errorReason
+        errorReason: reason
       });
       
       return { 
@@ -100,6 +218,7 @@ class AlertService {
    * @param {Object} updates - Fields to update
    */
   static async updateAlert(alertId, updates) {
+    const db = this.getDb();
     if (!db) {
       console.error('❌ [AlertService] Firestore not available');
       return { success: false, error: 'Firestore not initialized' };
@@ -127,6 +246,7 @@ class AlertService {
    * @param {string} author - Who added the note
    */
   static async addAlertNote(alertId, note, author = 'system') {
+    const db = this.getDb();
     if (!db) {
       console.error('❌ [AlertService] Firestore not available');
       return { success: false, error: 'Firestore not initialized' };
@@ -151,6 +271,227 @@ class AlertService {
     }
   }
 
+  /**
+   * Load one alert
+   * @param {string} alertId
+   * @returns {Promise<Object>} - { success, alert } or { success: false, error, statusCode }
+   */
+  static async getAlert(alertId) {
+    const db = this.getDb();
+    if (!db) {
+      return { success: false, statusCode: 503, error: 'Firestore not initialized' };
+    }
+
+    const alertDoc = await db.collection('admin_alerts').doc(alertId).get();
+    if (!alertDoc.exists) {
+      return { success: false, statusCode: 404, error: 'Alert not found' };
+    }
+    return { success: true, alert: alertDoc.data() };
+  }
+
+  /**
+   * List alerts for the inbox, highest priority and oldest first
+   * @param {Object} [filters] - { status (default: open and in_progress), type, priority, assignedTo, sessionId, limit }
+   * @returns {Promise<Object>} - { success, alerts }
+   */
+  static async listAlerts({ status, type, priority, assignedTo, sessionId, limit = 100 } = {}) {
+    const db = this.getDb();
+    if (!db) {
+      return { success: false, statusCode: 503, error: 'Firestore not initialized' };
+    }
+
+    let query = db.collection('admin_alerts').where('status', 'in', status ? [status] : OPEN_ALERT_STATUSES);
+    if (type) query = query.where('type', '==', type);
+    if (priority) query = query.where('priority', '==', priority);
+    if (assignedTo) query = query.where('assignedTo', '==', assignedTo);
+    if (sessionId) query = query.where('caseInfo.sessionId', '==', sessionId);
+
+    // Sorted here rather than in the query, so filter combinations need no composite index
+    const snapshot = await query.get();
+    const alerts = snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => ALERT_PRIORITIES.indexOf(b.priority) - ALERT_PRIORITIES.indexOf(a.priority) ||
+        this.toMillis(a.createdAt) - this.toMillis(b.createdAt))
+      .slice(0, Math.min(parseInt(limit, 10) || 100, 500));
+
+    return { success: true, alerts };
+  }
+
+  /**
+   * Find an unresolved alert of a type for a case
+   * @param {string} type
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} - Alert data
+   */
+  static async findOpenAlert(type, sessionId) {
+    const db = this.getDb();
+    if (!db || !sessionId) return null;
+
+    try {
+      const snapshot = await db.collection('admin_alerts')
+        .where('caseInfo.sessionId', '==', sessionId)
+        .where('type', '==', type)
+        .get();
+      const open = snapshot.docs.find(doc => OPEN_ALERT_STATUSES.includes(doc.data().status));
+      return open ? open.data() : null;
+    } catch (error) {
+      console.error(`❌ [AlertService] Open alert lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Claim an alert for yourself (fails when someone else has it)
+   * @param {string} alertId
+   * @param {string} adminId
+   * @returns {Promise<Object>} - { success, alert } or { success: false, error, statusCode }
+   */
+  static async claimAlert(alertId, adminId) {
+    return this.changeAlert(alertId, 'alert_claimed', adminId, alert => {
+      if (alert.assignedTo && alert.assignedTo !== adminId) {
+        return { error: `Alert already claimed by ${alert.assignedTo}` };
+      }
+      return { assignedTo: adminId, status: 'in_progress', claimedAt: new Date() };
+    });
+  }
+
+  /**
+   * Assign an alert to a staff member (null puts it back in the open queue)
+   * @param {string} alertId
+   * @param {string|null} assignee - Staff id
+   * @param {string} assignedBy - Admin id
+   * @returns {Promise<Object>} - { success, alert } or { success: false, error, statusCode }
+   */
+  static async assignAlert(alertId, assignee, assignedBy) {
+    return this.changeAlert(alertId, assignee ? 'alert_assigned' : 'alert_unassigned', assignedBy, () => ({
+      assignedTo: assignee || null,
+      status: assignee ? 'in_progress' : 'open'
+    }));
+  }
+
+  /**
+   * Resolve an alert with the reason it is closed
+   * @param {string} alertId
+   * @param {Object} resolution - { reason, resolvedBy }
+   * @returns {Promise<Object>} - { success, alert } or { success: false, error, statusCode }
+   */
+  static async resolveAlert(alertId, { reason, resolvedBy }) {
+    if (!reason || !reason.trim()) {
+      return { success: false, statusCode: 400, error: 'A resolution reason is required' };
+    }
+
+    return this.changeAlert(alertId, 'alert_resolved', resolvedBy, () => ({
+      status: 'resolved',
+      resolvedAt: new Date(),
+      resolution: { reason: reason.trim(), resolvedBy }
+    }));
+  }
+
+  /**
+   * Apply an inbox change to an unresolved alert in a transaction and audit it
+   * @param {string} alertId
+   * @param {string} action - Audit action
+   * @param {string} actor - Admin id
+   * @param {Function} buildUpdate - (alert) => fields to set, or { error }
+   * @returns {Promise<Object>} - { success, alert } or { success: false, error, statusCode }
+   */
+  static async changeAlert(alertId, action, actor, buildUpdate) {
+    const db = this.getDb();
+    if (!db) {
+      return { success: false, statusCode: 503, error: 'Firestore not initialized' };
+    }
+
+    const alertRef = db.collection('admin_alerts').doc(alertId);
+    const result = await db.runTransaction(async transaction => {
+      const alertDoc = await transaction.get(alertRef);
+      if (!alertDoc.exists) {
+        return { success: false, statusCode: 404, error: 'Alert not found' };
+      }
+
+      const alert = alertDoc.data();
+      if (alert.status === 'resolved') {
+        return { success: false, statusCode: 409, error: 'Alert is already resolved' };
+      }
+
+      const update = buildUpdate(alert);
+      if (update.error) {
+        return { success: false, statusCode: 409, error: update.error };
+      }
+
+      transaction.update(alertRef, { ...update, updatedAt: new Date() });
+      return { success: true, alert: { ...alert, ...update } };
+    });
+
+    if (result.success) {
+      console.log(`✅ [AlertService] ${action} ${alertId} by ${actor}`);
+      await this.logAudit(action, result.alert.caseInfo?.sessionId || null, { alertId, actor });
+    }
+    return result;
+  }
+
+  /**
+   * Escalate unresolved alerts past their SLA to the next priority (urgent alerts stay as they are)
+   * @param {Object} [options] - { now }
+   * @returns {Promise<Object>} - { success, escalated: [{ alertId, from, to }] }
+   */
+  static async escalateOverdue({ now = new Date() } = {}) {
+    const db = this.getDb();
+    if (!db) {
+      return { success: false, statusCode: 503, error: 'Firestore not initialized' };
+    }
+
+    const snapshot = await db.collection('admin_alerts').where('status', 'in', OPEN_ALERT_STATUSES).get();
+    const escalated = [];
+
+    for (const doc of snapshot.docs) {
+      const alert = doc.data();
+      const dueAt = alert.slaDueAt ? this.toMillis(alert.slaDueAt) : this.slaDueAt(alert.priority, new Date(this.toMillis(alert.createdAt))).getTime();
+      if (dueAt > now.getTime()) continue;
+
+      // Alerts already at the top priority (or with an unknown one) have nowhere to go
+      const index = ALERT_PRIORITIES.indexOf(alert.priority);
+      if (index === -1 || index === ALERT_PRIORITIES.length - 1) continue;
+
+      const to = ALERT_PRIORITIES[index + 1];
+      await doc.ref.update({
+        priority: to,
+        slaDueAt: this.slaDueAt(to, now),
+        escalationLevel: (alert.escalationLevel || 0) + 1,
+        escalatedAt: now,
+        updatedAt: now,
+        notes: FieldValue.arrayUnion({
+          note: `Escalated from ${alert.priority} to ${to}: unresolved past its SLA`,
+          author: 'system',
+          timestamp: now
+        })
+      });
+      await this.logAudit('alert_escalated', alert.caseInfo?.sessionId || null, { alertId: alert.id, from: alert.priority, to });
+      escalated.push({ alertId: alert.id, from: alert.priority, to });
+    }
+
+    if (escalated.length > 0) {
+      console.log(`⏫ [AlertService] Escalated ${escalated.length} overdue alert(s)`);
+    }
+    return { success: true, escalated };
+  }
+
+  /**
+   * When an alert of a priority passes its SLA
+   * @param {string} priority
+   * @param {Date} from
+   * @returns {Date}
+   */
+  static slaDueAt(priority, from = new Date()) {
+    const envMinutes = parseInt(process.env[`ALERT_SLA_MINUTES_${String(priority).toUpperCase()}`], 10);
+    const minutes = envMinutes || ALERT_SLA_MINUTES[priority] || ALERT_SLA_MINUTES.low;
+    return new Date(from.getTime() + minutes * 60 * 1000);
+  }
+
+  static toMillis(value) {
+    if (!value) return 0;
+    return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+  }
+
   /**
    * Log audit event
    * @param {string} action - Action performed
@@ -159,6 +500,7 @@ class AlertService {
    * 
    */
   static async logAudit(action, sessionId, metadata = {}) {
+    const db = this.getDb();
     if (!db) {
       console.error('❌ [AlertService] Firestore not available for audit');
       return;
@@ -0,0 +1,128 @@
+// utils/auth.js
+const FirebaseAdmin = require('./firebaseAdmin');
+const TicketAccess = require('../services/tickets/ticketAccess');
+const { STAFF_ROLES } = require('../config/ticketAccess');
+
+/**
+ * Auth
+ * Verifies Firebase ID tokens sent by the client app as
+ * `Authorization: Bearer <idToken>` and guards client routes by ticket
+ * ownership (the ticket's userId is the caller's uid) or a staff role claim.
+ */
+class Auth {
+  /**
+   * Express middleware reading the caller from an optional ID token.
+   * Sets req.user = { uid, email, role } or null when no token was sent;
+   * an invalid or expired token is rejected.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next
+   */
+  static async authenticate(req, res, next) {
+    const result = await Auth.verifyRequest(req);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    req.user = result.user;
+    next();
+  }
+
+  /**
+   * Express middleware rejecting requests without a valid ID token
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Function} next
+   */
+  static async requireUser(req, res, next) {
+    const result = await Auth.verifyRequest(req);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+    if (!result.user) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+
+    req.user = result.user;
+    next();
+  }
+
+  /**
+   * Middleware factory: the signed-in caller must own the ticket or be staff.
+   * Runs after requireUser; missing tickets fall through so the route answers 404 itself.
+   * @param {Object} db - Firestore instance
+   * @param {Function} getSessionId - (req) => ticket id
+   * @returns {Function} - Express middleware
+   */
+  static requireTicketAccess(db, getSessionId) {
+    return async (req, res, next) => {
+      const sessionId = getSessionId(req);
+      if (!sessionId) {
+        return next();
+      }
+
+      try {
+        const ticketDoc = await db.collection('tickets').doc(sessionId).get();
+        if (ticketDoc.exists && !TicketAccess.canAccess(req.user, ticketDoc.data())) {
+          console.warn(`⚠️ [Auth] ${req.user.uid} denied ${req.method} ${req.originalUrl} on ${sessionId}`);
+          return res.status(403).json({ success: false, error: 'You do not have access to this ticket' });
+        }
+        next();
+      } catch (error) {
+        console.error('❌ [Auth] Ticket access check failed:', error);
+        res.status(500).json({ success: false, error: 'Failed to check ticket access' });
+      }
+    };
+  }
+
+  /**
+   * Verify the request's bearer token
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { user } (null without a token) or { error, statusCode }
+   */
+  static async verifyRequest(req) {
+    const token = this.bearerToken(req);
+    if (!token) {
+      return { user: null };
+    }
+
+    const auth = FirebaseAdmin.getAuth();
+    if (!auth) {
+      return { error: 'Authentication is not configured', statusCode: 503 };
+    }
+
+    try {
+      const decoded = await auth.verifyIdToken(token);
+      return { user: { uid: decoded.uid, email: decoded.email || null, role: this.roleFromClaims(decoded) } };
+    } catch (error) {
+      console.warn(`⚠️ [Auth] Rejected ID token for ${req.method} ${req.originalUrl}: ${error.code || error.message}`);
+      return { error: 'Invalid or expired token', statusCode: 401 };
+    }
+  }
+
+  /**
+   * Role from custom claims: { role: 'admin' | 'staff' }, or the boolean
+   * { admin: true } / { staff: true } claims; everyone else is a client
+   * @param {Object} claims - Decoded ID token
+   * @returns {string}
+   */
+  static roleFromClaims(claims) {
+    if (STAFF_ROLES.includes(claims.role)) return claims.role;
+    if (claims.admin === true) return 'admin';
+    if (claims.staff === true) return 'staff';
+    return 'client';
+  }
+
+  /**
+   * ID token from the Authorization header
+   * @param {Object} req
+   * @returns {string|null}
+   */
+  static bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+}
+
+module.exports = Auth;
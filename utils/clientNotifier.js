@@ -0,0 +1,81 @@
+// utils/clientNotifier.js
+const { FieldValue } = require('firebase-admin/firestore');
+const PhoneHelper = require('./phoneHelper');
+const AlertService = require('./alertService');
+
+/**
+ * Client Notifier
+ * Sends a client email (and SMS when they opted in), logs each send
+ * on the ticket's emailsSent / smsSent and raises a notification_failed
+ * admin alert when a send fails
+ */
+class ClientNotifier {
+  /**
+   * Email the client and text them when SMS is allowed
+   * @param {Object} brevoService - Email / SMS sender
+   * @param {Object} ticketRef - Firestore ticket reference
+   * @param {Object} ticketData - Firestore ticket document
+   * @param {Object} message - { type, subject, html, sms }
+   */
+  static async send(brevoService, ticketRef, ticketData, { type, subject, html, sms }) {
+    if (ticketData.email && html) {
+      try {
+        const emailResult = await brevoService.sendEmail({
+          to: ticketData.email,
+          subject,
+          htmlContent: html,
+          tags: [type]
+        });
+
+        await ticketRef.update({
+          emailsSent: FieldValue.arrayUnion({
+            type,
+            sentAt: new Date(),
+            to: ticketData.email,
+            status: emailResult.success ? 'sent' : 'failed',
+            ...(emailResult.success ? { brevoMessageId: emailResult.messageId } : { error: emailResult.error })
+          })
+        });
+        console.log(`${emailResult.success ? '✅' : '❌'} [Email] ${type} email to ${ticketData.email}`);
+        if (!emailResult.success) {
+          await AlertService.createNotificationFailedAlert(ticketData, { channel: 'email', type, to: ticketData.email, error: emailResult.error });
+        }
+      } catch (emailError) {
+        console.error(`❌ [Email] Error sending ${type} email:`, emailError);
+        await AlertService.createNotificationFailedAlert(ticketData, { channel: 'email', type, to: ticketData.email, error: emailError.message });
+      }
+    }
+
+    const smsCheck = PhoneHelper.shouldSendSms(ticketData);
+    if (sms && smsCheck.shouldSend && smsCheck.phoneNumber) {
+      try {
+        const smsResult = await brevoService.sendSMS({
+          recipient: smsCheck.phoneNumber,
+          content: sms,
+          sender: 'TicketGuys'
+        });
+
+        if (!smsResult.disabled) {
+          await ticketRef.update({
+            smsSent: FieldValue.arrayUnion({
+              type,
+              sentAt: new Date(),
+              to: smsCheck.phoneNumber,
+              status: smsResult.success ? 'sent' : 'failed',
+              ...(smsResult.success ? { messageId: smsResult.messageId } : { error: smsResult.error })
+            })
+          });
+          console.log(`${smsResult.success ? '✅' : '❌'} [SMS] ${type} SMS to ${smsCheck.phoneNumber}`);
+          if (!smsResult.success) {
+            await AlertService.createNotificationFailedAlert(ticketData, { channel: 'sms', type, to: smsCheck.phoneNumber, error: smsResult.error });
+          }
+        }
+      } catch (smsError) {
+        console.error(`❌ [SMS] Error sending ${type} SMS:`, smsError);
+        await AlertService.createNotificationFailedAlert(ticketData, { channel: 'sms', type, to: smsCheck.phoneNumber, error: smsError.message });
+      }
+    }
+  }
+}
+
+module.exports = ClientNotifier;
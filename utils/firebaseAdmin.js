@@ -0,0 +1,54 @@
+// utils/firebaseAdmin.js
+const { initializeApp, getApps, cert } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+
+/**
+ * Firebase Admin Helper
+ * Initializes the Admin SDK once from FIREBASE_* environment variables,
+ * shared by the server and command-line scripts
+ */
+class FirebaseAdmin {
+  /**
+   * Get the Firestore instance, initializing Firebase Admin on first use
+   * @returns {Object|undefined} - Firestore instance, or undefined when not configured
+   */
+  static getDb() {
+    try {
+      if (getApps().length > 0) {
+        return getFirestore(getApps()[0]);
+      }
+
+      if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
+        console.log('⚠️ Firebase environment variables not found - Firestore disabled');
+        return undefined;
+      }
+
+      const adminApp = initializeApp({
+        credential: cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        }),
+      });
+      console.log('✅ Firebase Admin initialized successfully');
+      return getFirestore(adminApp);
+    } catch (firebaseError) {
+      console.error('❌ Firebase Admin initialization failed:', firebaseError.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get Firebase Auth (for ID token verification), initializing Firebase Admin on first use
+   * @returns {Object|undefined} - Auth instance, or undefined when not configured
+   */
+  static getAuth() {
+    if (getApps().length === 0 && !this.getDb()) {
+      return undefined;
+    }
+    return getAuth(getApps()[0]);
+  }
+}
+
+module.exports = FirebaseAdmin;
@@ -1,4 +1,6 @@
 // utils/phoneHelper.js
+const { TicketMapper } = require('../services/tickets/ticketMapper');
+
 /**
  * Phone Helper Utility
  * Finds phone number across different data structures in your system
@@ -7,7 +9,8 @@
 class PhoneHelper {
   /**
    * Find phone number in ticket data
-   * Checks all possible locations where phone might be stored
+   * Checks the root-level override, the ticket (read through the mapper, so
+   * tickets stored in any older shape match), then legacy root-level fields
    * @param {Object} ticketData - Firestore ticket document
    * @returns {string|null} - Phone number or null if not found
    */
@@ -16,26 +19,23 @@ class PhoneHelper {
       return null;
     }
 
+    const ticket = TicketMapper.toCanonical(ticketData.extractedData);
+
     // Check all possible locations in order of priority
     const possiblePaths = [
       // 1. Root level (preferred - from missing form)
       () => ticketData.phoneNumber,
-      
-      // 2. Extracted data root level
-      () => ticketData.extractedData?.phone_number,
-      
-      // 3. Nested in violator information
-      () => ticketData.extractedData?.violator_information?.phone,
-      
-      // 4. From manual form submissions
+
+      // 2. Violator information (canonical, nested AI or flat phone_number)
+      () => ticket.violator_information?.phone,
+
+      // 3. From manual / no-ticket form submissions stored beside the ticket
       () => ticketData.formData?.phone,
-      () => ticketData.formData?.phone_number,
-      () => ticketData.formData?.mobileno,
-      
-      // 5. From no-ticket form
+      () => ticketData.formData && TicketMapper.fromManualForm(ticketData.formData).violator_information?.phone,
+      () => ticketData.formData && TicketMapper.toCanonical(ticketData.formData).violator_information?.phone,
+
+      // 4. Any other legacy locations
       () => ticketData.phone,
-      
-      // 6. Any other potential locations
       () => ticketData.contact?.phone,
       () => ticketData.user?.phone
     ];
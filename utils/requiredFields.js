@@ -0,0 +1,92 @@
+// utils/requiredFields.js
+const { REQUIRED_FIELD_RULES, FORMAT_VALIDATORS } = require('../config/requiredFieldRules');
+
+/**
+ * Required Fields Engine
+ * Evaluates config/requiredFieldRules.js against ticket data
+ */
+class RequiredFields {
+  /**
+   * Check a ticket or form submission against a rule set
+   * @param {Object} data - Canonical ticket data (see services/tickets/ticketMapper.js)
+   * @param {Object} options
+   * @param {string} [options.ruleSet] - 'ticket', 'manual_form' or 'no_ticket_form'
+   * @param {Object} [options.context] - Values that override data, e.g. { email } from the request
+   * @returns {Object} - { missingFields, invalidFields: [{ field, message }], isComplete }
+   */
+  static check(data, { ruleSet = 'ticket', context = {} } = {}) {
+    const rules = REQUIRED_FIELD_RULES.filter(rule => rule.sets.includes(ruleSet));
+    const missingFields = [];
+    const invalidFields = [];
+
+    rules.forEach(rule => {
+      const value = this.resolve(rule, data || {}, context);
+
+      if (this.isBlank(value)) {
+        if (this.isRequired(rule, data || {}, context, rules) && !missingFields.includes(rule.field)) {
+          missingFields.push(rule.field);
+        }
+        return;
+      }
+
+      const validator = rule.format && FORMAT_VALIDATORS[rule.format];
+      if (validator && !validator(value.toString().trim())) {
+        invalidFields.push({ field: rule.field, message: rule.message });
+        // Invalid values are asked for again, same as missing ones
+        if (!missingFields.includes(rule.field)) {
+          missingFields.push(rule.field);
+        }
+      }
+    });
+
+    return {
+      missingFields,
+      invalidFields,
+      isComplete: missingFields.length === 0
+    };
+  }
+
+  /**
+   * Pick the rule set that matches how a ticket was created
+   * @param {string} dataSource - Ticket dataSource field
+   * @returns {string}
+   */
+  static ruleSetFor(dataSource) {
+    if (dataSource === 'manual_form' || dataSource === 'no_ticket_form') {
+      return dataSource;
+    }
+    return 'ticket';
+  }
+
+  static isRequired(rule, data, context, rules) {
+    if (rule.required === true || rule.required === false) {
+      return rule.required;
+    }
+
+    const { field, equals } = rule.required.when;
+    const dependency = rules.find(candidate => candidate.field === field) || { field, paths: [field] };
+    const dependencyValue = this.resolve(dependency, data, context);
+    return !this.isBlank(dependencyValue) && dependencyValue.toString().trim().toUpperCase() === equals.toUpperCase();
+  }
+
+  static resolve(rule, data, context) {
+    if (!this.isBlank(context[rule.field])) {
+      return context[rule.field];
+    }
+
+    for (const fieldPath of rule.paths) {
+      const value = fieldPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+      if (!this.isBlank(value)) {
+        return value;
+      }
+    }
+
+    return undefined;
+  }
+
+  static isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+  }
+}
+
+module.exports = RequiredFields;